@@ -0,0 +1,134 @@
+const { formatInTimeZone } = require('./scheduling');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Longest range GET /social-posts/calendar returns in one call.
+const MAX_CALENDAR_DAYS = 366;
+const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/** Parses 'YYYY-MM-DD' to a UTC midnight timestamp, or null. */
+function parseCalendarDate(value) {
+  const match = typeof value === 'string' ? value.trim().match(DATE_ONLY) : null;
+  if (!match) return null;
+  const time = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return new Date(time).toISOString().slice(0, 10) === match[0] ? time : null;
+}
+
+function addDays(date, days) {
+  return new Date(parseCalendarDate(date) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Groups posts by their local `scheduledFor` date in `timeZone`. Every date
+ * from `from` to `to` is listed, empty or not; each post gets `localDate` and
+ * `localTime`. Posts are expected sorted by `scheduledFor`.
+ */
+function groupPostsByDay(posts, { from, to, timeZone }) {
+  const days = [];
+  const byDate = new Map();
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const day = { date, posts: [] };
+    days.push(day);
+    byDate.set(date, day);
+  }
+
+  for (const post of posts) {
+    const local = formatInTimeZone(post.scheduledFor, timeZone);
+    const day = local && byDate.get(local.date);
+    if (day) day.posts.push({ ...post, localDate: local.date, localTime: local.time });
+  }
+  return days;
+}
+
+function formatIcsTime(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// RFC 5545 TEXT escaping.
+function escapeIcsText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Folds a content line at 75 octets, without splitting a UTF-8 character.
+function foldIcsLine(line) {
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74;
+    if (size + bytes > limit) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function summarizeContent(content, maxLength = 60) {
+  const text = String(content || '').replace(/\s+/g, ' ').trim();
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+/**
+ * Builds a read-only iCalendar feed with one 15-minute event per scheduled
+ * post. Times are written in UTC so no VTIMEZONE is needed; `uidDomain`
+ * keeps event UIDs stable across refreshes. Posts may carry `campaignName`
+ * and an ISO `lastModified`.
+ */
+function buildPostCalendar(posts, { name, uidDomain, now = new Date() }) {
+  const stamp = formatIcsTime(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Lead Gen Engine//Social posts//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+  ];
+
+  for (const post of posts) {
+    const start = Date.parse(post.scheduledFor);
+    if (Number.isNaN(start)) continue;
+    const description = [
+      post.content,
+      '',
+      `Channel: ${post.channel}`,
+      `Status: ${post.status}`,
+      post.campaignName ? `Campaign: ${post.campaignName}` : null,
+    ].filter((line) => line !== null);
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${post.id}@${uidDomain}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatIcsTime(start)}`,
+      `DTEND:${formatIcsTime(start + 15 * 60 * 1000)}`,
+      `SUMMARY:${escapeIcsText(`[${post.channel}] ${summarizeContent(post.content)}`)}`,
+      `DESCRIPTION:${escapeIcsText(description.join('\n'))}`,
+      `CATEGORIES:${escapeIcsText(post.channel)}`,
+      `STATUS:${post.status === 'sent' ? 'CONFIRMED' : 'TENTATIVE'}`,
+    );
+    if (post.lastModified) lines.push(`LAST-MODIFIED:${formatIcsTime(post.lastModified)}`);
+    if (post.externalUrl) lines.push(`URL:${post.externalUrl}`);
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  MAX_CALENDAR_DAYS,
+  parseCalendarDate,
+  addDays,
+  groupPostsByDay,
+  buildPostCalendar,
+};
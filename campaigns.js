@@ -0,0 +1,122 @@
+const CAMPAIGN_STATUSES = ['draft', 'active', 'paused', 'completed', 'archived'];
+
+// Allowed PATCH status changes. Archiving and restoring go through their own
+// routes so the pre-archive status can be kept and restored.
+const CAMPAIGN_STATUS_TRANSITIONS = {
+  draft: ['active'],
+  active: ['paused', 'completed'],
+  paused: ['active', 'completed'],
+  completed: ['active'],
+  archived: [],
+};
+
+const TEXT_FIELDS = ['name', 'objective', 'targetDescription'];
+const DATE_FIELDS = ['startDate', 'endDate'];
+
+function canTransitionCampaign(from, to) {
+  return from === to || (CAMPAIGN_STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+function parseDateValue(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const time = Date.parse(value.trim());
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Validates campaign fields from a create (`partial: false`) or update body.
+ * Only keys present in the body are returned, so updates stay partial;
+ * empty optional values become null. `current` is the stored campaign, used
+ * to check the date range against fields that are not being changed.
+ * Returns { value } or { error }.
+ */
+function normalizeCampaignInput(body, { partial = false, current = null } = {}) {
+  const input = body || {};
+  const has = (key) => Object.prototype.hasOwnProperty.call(input, key);
+  const value = {};
+
+  for (const field of TEXT_FIELDS) {
+    if (!has(field)) continue;
+    const raw = input[field];
+    if (raw !== null && typeof raw !== 'string') {
+      return { error: `${field} must be a string` };
+    }
+    value[field] = raw && raw.trim() ? raw.trim() : null;
+  }
+  if ((!partial || has('name')) && !value.name) {
+    return { error: 'name is required' };
+  }
+
+  for (const field of DATE_FIELDS) {
+    if (!has(field)) continue;
+    const raw = input[field];
+    if (raw === null || raw === '') {
+      value[field] = null;
+    } else if (parseDateValue(raw) === null) {
+      return { error: `${field} must be a date such as 2026-03-01` };
+    } else {
+      value[field] = raw.trim();
+    }
+  }
+
+  const startDate = has('startDate') ? value.startDate : current && current.startDate;
+  const endDate = has('endDate') ? value.endDate : current && current.endDate;
+  if (startDate && endDate && parseDateValue(endDate) < parseDateValue(startDate)) {
+    return { error: 'endDate must not be before startDate' };
+  }
+
+  if (has('status') && input.status !== null && input.status !== '') {
+    const status = typeof input.status === 'string' ? input.status.trim() : '';
+    if (status === 'archived') {
+      return { error: 'Use PATCH /campaigns/:id/archive to archive a campaign' };
+    }
+    if (!CAMPAIGN_STATUSES.includes(status)) {
+      return { error: `status must be one of: ${CAMPAIGN_STATUSES.join(', ')}` };
+    }
+    value.status = status;
+  } else if (!partial) {
+    value.status = 'draft';
+  }
+
+  return { value };
+}
+
+// Statuses that mean the prospect has been reached, whatever lastContactedAt says.
+const CONTACTED_PROSPECT_STATUSES = ['contacted', 'qualified'];
+
+/**
+ * Pipeline summary for a campaign's prospects ({ status, lastContactedAt }):
+ * counts per status (every entry of `statuses` present, zero or not) and a
+ * funnel of total -> contacted -> qualified, with rates against the total.
+ */
+function summarizeProspectPipeline(rows, statuses) {
+  const byStatus = Object.fromEntries(statuses.map((status) => [status, 0]));
+  let contacted = 0;
+  for (const row of rows) {
+    byStatus[row.status] = (byStatus[row.status] || 0) + 1;
+    if (CONTACTED_PROSPECT_STATUSES.includes(row.status) || row.lastContactedAt) contacted++;
+  }
+
+  const total = rows.length;
+  const qualified = byStatus.qualified || 0;
+  return {
+    total,
+    byStatus,
+    funnel: {
+      total,
+      contacted,
+      qualified,
+      badFit: byStatus['bad-fit'] || 0,
+      contactRate: total > 0 ? contacted / total : null,
+      qualificationRate: total > 0 ? qualified / total : null,
+    },
+  };
+}
+
+module.exports = {
+  CAMPAIGN_STATUSES,
+  CAMPAIGN_STATUS_TRANSITIONS,
+  canTransitionCampaign,
+  normalizeCampaignInput,
+  summarizeProspectPipeline,
+};
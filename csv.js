@@ -0,0 +1,269 @@
+const PROSPECT_IMPORT_FIELDS = [
+  'companyName',
+  'contactName',
+  'role',
+  'email',
+  'phone',
+  'website',
+  'tags',
+  'status',
+  'ownerName',
+  'origin',
+];
+
+// Header spellings seen in purchased lists, compared after lower-casing and
+// stripping everything except letters and digits.
+const HEADER_SYNONYMS = {
+  companyName: ['company', 'companyname', 'organisation', 'organization', 'account', 'accountname', 'business', 'businessname', 'employer'],
+  contactName: ['contact', 'contactname', 'name', 'fullname', 'person', 'personname'],
+  role: ['role', 'title', 'jobtitle', 'position', 'jobrole', 'designation'],
+  email: ['email', 'emailaddress', 'mail', 'workemail', 'businessemail', 'contactemail'],
+  phone: ['phone', 'phonenumber', 'telephone', 'tel', 'mobile', 'directdial', 'workphone'],
+  website: ['website', 'url', 'web', 'domain', 'companywebsite', 'companydomain', 'site'],
+  tags: ['tags', 'tag', 'industry', 'sector', 'segment'],
+  status: ['status'],
+  ownerName: ['owner', 'ownername', 'assignedto', 'rep'],
+  origin: ['origin', 'leadsource'],
+};
+
+const FIRST_NAME_HEADERS = ['firstname', 'first', 'givenname', 'forename'];
+const LAST_NAME_HEADERS = ['lastname', 'last', 'surname', 'familyname'];
+
+function headerKey(header) {
+  return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Decodes an uploaded file. A BOM always wins; otherwise the requested
+ * encoding is used, falling back from strict UTF-8 to Windows-1252, which is
+ * what spreadsheet exports without a BOM usually are.
+ */
+function decodeBuffer(buffer, encoding) {
+  if (!buffer || buffer.length === 0) return '';
+
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return new TextDecoder('utf-8').decode(buffer.subarray(3));
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return new TextDecoder('utf-16le').decode(buffer.subarray(2));
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return new TextDecoder('utf-16be').decode(buffer.subarray(2));
+  }
+
+  if (encoding) {
+    return new TextDecoder(encoding).decode(buffer);
+  }
+
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch (err) {
+    return new TextDecoder('windows-1252').decode(buffer);
+  }
+}
+
+/**
+ * Picks the delimiter that occurs most often in the header line, ignoring
+ * anything inside quotes.
+ */
+function detectDelimiter(text) {
+  const candidates = ['\t', ',', ';', '|'];
+  const counts = new Map(candidates.map((c) => [c, 0]));
+  let inQuotes = false;
+
+  for (const ch of text) {
+    if (ch === '"') inQuotes = !inQuotes;
+    if (!inQuotes && (ch === '\n' || ch === '\r')) break;
+    if (!inQuotes && counts.has(ch)) counts.set(ch, counts.get(ch) + 1);
+  }
+
+  let best = ',';
+  let bestCount = 0;
+  for (const [candidate, count] of counts) {
+    if (count > bestCount) {
+      best = candidate;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * RFC 4180 style parser: quoted fields may contain delimiters, doubled quotes
+ * and line breaks. Returns an array of rows, each an array of strings; fully
+ * empty lines are dropped.
+ */
+function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let i = 0;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+  };
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i += 2;
+          continue;
+        }
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+      i++;
+      continue;
+    }
+
+    if (ch === '"' && field === '') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      endField();
+    } else if (ch === '\r') {
+      endRow();
+      if (text[i + 1] === '\n') i++;
+    } else if (ch === '\n') {
+      endRow();
+    } else {
+      field += ch;
+    }
+    i++;
+  }
+
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+}
+
+/**
+ * Guesses a mapping from prospect field to header(s) using HEADER_SYNONYMS.
+ * Separate first/last name columns are combined into contactName.
+ */
+function autoDetectMapping(headers) {
+  const mapping = {};
+  const byKey = new Map(headers.map((h) => [headerKey(h), h]));
+
+  for (const field of PROSPECT_IMPORT_FIELDS) {
+    const match = HEADER_SYNONYMS[field].find((synonym) => byKey.has(synonym));
+    if (match) mapping[field] = byKey.get(match);
+  }
+
+  if (!mapping.contactName) {
+    const first = FIRST_NAME_HEADERS.find((k) => byKey.has(k));
+    const last = LAST_NAME_HEADERS.find((k) => byKey.has(k));
+    if (first || last) {
+      mapping.contactName = [first, last].filter(Boolean).map((k) => byKey.get(k));
+    }
+  }
+
+  return mapping;
+}
+
+/**
+ * Checks a user supplied mapping: keys must be prospect fields, values a
+ * header name or an array of header names (joined with a space). Returns an
+ * error message or null.
+ */
+function validateMapping(mapping) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return 'mapping must be an object of field -> header';
+  }
+  for (const [field, source] of Object.entries(mapping)) {
+    if (!PROSPECT_IMPORT_FIELDS.includes(field)) {
+      return `Unknown prospect field in mapping: ${field}`;
+    }
+    const sources = Array.isArray(source) ? source : [source];
+    if (sources.length === 0 || sources.some((s) => typeof s !== 'string' || !s.trim())) {
+      return `Mapping for ${field} must be a header name or an array of header names`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Lists the mapped header names that are not in the file, matched the same
+ * way as applyMapping, so a stale template is caught before every row maps to
+ * an empty prospect.
+ */
+function findMissingHeaders(headers, mapping) {
+  const keys = new Set(headers.map(headerKey));
+  const missing = Object.values(mapping)
+    .flatMap((source) => (Array.isArray(source) ? source : [source]))
+    .filter((source) => !keys.has(headerKey(source)));
+  return [...new Set(missing)];
+}
+
+/**
+ * Turns parsed rows into prospect-shaped objects. Header matching is
+ * case-insensitive and ignores punctuation so "E-mail Address" matches
+ * "email address".
+ */
+function applyMapping(headers, dataRows, mapping) {
+  const indexByKey = new Map();
+  headers.forEach((h, index) => {
+    const key = headerKey(h);
+    if (!indexByKey.has(key)) indexByKey.set(key, index);
+  });
+
+  const columns = Object.entries(mapping).map(([field, source]) => ({
+    field,
+    indexes: (Array.isArray(source) ? source : [source])
+      .map((s) => indexByKey.get(headerKey(s)))
+      .filter((index) => index !== undefined),
+  }));
+
+  return dataRows.map((cells) => {
+    const prospect = {};
+    for (const { field, indexes } of columns) {
+      const value = indexes
+        .map((index) => (cells[index] || '').trim())
+        .filter(Boolean)
+        .join(' ');
+      if (value) prospect[field] = value;
+    }
+    return prospect;
+  });
+}
+
+// Leading characters a spreadsheet reads as the start of a formula.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  // Quote-prefix user text so Excel and Sheets show it instead of running it.
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialises one CSV line, terminated with CRLF as RFC 4180 asks. Strings
+ * starting with =, +, -, @, tab or CR get a leading ' (formula injection).
+ */
+function toCsvRow(values) {
+  return `${values.map(escapeCsvValue).join(',')}\r\n`;
+}
+
+module.exports = {
+  PROSPECT_IMPORT_FIELDS,
+  decodeBuffer,
+  detectDelimiter,
+  parseDelimited,
+  autoDetectMapping,
+  validateMapping,
+  findMissingHeaders,
+  applyMapping,
+  toCsvRow,
+};
@@ -1,9 +1,13 @@
 const fs = require('fs');
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
 const sqlite3 = require('sqlite3').verbose();
+const { DEFAULT_TIMEZONE, toUtcIso } = require('./scheduling');
+const { EDITABLE_POST_FIELDS } = require('./posts');
+const { CAMPAIGN_STATUSES } = require('./campaigns');
 
-const dataDir = path.join(__dirname, 'data');
-const dbPath = path.join(dataDir, 'leads-gen.sqlite');
+const dbPath = process.env.DB_PATH || path.join(__dirname, 'data', 'leads-gen.sqlite');
+const dataDir = path.dirname(dbPath);
 
 function ensureDataDir() {
   if (!fs.existsSync(dataDir)) {
@@ -18,6 +22,272 @@ function getDb() {
 
 const db = getDb();
 
+// Every request shares this connection, so anything sent on it between a
+// transaction's BEGIN and COMMIT would be committed or rolled back with it.
+// While a transaction is open, statements from outside its callback are held
+// and sent once it ends; a transaction only begins after statements already
+// sent have finished.
+const transactionScope = new AsyncLocalStorage();
+const gate = { open: false, inFlight: 0, held: [], idleWaiters: [] };
+
+function waitForIdleConnection() {
+  if (gate.inFlight === 0) return Promise.resolve();
+  return new Promise((resolve) => gate.idleWaiters.push(resolve));
+}
+
+function withCompletion(args) {
+  const callback = typeof args[args.length - 1] === 'function' ? args[args.length - 1] : null;
+  return [
+    ...(callback ? args.slice(0, -1) : args),
+    function onComplete(err, ...results) {
+      gate.inFlight--;
+      if (gate.inFlight === 0) gate.idleWaiters.splice(0).forEach((resolve) => resolve());
+      if (callback) return callback.call(this, err, ...results);
+      if (err) db.emit('error', err);
+      return undefined;
+    },
+  ];
+}
+
+for (const method of ['run', 'get', 'all', 'exec']) {
+  const send = db[method].bind(db);
+  db[method] = (...args) => {
+    const dispatch = () => {
+      gate.inFlight++;
+      send(...withCompletion(args));
+    };
+    if (gate.open && !transactionScope.getStore()) gate.held.push(dispatch);
+    else dispatch();
+    return db;
+  };
+}
+
+function run(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function runCallback(err) {
+      if (err) return reject(err);
+      resolve({ changes: this.changes, lastID: this.lastID });
+    });
+  });
+}
+
+function get(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => {
+      if (err) return reject(err);
+      resolve(row || null);
+    });
+  });
+}
+
+function all(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) return reject(err);
+      resolve(rows || []);
+    });
+  });
+}
+
+// Transactions are queued rather than nested; SQLite rejects a BEGIN inside
+// an open transaction. `work` must use run/get/all (or `db`) from its own
+// async flow; statements it leaves to timers run after the transaction.
+let transactionQueue = Promise.resolve();
+
+function withTransaction(work) {
+  const result = transactionQueue.then(() =>
+    transactionScope.run(true, async () => {
+      gate.open = true;
+      try {
+        await waitForIdleConnection();
+        await run('BEGIN');
+        try {
+          const value = await work();
+          await run('COMMIT');
+          return value;
+        } catch (err) {
+          await run('ROLLBACK').catch(() => {});
+          throw err;
+        }
+      } finally {
+        gate.open = false;
+        gate.held.splice(0).forEach((dispatch) => dispatch());
+      }
+    }),
+  );
+  transactionQueue = result.catch(() => {});
+  return result;
+}
+
+const PROSPECT_FTS_NOTES = `(SELECT group_concat(note, ' ') FROM prospect_notes WHERE prospectId = new.id)`;
+// Earlier search indexes, replaced on start: prospects_fts keyed rows on
+// prospects.rowid, which VACUUM may renumber for a table with a TEXT primary
+// key; prospect_search kept the prospect id in an unindexed column, so every
+// trigger had to scan the whole index to find a prospect's row.
+const LEGACY_SEARCH_OBJECTS = [
+  'TRIGGER prospects_fts_ai',
+  'TRIGGER prospects_fts_au',
+  'TRIGGER prospects_fts_ad',
+  'TRIGGER prospect_notes_fts_ai',
+  'TRIGGER prospect_notes_fts_au',
+  'TRIGGER prospect_notes_fts_ad',
+  'TABLE prospects_fts',
+  'TRIGGER prospect_search_ai',
+  'TRIGGER prospect_search_au',
+  'TRIGGER prospect_search_ad',
+  'TRIGGER prospect_notes_search_ai',
+  'TRIGGER prospect_notes_search_au',
+  'TRIGGER prospect_notes_search_ad',
+  'TABLE prospect_search',
+];
+
+// FTS rowid of a prospect's search row.
+const searchKeyOf = (ref) =>
+  `(SELECT searchKey FROM prospect_fts_keys WHERE prospectId = ${ref})`;
+
+/**
+ * Full-text index over prospects and their notes. prospect_fts_keys gives
+ * each prospect a stable integer `searchKey`, used as the rowid of its
+ * prospect_fts row, so triggers find the row by rowid. Prospects missing from
+ * the index (rows that existed before it was added) are backfilled on start.
+ * Must run inside initDb's serialize block, after prospects and
+ * prospect_notes exist.
+ */
+function initProspectSearchIndex() {
+  const logError = (label) => (err) => {
+    if (err) console.error(`Error initialising prospect search index (${label}):`, err);
+  };
+
+  for (const object of LEGACY_SEARCH_OBJECTS) {
+    db.run(`DROP ${object.replace(' ', ' IF EXISTS ')}`, logError(`drop ${object}`));
+  }
+
+  db.run(
+    `
+      CREATE TABLE IF NOT EXISTS prospect_fts_keys (
+        searchKey INTEGER PRIMARY KEY,
+        prospectId TEXT NOT NULL UNIQUE
+      )
+    `,
+    logError('keys table'),
+  );
+  db.run(
+    `
+      CREATE VIRTUAL TABLE IF NOT EXISTS prospect_fts USING fts5(
+        companyName,
+        contactName,
+        email,
+        role,
+        tags,
+        website,
+        notes,
+        tokenize = 'unicode61 remove_diacritics 2',
+        prefix = '2 3'
+      )
+    `,
+    logError('table'),
+  );
+
+  db.run(
+    `
+      CREATE TRIGGER IF NOT EXISTS prospect_fts_ai AFTER INSERT ON prospects BEGIN
+        INSERT OR IGNORE INTO prospect_fts_keys (prospectId) VALUES (new.id);
+        INSERT INTO prospect_fts (rowid, companyName, contactName, email, role, tags, website, notes)
+        VALUES (
+          ${searchKeyOf('new.id')},
+          new.companyName, new.contactName, new.email, new.role, new.tags, new.website,
+          ${PROSPECT_FTS_NOTES}
+        );
+      END
+    `,
+    logError('insert trigger'),
+  );
+  db.run(
+    `
+      CREATE TRIGGER IF NOT EXISTS prospect_fts_au
+      AFTER UPDATE OF companyName, contactName, email, role, tags, website ON prospects BEGIN
+        UPDATE prospect_fts
+        SET companyName = new.companyName, contactName = new.contactName, email = new.email,
+            role = new.role, tags = new.tags, website = new.website
+        WHERE rowid = ${searchKeyOf('new.id')};
+      END
+    `,
+    logError('update trigger'),
+  );
+  db.run(
+    `
+      CREATE TRIGGER IF NOT EXISTS prospect_fts_ad AFTER DELETE ON prospects BEGIN
+        DELETE FROM prospect_fts WHERE rowid = ${searchKeyOf('old.id')};
+        DELETE FROM prospect_fts_keys WHERE prospectId = old.id;
+      END
+    `,
+    logError('delete trigger'),
+  );
+
+  const refreshNotes = (ref) => `
+    UPDATE prospect_fts
+    SET notes = (SELECT group_concat(note, ' ') FROM prospect_notes WHERE prospectId = ${ref}.prospectId)
+    WHERE rowid = ${searchKeyOf(`${ref}.prospectId`)};
+  `;
+
+  db.run(
+    `
+      CREATE TRIGGER IF NOT EXISTS prospect_fts_notes_ai AFTER INSERT ON prospect_notes BEGIN
+        ${refreshNotes('new')}
+      END
+    `,
+    logError('note insert trigger'),
+  );
+  db.run(
+    `
+      CREATE TRIGGER IF NOT EXISTS prospect_fts_notes_au AFTER UPDATE ON prospect_notes BEGIN
+        ${refreshNotes('old')}
+        ${refreshNotes('new')}
+      END
+    `,
+    logError('note update trigger'),
+  );
+  db.run(
+    `
+      CREATE TRIGGER IF NOT EXISTS prospect_fts_notes_ad AFTER DELETE ON prospect_notes BEGIN
+        ${refreshNotes('old')}
+      END
+    `,
+    logError('note delete trigger'),
+  );
+
+  db.run(
+    `
+      DELETE FROM prospect_fts
+      WHERE rowid IN (
+        SELECT searchKey FROM prospect_fts_keys
+        WHERE prospectId NOT IN (SELECT id FROM prospects)
+      )
+    `,
+    logError('prune'),
+  );
+  db.run(
+    'DELETE FROM prospect_fts_keys WHERE prospectId NOT IN (SELECT id FROM prospects)',
+    logError('prune keys'),
+  );
+  db.run(
+    'INSERT OR IGNORE INTO prospect_fts_keys (prospectId) SELECT id FROM prospects',
+    logError('backfill keys'),
+  );
+  db.run(
+    `
+      INSERT INTO prospect_fts (rowid, companyName, contactName, email, role, tags, website, notes)
+      SELECT
+        k.searchKey, p.companyName, p.contactName, p.email, p.role, p.tags, p.website,
+        (SELECT group_concat(note, ' ') FROM prospect_notes WHERE prospectId = p.id)
+      FROM prospect_fts_keys k
+      JOIN prospects p ON p.id = k.prospectId
+      WHERE k.searchKey NOT IN (SELECT rowid FROM prospect_fts)
+    `,
+    logError('backfill'),
+  );
+}
+
 function initDb() {
   db.serialize(() => {
     db.run(`
@@ -40,11 +310,20 @@ function initDb() {
       });
     }
 
+    function safeAddTableColumn(table, columnDef) {
+      db.run(`ALTER TABLE ${table} ADD COLUMN ${columnDef}`, (err) => {
+        if (err && !String(err.message).toLowerCase().includes('duplicate column')) {
+          console.error(`Error adding column to ${table}:`, columnDef, err);
+        }
+      });
+    }
+
     safeAddColumn('targetIndustry TEXT');
     safeAddColumn('companySize TEXT');
     safeAddColumn('roleFocus TEXT');
     safeAddColumn('mainAngle TEXT');
     safeAddColumn('archivedAt TEXT');
+    safeAddColumn('campaignId TEXT');
 
     function safeAddProspectColumn(columnDef) {
       db.run(`ALTER TABLE prospects ADD COLUMN ${columnDef}`, (err) => {
@@ -80,6 +359,22 @@ function initDb() {
     safeAddProspectColumn('normalizedContactName TEXT');
     safeAddProspectColumn('origin TEXT');
     safeAddProspectColumn('suppressedAt TEXT');
+    safeAddProspectColumn('mergedIntoId TEXT');
+    safeAddProspectColumn('normalizedPhone TEXT');
+    safeAddProspectColumn('normalizationVersion INTEGER');
+    safeAddProspectColumn('suppressionReason TEXT');
+    safeAddProspectColumn('emailStatus TEXT');
+    safeAddProspectColumn('emailCheckedAt TEXT');
+    safeAddProspectColumn('fitScore INTEGER');
+    safeAddProspectColumn('fitLabel TEXT');
+    safeAddProspectColumn('enrichedAt TEXT');
+    safeAddProspectColumn('originCampaignId TEXT');
+    safeAddProspectColumn('originPostId TEXT');
+    db.run('CREATE INDEX IF NOT EXISTS idx_prospects_normalized_email ON prospects (normalizedEmail)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_prospects_normalized_phone ON prospects (normalizedPhone)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_prospects_origin_campaign ON prospects (originCampaignId)');
+    // Completing an outreach step used to stamp updatedAt as an ISO string.
+    db.run(`UPDATE prospects SET updatedAt = datetime(updatedAt) WHERE updatedAt LIKE '%T%'`);
 
     db.run(`
       CREATE TABLE IF NOT EXISTS prospect_notes (
@@ -92,6 +387,58 @@ function initDb() {
       )
     `);
 
+    initProspectSearchIndex();
+
+    db.run(`
+      CREATE TABLE IF NOT EXISTS prospect_activity (
+        id TEXT PRIMARY KEY,
+        prospectId TEXT NOT NULL,
+        type TEXT NOT NULL,
+        actor TEXT,
+        details TEXT,
+        createdAt TEXT NOT NULL,
+        FOREIGN KEY (prospectId) REFERENCES prospects(id) ON DELETE CASCADE
+      )
+    `);
+    db.run(
+      'CREATE INDEX IF NOT EXISTS idx_prospect_activity_prospect ON prospect_activity (prospectId, createdAt)',
+    );
+
+    db.run(`
+      CREATE TABLE IF NOT EXISTS prospect_enrichments (
+        id TEXT PRIMARY KEY,
+        prospectId TEXT NOT NULL,
+        fitScore INTEGER,
+        fitLabel TEXT,
+        primaryPain TEXT,
+        summary TEXT,
+        method TEXT NOT NULL,
+        model TEXT,
+        createdAt TEXT NOT NULL,
+        FOREIGN KEY (prospectId) REFERENCES prospects(id) ON DELETE CASCADE
+      )
+    `);
+    db.run(
+      'CREATE INDEX IF NOT EXISTS idx_prospect_enrichments_prospect ON prospect_enrichments (prospectId, createdAt)',
+    );
+    safeAddTableColumn('prospect_enrichments', 'path TEXT');
+    safeAddTableColumn('prospect_enrichments', 'promptVersion INTEGER');
+
+    db.run(`
+      CREATE TABLE IF NOT EXISTS prospect_merges (
+        id TEXT PRIMARY KEY,
+        survivorId TEXT NOT NULL,
+        loserIds TEXT NOT NULL,
+        fieldSources TEXT,
+        survivorBefore TEXT NOT NULL,
+        losersBefore TEXT NOT NULL,
+        movedNotes INTEGER NOT NULL DEFAULT 0,
+        movedOutreachSteps INTEGER NOT NULL DEFAULT 0,
+        actor TEXT,
+        createdAt TEXT NOT NULL DEFAULT (datetime('now'))
+      )
+    `);
+
     db.run(`
       CREATE TABLE IF NOT EXISTS outreach_steps (
         id TEXT PRIMARY KEY,
@@ -106,6 +453,32 @@ function initDb() {
         FOREIGN KEY (prospectId) REFERENCES prospects(id) ON DELETE CASCADE
       )
     `);
+    safeAddTableColumn('outreach_steps', 'sequenceId TEXT');
+    safeAddTableColumn('outreach_steps', 'sequenceStepId TEXT');
+    safeAddTableColumn('outreach_steps', 'enrolledAt TEXT');
+
+    db.run(`
+      CREATE TABLE IF NOT EXISTS outreach_sequences (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        description TEXT,
+        archivedAt TEXT,
+        createdAt TEXT NOT NULL DEFAULT (datetime('now'))
+      )
+    `);
+
+    db.run(`
+      CREATE TABLE IF NOT EXISTS outreach_sequence_steps (
+        id TEXT PRIMARY KEY,
+        sequenceId TEXT NOT NULL,
+        stepOrder INTEGER NOT NULL,
+        channel TEXT NOT NULL,
+        dayOffset INTEGER NOT NULL DEFAULT 0,
+        title TEXT,
+        bodyTemplate TEXT,
+        FOREIGN KEY (sequenceId) REFERENCES outreach_sequences(id) ON DELETE CASCADE
+      )
+    `);
 
     db.run(`
       CREATE TABLE IF NOT EXISTS campaigns (
@@ -119,6 +492,34 @@ function initDb() {
         createdAt TEXT NOT NULL DEFAULT (datetime('now'))
       )
     `);
+    safeAddTableColumn('campaigns', 'archivedAt TEXT');
+    safeAddTableColumn('campaigns', 'statusBeforeArchive TEXT');
+    safeAddTableColumn('campaigns', 'updatedAt TEXT');
+    // Campaigns created before the status lifecycle could hold any string.
+    // Fix case and spacing where that is all that differs; anything else
+    // becomes draft so it can move through the lifecycle again.
+    const knownCampaignStatuses = CAMPAIGN_STATUSES.map(() => '?').join(', ');
+    for (const column of ['status', 'statusBeforeArchive']) {
+      db.run(
+        `
+          UPDATE campaigns SET ${column} = LOWER(TRIM(${column}))
+          WHERE ${column} NOT IN (${knownCampaignStatuses})
+            AND LOWER(TRIM(${column})) IN (${knownCampaignStatuses})
+        `,
+        [...CAMPAIGN_STATUSES, ...CAMPAIGN_STATUSES],
+      );
+    }
+    db.run(
+      `UPDATE campaigns SET status = 'draft' WHERE status NOT IN (${knownCampaignStatuses})`,
+      CAMPAIGN_STATUSES,
+    );
+    db.run(
+      `
+        UPDATE campaigns SET statusBeforeArchive = 'draft'
+        WHERE statusBeforeArchive NOT IN (${knownCampaignStatuses})
+      `,
+      CAMPAIGN_STATUSES,
+    );
 
     db.run(`
       CREATE TABLE IF NOT EXISTS social_posts (
@@ -134,6 +535,61 @@ function initDb() {
         FOREIGN KEY (campaignId) REFERENCES campaigns(id) ON DELETE SET NULL
       )
     `);
+    safeAddTableColumn('social_posts', 'sentAt TEXT');
+    safeAddTableColumn('social_posts', 'origin TEXT');
+    safeAddTableColumn('social_posts', 'imageIdea TEXT');
+    safeAddTableColumn('social_posts', 'promptVersion INTEGER');
+    safeAddTableColumn('social_posts', 'timezone TEXT');
+    safeAddTableColumn('social_posts', 'publishAttempts INTEGER NOT NULL DEFAULT 0');
+    safeAddTableColumn('social_posts', 'publishError TEXT');
+    safeAddTableColumn('social_posts', 'nextAttemptAt TEXT');
+    safeAddTableColumn('social_posts', 'publishStartedAt TEXT');
+    safeAddTableColumn('social_posts', 'failedAt TEXT');
+    safeAddTableColumn('social_posts', 'externalId TEXT');
+    safeAddTableColumn('social_posts', 'externalUrl TEXT');
+    db.run(
+      'CREATE INDEX IF NOT EXISTS idx_social_posts_schedule ON social_posts (status, scheduledFor)',
+    );
+    safeAddTableColumn('social_posts', 'updatedAt TEXT');
+
+    db.run(`
+      CREATE TABLE IF NOT EXISTS social_post_revisions (
+        id TEXT PRIMARY KEY,
+        postId TEXT NOT NULL,
+        revision INTEGER NOT NULL,
+        content TEXT NOT NULL,
+        tone TEXT,
+        channel TEXT,
+        campaignId TEXT,
+        scheduledFor TEXT,
+        timezone TEXT,
+        changedFields TEXT,
+        restoredFrom INTEGER,
+        actor TEXT,
+        createdAt TEXT NOT NULL,
+        UNIQUE (postId, revision),
+        FOREIGN KEY (postId) REFERENCES social_posts(id) ON DELETE CASCADE
+      )
+    `);
+
+    db.run(`
+      CREATE TABLE IF NOT EXISTS campaign_prospects (
+        campaignId TEXT NOT NULL,
+        prospectId TEXT NOT NULL,
+        addedAt TEXT NOT NULL,
+        addedBy TEXT,
+        PRIMARY KEY (campaignId, prospectId),
+        FOREIGN KEY (campaignId) REFERENCES campaigns(id) ON DELETE CASCADE,
+        FOREIGN KEY (prospectId) REFERENCES prospects(id) ON DELETE CASCADE
+      )
+    `);
+    db.run(
+      'CREATE INDEX IF NOT EXISTS idx_campaign_prospects_prospect ON campaign_prospects (prospectId)',
+    );
+    // Rows left behind by prospect deletes before deleteProspect cleaned up.
+    for (const table of PROSPECT_CHILD_TABLES) {
+      db.run(`DELETE FROM ${table} WHERE prospectId NOT IN (SELECT id FROM prospects)`);
+    }
 
     db.run(`
       CREATE TABLE IF NOT EXISTS post_metrics (
@@ -148,6 +604,78 @@ function initDb() {
       )
     `);
 
+    db.run(`
+      CREATE TABLE IF NOT EXISTS import_templates (
+        id TEXT PRIMARY KEY,
+        vendor TEXT NOT NULL UNIQUE,
+        mapping TEXT NOT NULL,
+        createdAt TEXT NOT NULL DEFAULT (datetime('now')),
+        updatedAt TEXT
+      )
+    `);
+
+    db.run(`
+      CREATE TABLE IF NOT EXISTS suppression_list (
+        id TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        value TEXT NOT NULL,
+        reason TEXT,
+        createdBy TEXT,
+        createdAt TEXT NOT NULL DEFAULT (datetime('now')),
+        UNIQUE (type, value)
+      )
+    `);
+
+    db.run(`
+      CREATE TABLE IF NOT EXISTS prompt_templates (
+        id TEXT PRIMARY KEY,
+        key TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        systemPrompt TEXT,
+        body TEXT NOT NULL,
+        note TEXT,
+        rolledBackFrom INTEGER,
+        createdBy TEXT,
+        createdAt TEXT NOT NULL DEFAULT (datetime('now')),
+        UNIQUE (key, version)
+      )
+    `);
+
+    db.run(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'queued',
+        payload TEXT,
+        total INTEGER NOT NULL DEFAULT 0,
+        succeeded INTEGER NOT NULL DEFAULT 0,
+        failed INTEGER NOT NULL DEFAULT 0,
+        error TEXT,
+        createdBy TEXT,
+        createdAt TEXT NOT NULL DEFAULT (datetime('now')),
+        startedAt TEXT,
+        finishedAt TEXT,
+        updatedAt TEXT
+      )
+    `);
+    db.run('CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs (status, createdAt)');
+
+    db.run(`
+      CREATE TABLE IF NOT EXISTS job_items (
+        id TEXT PRIMARY KEY,
+        jobId TEXT NOT NULL,
+        itemKey TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        error TEXT,
+        result TEXT,
+        updatedAt TEXT,
+        FOREIGN KEY (jobId) REFERENCES jobs(id) ON DELETE CASCADE
+      )
+    `);
+    db.run('CREATE INDEX IF NOT EXISTS idx_job_items_job ON job_items (jobId, status, position)');
+
     db.run(`
       CREATE TABLE IF NOT EXISTS domains (
         domain TEXT PRIMARY KEY,
@@ -162,69 +690,161 @@ function initDb() {
   return db;
 }
 
-function updateProspectStatus(id, status) {
-  return new Promise((resolve, reject) => {
-    db.run(
-      'UPDATE prospects SET status = ? WHERE id = ?',
-      [status, id],
-      function updateCallback(err) {
-        if (err) return reject(err);
-        if (this.changes === 0) return resolve(null);
+const UPDATABLE_PROSPECT_COLUMNS = [
+  'status',
+  'companyName',
+  'contactName',
+  'role',
+  'email',
+  'phone',
+  'website',
+  'tags',
+  'ownerName',
+  'origin',
+  'normalizedEmail',
+  'normalizedDomain',
+  'normalizedContactName',
+  'normalizedPhone',
+  'normalizationVersion',
+  'emailStatus',
+  'emailCheckedAt',
+];
 
-        db.get(
-          'SELECT * FROM prospects WHERE id = ?',
-          [id],
-          (err2, row) => {
-            if (err2) return reject(err2);
-            resolve(row || null);
-          },
-        );
-      },
-    );
-  });
+/**
+ * Applies a partial update and stamps updatedAt. Keys outside
+ * UPDATABLE_PROSPECT_COLUMNS are ignored. Resolves to the updated row, or
+ * null when the prospect does not exist.
+ */
+async function updateProspectFields(id, changes) {
+  const columns = Object.keys(changes).filter((c) => UPDATABLE_PROSPECT_COLUMNS.includes(c));
+  const assignments = columns.map((c) => `${c} = ?`);
+  assignments.push(`updatedAt = datetime('now')`);
+
+  const { changes: changed } = await run(
+    `UPDATE prospects SET ${assignments.join(', ')} WHERE id = ?`,
+    [...columns.map((c) => changes[c]), id],
+  );
+  if (changed === 0) return null;
+
+  return get('SELECT * FROM prospects WHERE id = ?', [id]);
 }
 
-function updateSocialPostStatus(id, status) {
-  return new Promise((resolve, reject) => {
-    const validStatuses = ['draft', 'scheduled', 'sent', 'archived'];
-    if (!validStatuses.includes(status)) {
-      return reject(new Error('INVALID_STATUS'));
+// `publishing` and `failed` are set by the scheduler; `publishing` cannot be
+// set by hand, and `sent` posts can only be archived.
+const SOCIAL_POST_STATUSES = ['draft', 'scheduled', 'publishing', 'sent', 'failed', 'archived'];
+
+/**
+ * Changes a post's status; must run inside a transaction. Rejects with
+ * INVALID_STATUS, POST_PUBLISHING, POST_LOCKED or SCHEDULE_REQUIRED.
+ * Resolves to false when the post does not exist.
+ */
+async function applySocialPostStatus(id, status) {
+  if (!SOCIAL_POST_STATUSES.includes(status) || status === 'publishing') {
+    throw new Error('INVALID_STATUS');
+  }
+  const existing = await getSocialPostById(id);
+  if (!existing) return false;
+  if (existing.status === 'publishing') {
+    throw new Error('POST_PUBLISHING');
+  }
+  if (existing.status === 'sent' && !['sent', 'archived'].includes(status)) {
+    throw new Error('POST_LOCKED');
+  }
+  if (status === 'scheduled' && !existing.scheduledFor) {
+    throw new Error('SCHEDULE_REQUIRED');
+  }
+
+  const nowIso = new Date().toISOString();
+  const nextSentAt = status === 'sent' && !existing.sentAt ? nowIso : existing.sentAt || null;
+
+  // (Re)scheduling starts the retry count afresh.
+  const sql =
+    status === 'scheduled'
+      ? `
+        UPDATE social_posts
+        SET status = ?, sentAt = ?, publishAttempts = 0, publishError = NULL,
+            nextAttemptAt = NULL, failedAt = NULL
+        WHERE id = ?
+      `
+      : 'UPDATE social_posts SET status = ?, sentAt = ? WHERE id = ?';
+  const { changes } = await run(sql, [status, nextSentAt, id]);
+  return changes > 0;
+}
+
+// Tables whose rows belong to one prospect. Their ON DELETE CASCADE never
+// fires because foreign keys are not enforced, so deleteProspect clears them.
+const PROSPECT_CHILD_TABLES = [
+  'prospect_notes',
+  'prospect_activity',
+  'prospect_enrichments',
+  'outreach_steps',
+  'campaign_prospects',
+];
+
+/**
+ * Deletes a prospect with its notes, activity, enrichments, outreach steps
+ * and campaign memberships. Resolves to false when it did not exist.
+ */
+function deleteProspect(id) {
+  return withTransaction(async () => {
+    for (const table of PROSPECT_CHILD_TABLES) {
+      await run(`DELETE FROM ${table} WHERE prospectId = ?`, [id]);
     }
+    const { changes } = await run('DELETE FROM prospects WHERE id = ?', [id]);
+    return changes > 0;
+  });
+}
 
-    db.get(
-      'SELECT * FROM social_posts WHERE id = ?',
-      [id],
-      (err, existing) => {
-        if (err) return reject(err);
-        if (!existing) return resolve(null);
-
-        const nowIso = new Date().toISOString();
-        const nextSentAt =
-          status === 'sent' && !existing.sentAt ? nowIso : existing.sentAt || null;
-
-        const sql = 'UPDATE social_posts SET status = ?, sentAt = ? WHERE id = ?';
-        const params = [status, nextSentAt, id];
-
-        db.run(sql, params, function (updateErr) {
-          if (updateErr) {
-            return reject(updateErr);
-          }
-          if (this.changes === 0) {
-            return resolve(null);
-          }
-
-          db.get(
-            'SELECT * FROM social_posts WHERE id = ?',
-            [id],
-            (err2, row) => {
-              if (err2) return reject(err2);
-              resolve(row || null);
-            },
-          );
-        });
-      },
-    );
+const INSERTED_PROSPECT_COLUMNS = [
+  'id',
+  'sourceId',
+  'companyName',
+  'contactName',
+  'role',
+  'email',
+  'phone',
+  'website',
+  'tags',
+  'status',
+  'ownerName',
+  'normalizedEmail',
+  'normalizedDomain',
+  'normalizedContactName',
+  'normalizedPhone',
+  'normalizationVersion',
+  'emailStatus',
+  'emailCheckedAt',
+  'origin',
+  'originCampaignId',
+  'originPostId',
+];
+
+/**
+ * Inserts already validated prospects (objects keyed by the columns above;
+ * missing keys become NULL) in one transaction. Resolves to the stored rows
+ * in input order.
+ */
+async function insertProspects(prospects) {
+  if (prospects.length === 0) return [];
+  const sql = `
+    INSERT INTO prospects (${INSERTED_PROSPECT_COLUMNS.join(', ')}, createdAt)
+    VALUES (${INSERTED_PROSPECT_COLUMNS.map(() => '?').join(', ')}, datetime('now'))
+  `;
+  await withTransaction(async () => {
+    for (const prospect of prospects) {
+      await run(sql, INSERTED_PROSPECT_COLUMNS.map((column) => prospect[column] ?? null));
+    }
   });
+
+  const ids = prospects.map((prospect) => prospect.id);
+  const rows = [];
+  for (let i = 0; i < ids.length; i += 500) {
+    const chunk = ids.slice(i, i + 500);
+    const placeholders = chunk.map(() => '?').join(',');
+    rows.push(...(await all(`SELECT * FROM prospects WHERE id IN (${placeholders})`, chunk)));
+  }
+  const byId = new Map(rows.map((row) => [row.id, row]));
+  return ids.map((id) => byId.get(id)).filter(Boolean);
 }
 
 function getProspectById(id) {
@@ -244,7 +864,8 @@ function getSourceById(id) {
   return new Promise((resolve, reject) => {
     db.get(
       `
-        SELECT id, name, type, description, metadata, archivedAt, createdAt, targetIndustry, companySize, roleFocus, mainAngle
+        SELECT id, name, type, description, metadata, archivedAt, createdAt, targetIndustry, companySize, roleFocus, mainAngle,
+          campaignId
         FROM sources
         WHERE id = ?
       `,
@@ -309,6 +930,10 @@ function updateSourceIcp(id, icpFields, cb) {
     fields.push('mainAngle = ?');
     params.push(icpFields.mainAngle ?? null);
   }
+  if (Object.prototype.hasOwnProperty.call(icpFields, 'campaignId')) {
+    fields.push('campaignId = ?');
+    params.push(icpFields.campaignId ?? null);
+  }
 
   if (fields.length === 0) {
     return cb ? cb(null, null) : null;
@@ -441,18 +1066,1545 @@ function getCampaignById(id) {
   });
 }
 
+const UPDATABLE_CAMPAIGN_COLUMNS = [
+  'name',
+  'objective',
+  'targetDescription',
+  'status',
+  'startDate',
+  'endDate',
+  'archivedAt',
+  'statusBeforeArchive',
+];
+
+/**
+ * Applies a partial update and stamps updatedAt. Keys outside
+ * UPDATABLE_CAMPAIGN_COLUMNS are ignored. Resolves to the updated row, or
+ * null when the campaign does not exist.
+ */
+async function updateCampaignFields(id, changes) {
+  const columns = Object.keys(changes).filter((c) => UPDATABLE_CAMPAIGN_COLUMNS.includes(c));
+  const assignments = columns.map((c) => `${c} = ?`);
+  assignments.push(`updatedAt = datetime('now')`);
+
+  const { changes: changed } = await run(
+    `UPDATE campaigns SET ${assignments.join(', ')} WHERE id = ?`,
+    [...columns.map((c) => changes[c]), id],
+  );
+  if (changed === 0) return null;
+
+  return getCampaignById(id);
+}
+
+/** Number of the campaign's social posts per status, e.g. { draft: 2, sent: 1 }. */
+async function getCampaignPostCounts(campaignId) {
+  const rows = await all(
+    'SELECT status, COUNT(*) AS count FROM social_posts WHERE campaignId = ? GROUP BY status',
+    [campaignId],
+  );
+  return Object.fromEntries(rows.map((row) => [row.status, row.count]));
+}
+
+function deleteCampaign(id) {
+  return run('DELETE FROM campaigns WHERE id = ?', [id]).then(({ changes }) => changes > 0);
+}
+
+/**
+ * Adds prospects to a campaign; existing members are left alone. Resolves to
+ * the ids that were newly added.
+ */
+async function addCampaignProspects(campaignId, prospectIds, { addedBy } = {}) {
+  const added = [];
+  if (prospectIds.length === 0) return added;
+  await withTransaction(async () => {
+    for (const prospectId of prospectIds) {
+      const { changes } = await run(
+        `
+          INSERT OR IGNORE INTO campaign_prospects (campaignId, prospectId, addedAt, addedBy)
+          VALUES (?, ?, ?, ?)
+        `,
+        [campaignId, prospectId, new Date().toISOString(), addedBy ?? null],
+      );
+      if (changes > 0) added.push(prospectId);
+    }
+  });
+  return added;
+}
+
+function removeCampaignProspect(campaignId, prospectId) {
+  return run('DELETE FROM campaign_prospects WHERE campaignId = ? AND prospectId = ?', [
+    campaignId,
+    prospectId,
+  ]).then(({ changes }) => changes > 0);
+}
+
+/** Campaigns the prospect belongs to, oldest membership first. */
+function getProspectCampaigns(prospectId) {
+  return all(
+    `
+      SELECT c.id, c.name, c.status, cp.addedAt, cp.addedBy
+      FROM campaign_prospects cp
+      JOIN campaigns c ON c.id = cp.campaignId
+      WHERE cp.prospectId = ?
+      ORDER BY cp.addedAt ASC
+    `,
+    [prospectId],
+  );
+}
+
+/**
+ * Pipeline rows for attribution reporting: one row per campaign and
+ * prospect, covering members and prospects the campaign generated (origin),
+ * excluding archived and merged-away prospects.
+ */
+function getCampaignAttributionRows({ campaignId } = {}) {
+  const whereClauses = ['p.archivedAt IS NULL'];
+  const params = [];
+  if (campaignId) {
+    whereClauses.push('links.campaignId = ?');
+    params.push(campaignId);
+  }
+  return all(
+    `
+      SELECT
+        links.campaignId,
+        p.id AS prospectId,
+        p.status,
+        p.lastContactedAt,
+        p.originPostId,
+        MAX(links.isMember) AS isMember,
+        MAX(links.isGenerated) AS isGenerated
+      FROM (
+        SELECT campaignId, prospectId, 1 AS isMember, 0 AS isGenerated FROM campaign_prospects
+        UNION ALL
+        SELECT originCampaignId, id, 0, 1 FROM prospects WHERE originCampaignId IS NOT NULL
+      ) links
+      JOIN prospects p ON p.id = links.prospectId
+      WHERE ${whereClauses.join(' AND ')}
+      GROUP BY links.campaignId, p.id
+    `,
+    params,
+  );
+}
+
+/** Member prospects and linked sources, which block deleting a campaign. */
+function getCampaignLinkCounts(campaignId) {
+  return get(
+    `
+      SELECT
+        (SELECT COUNT(*) FROM campaign_prospects WHERE campaignId = ?) AS prospects,
+        (SELECT COUNT(*) FROM prospects WHERE originCampaignId = ?) AS generatedProspects,
+        (SELECT COUNT(*) FROM sources WHERE campaignId = ?) AS sources
+    `,
+    [campaignId, campaignId, campaignId],
+  );
+}
+
+async function getOutreachSequenceById(id) {
+  const sequence = await get('SELECT * FROM outreach_sequences WHERE id = ?', [id]);
+  if (!sequence) return null;
+
+  const steps = await all(
+    'SELECT * FROM outreach_sequence_steps WHERE sequenceId = ? ORDER BY stepOrder ASC',
+    [id],
+  );
+  return { ...sequence, steps };
+}
+
+async function listOutreachSequences({ archived = false } = {}) {
+  const sequences = await all(
+    `
+      SELECT *
+      FROM outreach_sequences
+      WHERE ${archived ? 'archivedAt IS NOT NULL' : 'archivedAt IS NULL'}
+      ORDER BY datetime(createdAt) DESC
+    `,
+  );
+  if (sequences.length === 0) return [];
+
+  const placeholders = sequences.map(() => '?').join(',');
+  const steps = await all(
+    `
+      SELECT *
+      FROM outreach_sequence_steps
+      WHERE sequenceId IN (${placeholders})
+      ORDER BY stepOrder ASC
+    `,
+    sequences.map((s) => s.id),
+  );
+
+  return sequences.map((sequence) => ({
+    ...sequence,
+    steps: steps.filter((step) => step.sequenceId === sequence.id),
+  }));
+}
+
+async function createOutreachSequence({ id, name, description, steps }) {
+  await withTransaction(async () => {
+    await run(
+      'INSERT INTO outreach_sequences (id, name, description) VALUES (?, ?, ?)',
+      [id, name, description ?? null],
+    );
+    for (const step of steps) {
+      await run(
+        `
+          INSERT INTO outreach_sequence_steps (id, sequenceId, stepOrder, channel, dayOffset, title, bodyTemplate)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+        `,
+        [
+          step.id,
+          id,
+          step.stepOrder,
+          step.channel,
+          step.dayOffset,
+          step.title ?? null,
+          step.bodyTemplate ?? null,
+        ],
+      );
+    }
+  });
+
+  return getOutreachSequenceById(id);
+}
+
+function archiveOutreachSequence(id) {
+  return run(
+    `UPDATE outreach_sequences SET archivedAt = datetime('now') WHERE id = ?`,
+    [id],
+  ).then(({ changes }) => (changes === 0 ? null : getOutreachSequenceById(id)));
+}
+
+/**
+ * Copies every step of a sequence onto the prospect as pending outreach_steps,
+ * scheduled `dayOffset` days after `startAt`.
+ */
+async function enrollProspectInSequence(prospectId, sequence, startAt, generateStepId) {
+  const enrolledAt = new Date().toISOString();
+  const startMs = new Date(startAt).getTime();
+  const ids = [];
+
+  await withTransaction(async () => {
+    for (const step of sequence.steps) {
+      const id = generateStepId();
+      const scheduledAt = new Date(startMs + step.dayOffset * 24 * 60 * 60 * 1000).toISOString();
+      await run(
+        `
+          INSERT INTO outreach_steps (
+            id, prospectId, channel, stepOrder, title, bodyTemplate, scheduledAt, status,
+            sequenceId, sequenceStepId, enrolledAt
+          )
+          VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?)
+        `,
+        [
+          id,
+          prospectId,
+          step.channel,
+          step.stepOrder,
+          step.title ?? null,
+          step.bodyTemplate ?? null,
+          scheduledAt,
+          sequence.id,
+          step.id,
+          enrolledAt,
+        ],
+      );
+      ids.push(id);
+    }
+  });
+
+  return ids;
+}
+
+function hasPendingSequenceSteps(prospectId, sequenceId) {
+  return get(
+    `SELECT id FROM outreach_steps WHERE prospectId = ? AND sequenceId = ? AND status = 'pending' LIMIT 1`,
+    [prospectId, sequenceId],
+  ).then((row) => Boolean(row));
+}
+
+function getOutreachStepById(id) {
+  return get('SELECT * FROM outreach_steps WHERE id = ?', [id]);
+}
+
+function getProspectOutreachSteps(prospectId) {
+  return all(
+    `
+      SELECT *
+      FROM outreach_steps
+      WHERE prospectId = ?
+      ORDER BY datetime(scheduledAt) ASC, stepOrder ASC
+    `,
+    [prospectId],
+  );
+}
+
+function getDueOutreachSteps({ before, ownerName, channel, sequenceId } = {}) {
+  const whereClauses = [
+    `s.status = 'pending'`,
+    'datetime(s.scheduledAt) <= datetime(?)',
+    'p.archivedAt IS NULL',
+    'p.suppressedAt IS NULL',
+  ];
+  const params = [before];
+
+  if (ownerName) {
+    whereClauses.push('p.ownerName = ?');
+    params.push(ownerName);
+  }
+  if (channel) {
+    whereClauses.push('s.channel = ?');
+    params.push(channel);
+  }
+  if (sequenceId) {
+    whereClauses.push('s.sequenceId = ?');
+    params.push(sequenceId);
+  }
+
+  return all(
+    `
+      SELECT
+        s.*,
+        p.companyName,
+        p.contactName,
+        p.email,
+        p.phone,
+        p.ownerName,
+        p.status AS prospectStatus
+      FROM outreach_steps s
+      JOIN prospects p ON p.id = s.prospectId
+      WHERE ${whereClauses.join(' AND ')}
+      ORDER BY datetime(s.scheduledAt) ASC, s.stepOrder ASC
+    `,
+    params,
+  );
+}
+
+/**
+ * Marks a pending step as `completed` or `skipped`. Completing a step also
+ * stamps the prospect's lastContactedAt and moves uncontacted prospects to
+ * contacted. Resolves to null when the step does not exist.
+ */
+async function resolveOutreachStep(id, status) {
+  const step = await getOutreachStepById(id);
+  if (!step) return null;
+  if (step.status !== 'pending') {
+    throw new Error('STEP_NOT_PENDING');
+  }
+
+  const nowIso = new Date().toISOString();
+
+  await withTransaction(async () => {
+    // Another request may have resolved the step since it was read above.
+    const { changes } = await run(
+      `UPDATE outreach_steps SET status = ?, completedAt = ? WHERE id = ? AND status = 'pending'`,
+      [status, nowIso, id],
+    );
+    if (changes === 0) {
+      throw new Error('STEP_NOT_PENDING');
+    }
+    if (status === 'completed') {
+      await run(
+        `
+          UPDATE prospects
+          SET lastContactedAt = ?,
+              updatedAt = datetime('now'),
+              status = CASE WHEN status = 'uncontacted' THEN 'contacted' ELSE status END
+          WHERE id = ?
+        `,
+        [nowIso, step.prospectId],
+      );
+    }
+  });
+
+  return getOutreachStepById(id);
+}
+
+function getSocialPostById(id) {
+  return get('SELECT * FROM social_posts WHERE id = ?', [id]);
+}
+
+function parseRevision(row) {
+  return row ? { ...row, changedFields: parseJsonColumn(row.changedFields) || [] } : null;
+}
+
+function insertPostRevision(post, { revision, changedFields, restoredFrom, actor, createdAt }) {
+  return run(
+    `
+      INSERT OR IGNORE INTO social_post_revisions (
+        id, postId, revision, ${EDITABLE_POST_FIELDS.join(', ')}, changedFields, restoredFrom,
+        actor, createdAt
+      )
+      VALUES (?, ?, ?, ${EDITABLE_POST_FIELDS.map(() => '?').join(', ')}, ?, ?, ?, ?)
+    `,
+    [
+      `${post.id}_r${revision}`,
+      post.id,
+      revision,
+      ...EDITABLE_POST_FIELDS.map((field) => post[field] ?? null),
+      JSON.stringify(changedFields || []),
+      restoredFrom ?? null,
+      actor ?? null,
+      createdAt,
+    ],
+  );
+}
+
+/**
+ * Stores the post as revision 1 if it has no history yet (posts created
+ * before revisions were kept, or never edited), dated when it was created.
+ */
+function seedPostRevision(post) {
+  const created = String(post.createdAt || '');
+  const createdAt = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(created)
+    ? `${created.replace(' ', 'T')}.000Z`
+    : created || new Date().toISOString();
+  return insertPostRevision(post, { revision: 1, createdAt });
+}
+
+async function listPostRevisions(postId) {
+  const post = await getSocialPostById(postId);
+  if (!post) return null;
+  await seedPostRevision(post);
+  const rows = await all(
+    'SELECT * FROM social_post_revisions WHERE postId = ? ORDER BY revision DESC',
+    [postId],
+  );
+  return rows.map(parseRevision);
+}
+
+async function getPostRevision(postId, revision) {
+  const post = await getSocialPostById(postId);
+  if (!post) return null;
+  await seedPostRevision(post);
+  return parseRevision(
+    await get('SELECT * FROM social_post_revisions WHERE postId = ? AND revision = ?', [
+      postId,
+      revision,
+    ]),
+  );
+}
+
+/**
+ * Applies edited fields and records the result as the next revision, then
+ * the optional `status` change, all in one transaction so a rejected status
+ * leaves the edits unsaved. A changed schedule clears any pending retry
+ * delay. Rejects with POST_LOCKED when the post is sent or being published
+ * by then, or with the errors of applySocialPostStatus. Resolves to the
+ * updated post, or null when it does not exist.
+ */
+async function updateSocialPostFields(id, changes, { actor, restoredFrom, status } = {}) {
+  const columns = Object.keys(changes).filter((c) => EDITABLE_POST_FIELDS.includes(c));
+  if (columns.length === 0 && status === undefined) return getSocialPostById(id);
+
+  return withTransaction(async () => {
+    const post = await getSocialPostById(id);
+    if (!post) return null;
+    if (columns.length > 0) {
+      await applySocialPostEdit(post, columns, changes, { actor, restoredFrom });
+    }
+    if (status !== undefined) await applySocialPostStatus(id, status);
+    return getSocialPostById(id);
+  });
+}
+
+// Edit half of updateSocialPostFields; runs inside its transaction.
+async function applySocialPostEdit(post, columns, changes, { actor, restoredFrom }) {
+  await seedPostRevision(post);
+
+  const assignments = columns.map((c) => `${c} = ?`);
+  if (columns.includes('scheduledFor')) assignments.push('nextAttemptAt = NULL');
+  const now = new Date().toISOString();
+  const { changes: changed } = await run(
+    `
+      UPDATE social_posts
+      SET ${assignments.join(', ')}, updatedAt = ?
+      WHERE id = ? AND status NOT IN ('publishing', 'sent')
+    `,
+    [...columns.map((c) => changes[c]), now, post.id],
+  );
+  if (changed === 0) throw new Error('POST_LOCKED');
+
+  const updated = await getSocialPostById(post.id);
+  const latest = await get(
+    'SELECT MAX(revision) AS revision FROM social_post_revisions WHERE postId = ?',
+    [post.id],
+  );
+  await insertPostRevision(updated, {
+    revision: (latest && latest.revision ? latest.revision : 0) + 1,
+    changedFields: columns,
+    restoredFrom,
+    actor,
+    createdAt: now,
+  });
+}
+
+const INTERRUPTED_PUBLISH_ERROR =
+  'Interrupted while publishing; not retried automatically in case it went out. ' +
+  'Check the channel, then reschedule if needed.';
+
+/**
+ * Posts left in `publishing` by a crash or restart may or may not have gone
+ * out, so they are failed instead of retried. Resolves to the number found.
+ */
+async function failInterruptedPublishes() {
+  const now = new Date().toISOString();
+  const { changes } = await run(
+    `
+      UPDATE social_posts
+      SET status = 'failed', failedAt = ?, publishError = ?
+      WHERE status = 'publishing'
+    `,
+    [now, INTERRUPTED_PUBLISH_ERROR],
+  );
+  return changes;
+}
+
+const MISSED_SCHEDULE_ERROR =
+  'Missed its scheduled time while the scheduler was not running; not sent. ' +
+  'Reschedule it to publish.';
+
+/**
+ * Fails scheduled posts that were due before `cutoff` (or whose retry was),
+ * so a scheduler that starts after downtime, or is enabled for the first
+ * time, does not send a backlog of stale posts. Resolves to the number found.
+ */
+async function failMissedSchedules(cutoff) {
+  const { changes } = await run(
+    `
+      UPDATE social_posts
+      SET status = 'failed', failedAt = ?, publishError = ?, nextAttemptAt = NULL
+      WHERE status = 'scheduled'
+        AND scheduledFor IS NOT NULL
+        AND COALESCE(nextAttemptAt, scheduledFor) < ?
+    `,
+    [new Date().toISOString(), MISSED_SCHEDULE_ERROR, cutoff],
+  );
+  return changes;
+}
+
+/**
+ * Rewrites schedule times stored before they were normalized to UTC ISO, so
+ * they compare correctly as text. Wall-clock values are read in the post's
+ * timezone (SOCIAL_DEFAULT_TIMEZONE when unset), as new posts are. Scheduled
+ * posts whose time cannot be parsed are failed. Resolves to the number of
+ * rows changed.
+ */
+async function normalizeStoredSchedules() {
+  const rows = await all(
+    `
+      SELECT id, status, scheduledFor, timezone
+      FROM social_posts
+      WHERE scheduledFor IS NOT NULL AND scheduledFor != ''
+    `,
+  );
+  let changed = 0;
+  for (const row of rows) {
+    const utc = toUtcIso(row.scheduledFor, row.timezone || DEFAULT_TIMEZONE);
+    if (utc === row.scheduledFor) continue;
+    if (utc) {
+      await run('UPDATE social_posts SET scheduledFor = ? WHERE id = ?', [utc, row.id]);
+    } else if (row.status === 'scheduled') {
+      await run(
+        `UPDATE social_posts SET status = 'failed', failedAt = ?, publishError = ? WHERE id = ?`,
+        [new Date().toISOString(), `scheduledFor is not a valid date: ${row.scheduledFor}`, row.id],
+      );
+    } else {
+      continue;
+    }
+    changed++;
+  }
+  return changed;
+}
+
+function calendarPostFilters({ channels = [], campaignId, statuses = [] }) {
+  const whereClauses = [];
+  const params = [];
+  if (channels.length > 0) {
+    whereClauses.push(`p.channel IN (${channels.map(() => '?').join(',')})`);
+    params.push(...channels);
+  }
+  if (campaignId) {
+    whereClauses.push('p.campaignId = ?');
+    params.push(campaignId);
+  }
+  if (statuses.length > 0) {
+    whereClauses.push(`p.status IN (${statuses.map(() => '?').join(',')})`);
+    params.push(...statuses);
+  }
+  return { whereClauses, params };
+}
+
+/**
+ * Posts scheduled in [start, end) (UTC ISO) for the content calendar, with
+ * `campaignName`, earliest first.
+ */
+function getCalendarSocialPosts({ start, end, ...filters }) {
+  const { whereClauses, params } = calendarPostFilters(filters);
+  return all(
+    `
+      SELECT p.*, c.name AS campaignName
+      FROM social_posts p
+      LEFT JOIN campaigns c ON c.id = p.campaignId
+      WHERE p.scheduledFor >= ? AND p.scheduledFor < ?
+        ${whereClauses.map((clause) => `AND ${clause}`).join(' ')}
+      ORDER BY p.scheduledFor ASC, datetime(p.createdAt) ASC, p.rowid ASC
+    `,
+    [start, end, ...params],
+  );
+}
+
+/**
+ * One page of posts with no `scheduledFor`, oldest first, with
+ * `campaignName`. Resolves to { posts, total }.
+ */
+async function getUnscheduledSocialPosts({ limit, offset, ...filters }) {
+  const { whereClauses, params } = calendarPostFilters(filters);
+  const where = [`(p.scheduledFor IS NULL OR p.scheduledFor = '')`, ...whereClauses].join(' AND ');
+  const [posts, count] = await Promise.all([
+    all(
+      `
+        SELECT p.*, c.name AS campaignName
+        FROM social_posts p
+        LEFT JOIN campaigns c ON c.id = p.campaignId
+        WHERE ${where}
+        ORDER BY datetime(p.createdAt) ASC, p.rowid ASC
+        LIMIT ? OFFSET ?
+      `,
+      [...params, limit, offset],
+    ),
+    get(`SELECT COUNT(*) AS total FROM social_posts p WHERE ${where}`, params),
+  ]);
+  return { posts, total: Number(count?.total || 0) };
+}
+
+/**
+ * Scheduled posts whose time (and retry delay) has passed, oldest first.
+ * Posts in paused campaigns are held until the campaign is resumed.
+ */
+function getDueSocialPosts(now, limit) {
+  return all(
+    `
+      SELECT p.*
+      FROM social_posts p
+      LEFT JOIN campaigns c ON c.id = p.campaignId
+      WHERE p.status = 'scheduled'
+        AND p.scheduledFor IS NOT NULL
+        AND p.scheduledFor <= ?
+        AND (p.nextAttemptAt IS NULL OR p.nextAttemptAt <= ?)
+        AND (c.status IS NULL OR c.status != 'paused')
+      ORDER BY p.scheduledFor ASC, p.rowid ASC
+      LIMIT ?
+    `,
+    [now, now, limit],
+  );
+}
+
+/**
+ * Moves a scheduled post to `publishing` and counts the attempt. Resolves to
+ * false when the post is no longer scheduled (edited, or claimed by another
+ * process), in which case it must not be published.
+ */
+async function claimSocialPostForPublish(id) {
+  const { changes } = await run(
+    `
+      UPDATE social_posts
+      SET status = 'publishing', publishAttempts = COALESCE(publishAttempts, 0) + 1,
+          publishStartedAt = ?
+      WHERE id = ? AND status = 'scheduled'
+    `,
+    [new Date().toISOString(), id],
+  );
+  return changes > 0;
+}
+
+function markSocialPostSent(id, { externalId, url } = {}) {
+  const now = new Date().toISOString();
+  return run(
+    `
+      UPDATE social_posts
+      SET status = 'sent', sentAt = COALESCE(sentAt, ?), publishError = NULL, nextAttemptAt = NULL,
+          externalId = ?, externalUrl = ?
+      WHERE id = ? AND status = 'publishing'
+    `,
+    [now, externalId ?? null, url ?? null, id],
+  );
+}
+
+/**
+ * Records a failed attempt: back to `scheduled` until `retryAt` when given,
+ * otherwise `failed` for good.
+ */
+function markSocialPostPublishFailed(id, { error, retryAt }) {
+  if (retryAt) {
+    return run(
+      `
+        UPDATE social_posts
+        SET status = 'scheduled', publishError = ?, nextAttemptAt = ?
+        WHERE id = ? AND status = 'publishing'
+      `,
+      [error, retryAt, id],
+    );
+  }
+  return run(
+    `
+      UPDATE social_posts
+      SET status = 'failed', publishError = ?, nextAttemptAt = NULL, failedAt = ?
+      WHERE id = ? AND status = 'publishing'
+    `,
+    [error, new Date().toISOString(), id],
+  );
+}
+
+/** Inserts several posts in one transaction; resolves to the stored rows. */
+async function createSocialPosts(posts) {
+  if (posts.length === 0) return [];
+  await withTransaction(async () => {
+    for (const post of posts) {
+      await run(
+        `
+          INSERT INTO social_posts (
+            id, campaignId, channel, content, tone, scheduledFor, timezone, status, origin,
+            imageIdea, promptVersion
+          )
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `,
+        [
+          post.id,
+          post.campaignId ?? null,
+          post.channel,
+          post.content,
+          post.tone ?? null,
+          post.scheduledFor ?? null,
+          post.timezone ?? null,
+          post.status || 'draft',
+          post.origin ?? null,
+          post.imageIdea ?? null,
+          post.promptVersion ?? null,
+        ],
+      );
+    }
+  });
+  const ids = posts.map((post) => post.id);
+  const rows = await all(
+    `SELECT * FROM social_posts WHERE id IN (${ids.map(() => '?').join(',')})`,
+    ids,
+  );
+  const byId = new Map(rows.map((row) => [row.id, row]));
+  return ids.map((id) => byId.get(id));
+}
+
+async function addPostMetricSnapshot({ id, postId, impressions, clicks, leadsGenerated, notes, capturedAt }) {
+  await run(
+    `
+      INSERT INTO post_metrics (id, postId, impressions, clicks, leadsGenerated, notes, capturedAt)
+      VALUES (?, ?, ?, ?, ?, ?, COALESCE(?, datetime('now')))
+    `,
+    [id, postId, impressions, clicks, leadsGenerated, notes ?? null, capturedAt ?? null],
+  );
+  return get('SELECT * FROM post_metrics WHERE id = ?', [id]);
+}
+
+function getPostMetrics(postId) {
+  return all(
+    `
+      SELECT *
+      FROM post_metrics
+      WHERE postId = ?
+      ORDER BY datetime(capturedAt) ASC, rowid ASC
+    `,
+    [postId],
+  );
+}
+
+const POST_METRIC_GROUP_COLUMNS = {
+  campaign: 'p.campaignId',
+  channel: 'p.channel',
+  origin: "COALESCE(p.origin, 'manual')",
+};
+
+/**
+ * Sums the latest snapshot of each post, grouped by campaign, channel or
+ * origin. Snapshots are cumulative, so older ones are ignored.
+ */
+function getPostMetricsRollup(groupBy, { campaignId } = {}) {
+  const groupColumn = POST_METRIC_GROUP_COLUMNS[groupBy];
+  if (!groupColumn) {
+    return Promise.reject(new Error('INVALID_GROUP_BY'));
+  }
+
+  const whereClauses = [
+    `m.rowid = (
+      SELECT m2.rowid
+      FROM post_metrics m2
+      WHERE m2.postId = m.postId
+      ORDER BY datetime(m2.capturedAt) DESC, m2.rowid DESC
+      LIMIT 1
+    )`,
+  ];
+  const params = [];
+  if (campaignId) {
+    whereClauses.push('p.campaignId = ?');
+    params.push(campaignId);
+  }
+
+  return all(
+    `
+      SELECT
+        ${groupColumn} AS groupKey,
+        COUNT(*) AS posts,
+        SUM(m.impressions) AS impressions,
+        SUM(m.clicks) AS clicks,
+        SUM(m.leadsGenerated) AS leadsGenerated
+      FROM post_metrics m
+      JOIN social_posts p ON p.id = m.postId
+      WHERE ${whereClauses.join(' AND ')}
+      GROUP BY groupKey
+      ORDER BY impressions DESC
+    `,
+    params,
+  );
+}
+
+function parseImportTemplate(row) {
+  if (!row) return null;
+  let mapping = {};
+  try {
+    mapping = JSON.parse(row.mapping);
+  } catch (err) {
+    console.error('Invalid mapping JSON for import template', row.vendor, err);
+  }
+  return { ...row, mapping };
+}
+
+function getImportTemplate(vendor) {
+  return get('SELECT * FROM import_templates WHERE vendor = ?', [vendor]).then(parseImportTemplate);
+}
+
+function listImportTemplates() {
+  return all('SELECT * FROM import_templates ORDER BY vendor ASC').then((rows) =>
+    rows.map(parseImportTemplate),
+  );
+}
+
+async function saveImportTemplate(vendor, mapping, id) {
+  await run(
+    `
+      INSERT INTO import_templates (id, vendor, mapping)
+      VALUES (?, ?, ?)
+      ON CONFLICT(vendor) DO UPDATE SET mapping = excluded.mapping, updatedAt = datetime('now')
+    `,
+    [id, vendor, JSON.stringify(mapping)],
+  );
+  return getImportTemplate(vendor);
+}
+
+function deleteImportTemplate(vendor) {
+  return run('DELETE FROM import_templates WHERE vendor = ?', [vendor]).then(
+    ({ changes }) => changes > 0,
+  );
+}
+
+function listSuppressionEntries({ type } = {}) {
+  const where = type ? 'WHERE type = ?' : '';
+  return all(
+    `SELECT * FROM suppression_list ${where} ORDER BY createdAt DESC, value ASC`,
+    type ? [type] : [],
+  );
+}
+
+function getSuppressionEntryById(id) {
+  return get('SELECT * FROM suppression_list WHERE id = ?', [id]);
+}
+
+/**
+ * Adds a do-not-contact entry. Adding a (type, value) pair that is already
+ * listed keeps the original entry; `created` tells the two cases apart.
+ */
+async function addSuppressionEntry({ id, type, value, reason, createdBy }) {
+  const { changes } = await run(
+    `
+      INSERT INTO suppression_list (id, type, value, reason, createdBy)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(type, value) DO NOTHING
+    `,
+    [id, type, value, reason ?? null, createdBy ?? null],
+  );
+  const entry = await get('SELECT * FROM suppression_list WHERE type = ? AND value = ?', [
+    type,
+    value,
+  ]);
+  return { entry, created: changes > 0 };
+}
+
+function deleteSuppressionEntry(id) {
+  return run('DELETE FROM suppression_list WHERE id = ?', [id]).then(({ changes }) => changes > 0);
+}
+
+/** Stores validation results given as [{ id, emailStatus, emailCheckedAt }]. */
+async function setProspectEmailStatuses(results) {
+  if (results.length === 0) return;
+  await withTransaction(async () => {
+    for (const result of results) {
+      await run('UPDATE prospects SET emailStatus = ?, emailCheckedAt = ? WHERE id = ?', [
+        result.emailStatus,
+        result.emailCheckedAt,
+        result.id,
+      ]);
+    }
+  });
+}
+
+function listUnsuppressedProspectIdentities() {
+  return all(
+    'SELECT id, email, normalizedEmail, normalizedDomain FROM prospects WHERE suppressedAt IS NULL',
+  );
+}
+
+/**
+ * Suppresses the given prospects that are not suppressed yet and resolves to
+ * the ids that changed.
+ */
+async function suppressProspects(ids, reason) {
+  const suppressedIds = [];
+  const chunkSize = 500;
+
+  await withTransaction(async () => {
+    for (let i = 0; i < ids.length; i += chunkSize) {
+      const chunk = ids.slice(i, i + chunkSize);
+      const placeholders = chunk.map(() => '?').join(',');
+      const rows = await all(
+        `SELECT id FROM prospects WHERE id IN (${placeholders}) AND suppressedAt IS NULL`,
+        chunk,
+      );
+      if (rows.length === 0) continue;
+
+      const pending = rows.map((r) => r.id);
+      await run(
+        `
+          UPDATE prospects
+          SET suppressedAt = datetime('now'), suppressionReason = ?, updatedAt = datetime('now')
+          WHERE id IN (${pending.map(() => '?').join(',')})
+        `,
+        [reason ?? null, ...pending],
+      );
+      suppressedIds.push(...pending);
+    }
+  });
+
+  return suppressedIds;
+}
+
+/**
+ * Appends one or more entries to the prospect activity log. Entries are never
+ * edited; they are only deleted together with their prospect (deleteProspect,
+ * and the orphan cleanup in initDb).
+ */
+async function logProspectActivity(entries) {
+  const list = Array.isArray(entries) ? entries : [entries];
+  if (list.length === 0) return;
+
+  const insert = (entry) =>
+    run(
+      `
+        INSERT INTO prospect_activity (id, prospectId, type, actor, details, createdAt)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `,
+      [
+        entry.id,
+        entry.prospectId,
+        entry.type,
+        entry.actor ?? null,
+        entry.details ? JSON.stringify(entry.details) : null,
+        entry.createdAt || new Date().toISOString(),
+      ],
+    );
+
+  if (list.length === 1) {
+    await insert(list[0]);
+    return;
+  }
+  await withTransaction(async () => {
+    for (const entry of list) {
+      await insert(entry);
+    }
+  });
+}
+
+async function getProspectActivity(prospectId) {
+  const rows = await all(
+    `
+      SELECT id, prospectId, type, actor, details, createdAt
+      FROM prospect_activity
+      WHERE prospectId = ?
+      ORDER BY createdAt ASC, rowid ASC
+    `,
+    [prospectId],
+  );
+  return rows.map((row) => {
+    let details = null;
+    if (row.details) {
+      try {
+        details = JSON.parse(row.details);
+      } catch (err) {
+        details = null;
+      }
+    }
+    return { ...row, details };
+  });
+}
+
+/**
+ * Stores enrichment results as new history rows and copies fitScore,
+ * fitLabel and enrichedAt onto each prospect so lists can filter and sort on
+ * the latest run without a join.
+ */
+async function saveProspectEnrichments(entries) {
+  if (entries.length === 0) return;
+  await withTransaction(async () => {
+    for (const entry of entries) {
+      await run(
+        `
+          INSERT INTO prospect_enrichments (
+            id, prospectId, fitScore, fitLabel, primaryPain, summary, method, model, path,
+            promptVersion, createdAt
+          )
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `,
+        [
+          entry.id,
+          entry.prospectId,
+          entry.fitScore ?? null,
+          entry.fitLabel ?? null,
+          entry.primaryPain ?? null,
+          entry.summary ?? null,
+          entry.method,
+          entry.model ?? null,
+          entry.path ?? null,
+          entry.promptVersion ?? null,
+          entry.createdAt,
+        ],
+      );
+      await run('UPDATE prospects SET fitScore = ?, fitLabel = ?, enrichedAt = ? WHERE id = ?', [
+        entry.fitScore ?? null,
+        entry.fitLabel ?? null,
+        entry.createdAt,
+        entry.prospectId,
+      ]);
+    }
+  });
+}
+
+function getProspectEnrichments(prospectId) {
+  return all(
+    `
+      SELECT * FROM prospect_enrichments
+      WHERE prospectId = ?
+      ORDER BY createdAt DESC, rowid DESC
+    `,
+    [prospectId],
+  );
+}
+
+/** Latest enrichment of every non-merged prospect in a source that has one. */
+function getLatestSourceEnrichments(sourceId) {
+  return all(
+    `
+      SELECT
+        e.*,
+        p.companyName,
+        p.contactName,
+        p.email,
+        p.website,
+        p.status
+      FROM prospects p
+      JOIN prospect_enrichments e ON e.id = (
+        SELECT id FROM prospect_enrichments
+        WHERE prospectId = p.id
+        ORDER BY createdAt DESC, rowid DESC
+        LIMIT 1
+      )
+      WHERE p.sourceId = ? AND p.mergedIntoId IS NULL
+      ORDER BY p.createdAt DESC
+    `,
+    [sourceId],
+  );
+}
+
+/** Latest version of `key`, or of the given `version` when passed. */
+function getPromptTemplate(key, version) {
+  if (version != null) {
+    return get('SELECT * FROM prompt_templates WHERE key = ? AND version = ?', [key, version]);
+  }
+  return get('SELECT * FROM prompt_templates WHERE key = ? ORDER BY version DESC LIMIT 1', [key]);
+}
+
+function listPromptTemplateVersions(key) {
+  return all(
+    `
+      SELECT id, key, version, note, rolledBackFrom, createdBy, createdAt
+      FROM prompt_templates
+      WHERE key = ?
+      ORDER BY version DESC
+    `,
+    [key],
+  );
+}
+
+/** Stores `template` as version 1 of `key` unless the key already has one. */
+function seedPromptTemplate({ id, key, systemPrompt, body }) {
+  return run(
+    `
+      INSERT OR IGNORE INTO prompt_templates (id, key, version, systemPrompt, body, note, createdBy)
+      VALUES (?, ?, 1, ?, ?, 'Built-in default', 'system')
+    `,
+    [id, key, systemPrompt ?? null, body],
+  );
+}
+
+/**
+ * Appends the next version of `key`, which becomes the active one. Versions
+ * are never edited or deleted, so a rollback is a new version copying an
+ * older one (`rolledBackFrom`).
+ */
+async function addPromptTemplateVersion({
+  id,
+  key,
+  systemPrompt,
+  body,
+  note,
+  rolledBackFrom,
+  createdBy,
+}) {
+  return withTransaction(async () => {
+    const row = await get('SELECT MAX(version) AS version FROM prompt_templates WHERE key = ?', [key]);
+    const version = (row && row.version ? row.version : 0) + 1;
+    await run(
+      `
+        INSERT INTO prompt_templates (id, key, version, systemPrompt, body, note, rolledBackFrom, createdBy)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+      [
+        id,
+        key,
+        version,
+        systemPrompt ?? null,
+        body,
+        note ?? null,
+        rolledBackFrom ?? null,
+        createdBy ?? null,
+      ],
+    );
+    return get('SELECT * FROM prompt_templates WHERE id = ?', [id]);
+  });
+}
+
+function parseJsonColumn(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return null;
+  }
+}
+
+function parseJob(row) {
+  if (!row) return null;
+  return { ...row, payload: parseJsonColumn(row.payload) };
+}
+
+/** Queues a job with one pending item per key, in order. */
+async function createJob({ id, type, payload, itemKeys, createdBy, generateItemId }) {
+  await withTransaction(async () => {
+    await run(
+      `
+        INSERT INTO jobs (id, type, status, payload, total, createdBy)
+        VALUES (?, ?, 'queued', ?, ?, ?)
+      `,
+      [id, type, JSON.stringify(payload || {}), itemKeys.length, createdBy ?? null],
+    );
+    for (let position = 0; position < itemKeys.length; position++) {
+      await run(
+        'INSERT INTO job_items (id, jobId, itemKey, position) VALUES (?, ?, ?, ?)',
+        [generateItemId(), id, itemKeys[position], position],
+      );
+    }
+  });
+  return getJobById(id);
+}
+
+function getJobById(id) {
+  return get('SELECT * FROM jobs WHERE id = ?', [id]).then(parseJob);
+}
+
+function listJobs({ type, status, limit = 50 } = {}) {
+  const whereClauses = [];
+  const params = [];
+  if (type) {
+    whereClauses.push('type = ?');
+    params.push(type);
+  }
+  if (status) {
+    whereClauses.push('status = ?');
+    params.push(status);
+  }
+  const where = whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : '';
+  return all(`SELECT * FROM jobs ${where} ORDER BY createdAt DESC, rowid DESC LIMIT ?`, [
+    ...params,
+    limit,
+  ]).then((rows) => rows.map(parseJob));
+}
+
+/** Queued or running job of `type` whose payload has `payloadKey` = `value`. */
+function findActiveJob(type, payloadKey, value) {
+  return get(
+    `
+      SELECT * FROM jobs
+      WHERE type = ? AND status IN ('queued', 'running') AND json_extract(payload, ?) = ?
+      ORDER BY createdAt ASC
+      LIMIT 1
+    `,
+    [type, `$.${payloadKey}`, value],
+  ).then(parseJob);
+}
+
+async function getJobItems(jobId) {
+  const rows = await all(
+    `
+      SELECT itemKey, status, attempts, error, result, updatedAt
+      FROM job_items
+      WHERE jobId = ?
+      ORDER BY position ASC
+    `,
+    [jobId],
+  );
+  return rows.map((row) => ({ ...row, result: parseJsonColumn(row.result) }));
+}
+
+/**
+ * Puts jobs and items that were running when the process stopped back in
+ * the queue, so they resume on the next start. Finished items are kept.
+ */
+async function requeueInterruptedJobs() {
+  await run(`UPDATE job_items SET status = 'pending' WHERE status = 'running'`);
+  const { changes } = await run(
+    `UPDATE jobs SET status = 'queued', updatedAt = datetime('now') WHERE status = 'running'`,
+  );
+  return changes;
+}
+
+/** Marks the oldest queued job as running and returns it, or null. */
+async function claimNextJob() {
+  let job = null;
+  await withTransaction(async () => {
+    const row = await get(
+      `SELECT * FROM jobs WHERE status = 'queued' ORDER BY createdAt ASC, rowid ASC LIMIT 1`,
+    );
+    if (!row) return;
+    await run(
+      `
+        UPDATE jobs
+        SET status = 'running', startedAt = COALESCE(startedAt, datetime('now')), updatedAt = datetime('now')
+        WHERE id = ?
+      `,
+      [row.id],
+    );
+    job = parseJob({ ...row, status: 'running' });
+  });
+  return job;
+}
+
+/** Claims up to `limit` pending items of a job, in order. */
+async function claimJobItems(jobId, limit) {
+  let items = [];
+  await withTransaction(async () => {
+    items = await all(
+      `
+        SELECT id, itemKey, attempts FROM job_items
+        WHERE jobId = ? AND status = 'pending'
+        ORDER BY position ASC
+        LIMIT ?
+      `,
+      [jobId, limit],
+    );
+    if (items.length === 0) return;
+    await run(
+      `
+        UPDATE job_items
+        SET status = 'running', attempts = attempts + 1, updatedAt = datetime('now')
+        WHERE id IN (${items.map(() => '?').join(',')})
+      `,
+      items.map((item) => item.id),
+    );
+  });
+  return items.map((item) => ({ ...item, attempts: item.attempts + 1 }));
+}
+
+/**
+ * Records item outcomes given as [{ id, status, error, result }] where
+ * status is done, failed or pending (to retry), then refreshes the job's
+ * counters.
+ */
+async function completeJobItems(jobId, outcomes) {
+  await withTransaction(async () => {
+    for (const outcome of outcomes) {
+      await run(
+        `
+          UPDATE job_items
+          SET status = ?, error = ?, result = ?, updatedAt = datetime('now')
+          WHERE id = ?
+        `,
+        [
+          outcome.status,
+          outcome.error ?? null,
+          outcome.result === undefined ? null : JSON.stringify(outcome.result),
+          outcome.id,
+        ],
+      );
+    }
+    await run(
+      `
+        UPDATE jobs
+        SET succeeded = (SELECT COUNT(*) FROM job_items WHERE jobId = ? AND status = 'done'),
+            failed = (SELECT COUNT(*) FROM job_items WHERE jobId = ? AND status = 'failed'),
+            updatedAt = datetime('now')
+        WHERE id = ?
+      `,
+      [jobId, jobId, jobId],
+    );
+  });
+}
+
+function finishJob(id, status, error) {
+  return run(
+    `
+      UPDATE jobs
+      SET status = ?, error = ?, finishedAt = datetime('now'), updatedAt = datetime('now')
+      WHERE id = ?
+    `,
+    [status, error ?? null, id],
+  );
+}
+
+/**
+ * Applies a merge in one transaction: updates the survivor, moves notes and
+ * outreach steps off the losers, archives the losers with mergedIntoId and
+ * writes the prospect_merges audit row. The survivor inherits the earliest
+ * suppression and the latest lastContactedAt of the group so a do-not-contact
+ * flag is never lost.
+ */
+async function mergeProspects({ mergeId, survivor, losers, changes, fieldSources, actor }) {
+  const loserIds = losers.map((l) => l.id);
+  const placeholders = loserIds.map(() => '?').join(',');
+  const group = [survivor, ...losers];
+
+  const firstSuppressed = group
+    .filter((p) => p.suppressedAt)
+    .sort((a, b) => a.suppressedAt.localeCompare(b.suppressedAt))[0];
+  const suppressedAt = firstSuppressed ? firstSuppressed.suppressedAt : null;
+  const suppressionReason = firstSuppressed ? firstSuppressed.suppressionReason || null : null;
+  const lastContactedAt =
+    group
+      .map((p) => p.lastContactedAt)
+      .filter(Boolean)
+      .sort()
+      .pop() || null;
+  // Keep the survivor's attribution; otherwise inherit the earliest one.
+  const attributed = survivor.originCampaignId
+    ? survivor
+    : losers
+        .filter((p) => p.originCampaignId)
+        .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)))[0] || survivor;
+
+  let movedNotes = 0;
+  let movedOutreachSteps = 0;
+
+  await withTransaction(async () => {
+    const columns = Object.keys(changes).filter((c) => UPDATABLE_PROSPECT_COLUMNS.includes(c));
+    await run(
+      `
+        UPDATE prospects
+        SET ${columns.map((c) => `${c} = ?`).join(', ')},
+            suppressedAt = ?,
+            suppressionReason = ?,
+            lastContactedAt = ?,
+            originCampaignId = ?,
+            originPostId = ?,
+            updatedAt = datetime('now')
+        WHERE id = ?
+      `,
+      [
+        ...columns.map((c) => changes[c]),
+        suppressedAt,
+        suppressionReason,
+        lastContactedAt,
+        attributed.originCampaignId ?? null,
+        attributed.originPostId ?? null,
+        survivor.id,
+      ],
+    );
+
+    ({ changes: movedNotes } = await run(
+      `UPDATE prospect_notes SET prospectId = ? WHERE prospectId IN (${placeholders})`,
+      [survivor.id, ...loserIds],
+    ));
+    ({ changes: movedOutreachSteps } = await run(
+      `UPDATE outreach_steps SET prospectId = ? WHERE prospectId IN (${placeholders})`,
+      [survivor.id, ...loserIds],
+    ));
+    await run(
+      `
+        INSERT OR IGNORE INTO campaign_prospects (campaignId, prospectId, addedAt, addedBy)
+        SELECT campaignId, ?, addedAt, addedBy
+        FROM campaign_prospects
+        WHERE prospectId IN (${placeholders})
+      `,
+      [survivor.id, ...loserIds],
+    );
+    await run(`DELETE FROM campaign_prospects WHERE prospectId IN (${placeholders})`, loserIds);
+
+    await run(
+      `
+        UPDATE prospects
+        SET archivedAt = COALESCE(archivedAt, datetime('now')),
+            mergedIntoId = ?,
+            updatedAt = datetime('now')
+        WHERE id IN (${placeholders})
+      `,
+      [survivor.id, ...loserIds],
+    );
+
+    await run(
+      `
+        INSERT INTO prospect_merges (
+          id, survivorId, loserIds, fieldSources, survivorBefore, losersBefore,
+          movedNotes, movedOutreachSteps, actor
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+      [
+        mergeId,
+        survivor.id,
+        JSON.stringify(loserIds),
+        JSON.stringify(fieldSources || {}),
+        JSON.stringify(survivor),
+        JSON.stringify(losers),
+        movedNotes,
+        movedOutreachSteps,
+        actor ?? null,
+      ],
+    );
+  });
+
+  return {
+    mergeId,
+    survivor: await get('SELECT * FROM prospects WHERE id = ?', [survivor.id]),
+    archivedLoserIds: loserIds,
+    movedNotes,
+    movedOutreachSteps,
+  };
+}
+
+async function getProspectMerges(prospectId) {
+  const rows = await all(
+    `
+      SELECT *
+      FROM prospect_merges
+      WHERE survivorId = ?
+         OR EXISTS (SELECT 1 FROM json_each(prospect_merges.loserIds) WHERE value = ?)
+      ORDER BY datetime(createdAt) DESC
+    `,
+    [prospectId, prospectId],
+  );
+  return rows.map((row) => ({
+    ...row,
+    loserIds: JSON.parse(row.loserIds),
+    fieldSources: row.fieldSources ? JSON.parse(row.fieldSources) : {},
+    survivorBefore: JSON.parse(row.survivorBefore),
+    losersBefore: JSON.parse(row.losersBefore),
+  }));
+}
+
 module.exports = {
+  SOCIAL_POST_STATUSES,
   getDb,
   initDb,
-  updateProspectStatus,
-  updateSocialPostStatus,
+  updateProspectFields,
   getProspectNotes,
   getNotesByProspectIds,
   addProspectNote,
   getProspectById,
+  insertProspects,
+  deleteProspect,
   getCampaignById,
+  updateCampaignFields,
+  getCampaignPostCounts,
+  deleteCampaign,
+  addCampaignProspects,
+  removeCampaignProspect,
+  getProspectCampaigns,
+  getCampaignAttributionRows,
+  getCampaignLinkCounts,
   getSourceById,
   getDomainProfile,
   upsertDomainProfile,
   updateSourceIcp,
+  getOutreachSequenceById,
+  listOutreachSequences,
+  createOutreachSequence,
+  archiveOutreachSequence,
+  enrollProspectInSequence,
+  hasPendingSequenceSteps,
+  getOutreachStepById,
+  getProspectOutreachSteps,
+  getDueOutreachSteps,
+  resolveOutreachStep,
+  getSocialPostById,
+  updateSocialPostFields,
+  listPostRevisions,
+  getPostRevision,
+  failInterruptedPublishes,
+  failMissedSchedules,
+  normalizeStoredSchedules,
+  getCalendarSocialPosts,
+  getUnscheduledSocialPosts,
+  getDueSocialPosts,
+  claimSocialPostForPublish,
+  markSocialPostSent,
+  markSocialPostPublishFailed,
+  createSocialPosts,
+  addPostMetricSnapshot,
+  getPostMetrics,
+  getPostMetricsRollup,
+  getImportTemplate,
+  listImportTemplates,
+  saveImportTemplate,
+  deleteImportTemplate,
+  logProspectActivity,
+  getProspectActivity,
+  mergeProspects,
+  getProspectMerges,
+  listSuppressionEntries,
+  getSuppressionEntryById,
+  addSuppressionEntry,
+  deleteSuppressionEntry,
+  listUnsuppressedProspectIdentities,
+  suppressProspects,
+  setProspectEmailStatuses,
+  saveProspectEnrichments,
+  getProspectEnrichments,
+  getLatestSourceEnrichments,
+  getPromptTemplate,
+  listPromptTemplateVersions,
+  seedPromptTemplate,
+  addPromptTemplateVersion,
+  createJob,
+  getJobById,
+  listJobs,
+  findActiveJob,
+  getJobItems,
+  requeueInterruptedJobs,
+  claimNextJob,
+  claimJobItems,
+  completeJobItems,
+  finishJob,
 };
@@ -0,0 +1,221 @@
+// Legal suffixes and filler words dropped before comparing company names.
+const COMPANY_STOPWORDS = new Set([
+  'the',
+  'and',
+  'ltd',
+  'limited',
+  'llc',
+  'llp',
+  'inc',
+  'incorporated',
+  'corp',
+  'corporation',
+  'co',
+  'company',
+  'plc',
+  'gmbh',
+  'group',
+  'holdings',
+  'uk',
+]);
+
+const MAX_BLOCK_SIZE = 200;
+
+function normalizeCompanyName(name) {
+  if (!name || typeof name !== 'string') return null;
+  const words = name
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' and ')
+    .split(/[^a-z0-9]+/)
+    .filter((w) => w && !COMPANY_STOPWORDS.has(w));
+  return words.length > 0 ? words.join(' ') : null;
+}
+
+function phoneDigits(phone) {
+  if (!phone || typeof phone !== 'string') return null;
+  const digits = phone.replace(/\D/g, '');
+  return digits.length >= 7 ? digits.slice(-10) : null;
+}
+
+/** Jaro-Winkler similarity in [0, 1]. */
+function jaroWinkler(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const matchWindow = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatches = new Array(a.length).fill(false);
+  const bMatches = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const start = Math.max(0, i - matchWindow);
+    const end = Math.min(i + matchWindow + 1, b.length);
+    for (let j = start; j < end; j++) {
+      if (!bMatches[j] && a[i] === b[j]) {
+        aMatches[i] = true;
+        bMatches[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatches[i]) continue;
+    while (!bMatches[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+
+  const jaro =
+    (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < 4 && a[prefix] && a[prefix] === b[prefix]) prefix++;
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+function groupBy(items, keyFn) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyFn(item);
+    if (!key) continue;
+    const list = groups.get(key) || [];
+    list.push(item);
+    groups.set(key, list);
+  }
+  return groups;
+}
+
+// Links every member of an exact-match group to the first one: enough to
+// put them all in one cluster without comparing every pair.
+function forEachMember(list, fn) {
+  for (let i = 1; i < list.length; i++) fn(list[0], list[i]);
+}
+
+/**
+ * Compares every pair within the first MAX_BLOCK_SIZE rows of a block.
+ * Returns false when the block was larger and the rest were not compared.
+ */
+function forEachPair(list, fn) {
+  const capped = list.slice(0, MAX_BLOCK_SIZE);
+  for (let i = 0; i < capped.length; i++) {
+    for (let j = i + 1; j < capped.length; j++) {
+      fn(capped[i], capped[j]);
+    }
+  }
+  return list.length <= MAX_BLOCK_SIZE;
+}
+
+/**
+ * Scores pairs of likely duplicates and joins them into clusters.
+ *
+ * Rules, strongest first:
+ * - same_email: identical normalizedEmail (1.0)
+ * - same_phone: same E.164 normalizedPhone, or last 10 digits when a number
+ *   could not be normalized (0.9)
+ * - same_domain_similar_name: same normalizedDomain and contact names with
+ *   Jaro-Winkler >= 0.85 (0.6 - 0.95)
+ * - fuzzy_company_name: company names, minus legal suffixes, with
+ *   Jaro-Winkler >= 0.92 (0.5 - 0.7)
+ *
+ * Pairwise rules only compare rows that share a blocking key (domain, or the
+ * first word of the company name) so the scan stays close to linear. Blocks
+ * over MAX_BLOCK_SIZE are only partly compared and listed in
+ * `truncatedBlocks` as `{ reason, key, size, compared }`.
+ */
+function findDuplicateClusters(prospects, { minConfidence = 0 } = {}) {
+  const edges = [];
+  const truncatedBlocks = [];
+  const addEdge = (a, b, reason, confidence) => {
+    if (a.id === b.id || confidence < minConfidence) return;
+    edges.push({ a: a.id, b: b.id, reason, confidence: Math.round(confidence * 100) / 100 });
+  };
+  const compareBlocks = (blocks, reason, fn) => {
+    for (const [key, group] of blocks) {
+      if (!forEachPair(group, fn)) {
+        truncatedBlocks.push({ reason, key, size: group.length, compared: MAX_BLOCK_SIZE });
+      }
+    }
+  };
+
+  for (const group of groupBy(prospects, (p) => p.normalizedEmail).values()) {
+    forEachMember(group, (a, b) => addEdge(a, b, 'same_email', 1));
+  }
+
+  for (const group of groupBy(prospects, (p) => p.normalizedPhone || phoneDigits(p.phone)).values()) {
+    forEachMember(group, (a, b) => addEdge(a, b, 'same_phone', 0.9));
+  }
+
+  const domainBlocks = groupBy(prospects, (p) => p.normalizedDomain);
+  compareBlocks(domainBlocks, 'same_domain_similar_name', (a, b) => {
+    if (!a.normalizedContactName || !b.normalizedContactName) return;
+    if (a.normalizedEmail && a.normalizedEmail === b.normalizedEmail) return;
+    const similarity = jaroWinkler(a.normalizedContactName, b.normalizedContactName);
+    if (similarity >= 0.85) {
+      addEdge(a, b, 'same_domain_similar_name', 0.6 + (similarity - 0.85) * (0.35 / 0.15));
+    }
+  });
+
+  const companyKeys = new Map(prospects.map((p) => [p.id, normalizeCompanyName(p.companyName)]));
+  const companyBlocks = groupBy(prospects, (p) => {
+    const key = companyKeys.get(p.id);
+    return key ? key.split(' ')[0] : null;
+  });
+  compareBlocks(companyBlocks, 'fuzzy_company_name', (a, b) => {
+    const similarity = jaroWinkler(companyKeys.get(a.id), companyKeys.get(b.id));
+    if (similarity >= 0.92) {
+      addEdge(a, b, 'fuzzy_company_name', 0.5 + (similarity - 0.92) * (0.2 / 0.08));
+    }
+  });
+
+  const parent = new Map();
+  const find = (id) => {
+    let root = id;
+    while (parent.has(root) && parent.get(root) !== root) root = parent.get(root);
+    parent.set(id, root);
+    return root;
+  };
+  for (const edge of edges) {
+    const rootA = find(edge.a);
+    const rootB = find(edge.b);
+    if (rootA !== rootB) parent.set(rootA, rootB);
+  }
+
+  const byId = new Map(prospects.map((p) => [p.id, p]));
+  const clusters = new Map();
+  for (const edge of edges) {
+    const root = find(edge.a);
+    const cluster = clusters.get(root) || { memberIds: new Set(), matches: [] };
+    cluster.memberIds.add(edge.a);
+    cluster.memberIds.add(edge.b);
+    cluster.matches.push({
+      reason: edge.reason,
+      confidence: edge.confidence,
+      prospectIds: [edge.a, edge.b],
+    });
+    clusters.set(root, cluster);
+  }
+
+  const sortedClusters = Array.from(clusters.values())
+    .map((cluster) => ({
+      confidence: Math.max(...cluster.matches.map((m) => m.confidence)),
+      reasons: Array.from(new Set(cluster.matches.map((m) => m.reason))),
+      matches: cluster.matches.sort((x, y) => y.confidence - x.confidence),
+      prospects: Array.from(cluster.memberIds).map((id) => byId.get(id)),
+    }))
+    .sort((x, y) => y.confidence - x.confidence || y.prospects.length - x.prospects.length);
+  return { clusters: sortedClusters, truncatedBlocks };
+}
+
+module.exports = {
+  normalizeCompanyName,
+  jaroWinkler,
+  findDuplicateClusters,
+};
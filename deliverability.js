@@ -0,0 +1,248 @@
+const dns = require('dns');
+
+// Strongest problem first; validateEmail reports the first one that applies.
+const EMAIL_STATUSES = ['invalid', 'disposable', 'no_mx', 'role', 'unknown', 'valid'];
+
+// Shared mailboxes rather than a person. Deliverable, but poor outreach targets.
+const ROLE_LOCAL_PARTS = new Set([
+  'accounts',
+  'admin',
+  'administrator',
+  'billing',
+  'careers',
+  'contact',
+  'contactus',
+  'enquiries',
+  'enquiry',
+  'finance',
+  'hello',
+  'help',
+  'hr',
+  'info',
+  'inquiries',
+  'jobs',
+  'mail',
+  'marketing',
+  'media',
+  'no-reply',
+  'noreply',
+  'office',
+  'orders',
+  'postmaster',
+  'press',
+  'reception',
+  'recruitment',
+  'sales',
+  'service',
+  'support',
+  'team',
+  'webmaster',
+]);
+
+// Throwaway inbox providers. Not exhaustive; covers the ones seen in lists.
+const DISPOSABLE_DOMAINS = new Set([
+  '10minutemail.com',
+  '20minutemail.com',
+  'burnermail.io',
+  'discard.email',
+  'dispostable.com',
+  'emailondeck.com',
+  'fakeinbox.com',
+  'getairmail.com',
+  'getnada.com',
+  'guerrillamail.biz',
+  'guerrillamail.com',
+  'guerrillamail.de',
+  'guerrillamail.net',
+  'guerrillamail.org',
+  'guerrillamailblock.com',
+  'harakirimail.com',
+  'inboxbear.com',
+  'jetable.org',
+  'mailcatch.com',
+  'maildrop.cc',
+  'mailinator.com',
+  'mailinator.net',
+  'mailnesia.com',
+  'mailpoof.com',
+  'mintemail.com',
+  'mohmal.com',
+  'moakt.com',
+  'mytemp.email',
+  'nada.email',
+  'sharklasers.com',
+  'spam4.me',
+  'spamgourmet.com',
+  'temp-mail.io',
+  'temp-mail.org',
+  'tempail.com',
+  'tempmail.com',
+  'tempmail.net',
+  'tempmailo.com',
+  'tempr.email',
+  'throwawaymail.com',
+  'trashmail.com',
+  'trashmail.de',
+  'trashmail.net',
+  'yopmail.com',
+  'yopmail.fr',
+  'yopmail.net',
+]);
+
+const LOCAL_PART_PATTERN = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/i;
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/i;
+
+const MX_LOOKUP_TIMEOUT_MS = 3000;
+
+function splitEmail(email) {
+  if (!email || typeof email !== 'string') return null;
+  const trimmed = email.trim().toLowerCase();
+  const at = trimmed.lastIndexOf('@');
+  if (at <= 0) return null;
+  return { address: trimmed, local: trimmed.slice(0, at), domain: trimmed.slice(at + 1) };
+}
+
+function isValidEmailSyntax(email) {
+  const parts = splitEmail(email);
+  if (!parts || parts.address.length > 254 || parts.local.length > 64) return false;
+  return LOCAL_PART_PATTERN.test(parts.local) && DOMAIN_PATTERN.test(parts.domain);
+}
+
+function isRoleAccount(email) {
+  const parts = splitEmail(email);
+  if (!parts) return false;
+  return ROLE_LOCAL_PARTS.has(parts.local.split('+')[0]);
+}
+
+function isDisposableDomain(domain) {
+  return Boolean(domain) && DISPOSABLE_DOMAINS.has(String(domain).toLowerCase());
+}
+
+/**
+ * The checks that need no DNS: 'invalid' or 'disposable', or null when the
+ * address needs an MX lookup before it can be classified.
+ */
+function getOfflineEmailStatus(email) {
+  if (!isValidEmailSyntax(email)) return 'invalid';
+  return isDisposableDomain(splitEmail(email).domain) ? 'disposable' : null;
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(null), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Default resolver: true when the domain accepts mail (MX records, or an A
+ * record as the implicit MX), false when it does not exist or publishes a
+ * null MX, null when DNS could not tell us.
+ */
+async function dnsMxResolver(domain) {
+  const lookup = async () => {
+    try {
+      const records = await dns.promises.resolveMx(domain);
+      if (records.length === 1 && records[0].exchange === '') return false;
+      return records.length > 0;
+    } catch (err) {
+      if (err.code === 'ENOTFOUND') return false;
+      if (err.code !== 'ENODATA') return null;
+    }
+    try {
+      const addresses = await dns.promises.resolve4(domain);
+      return addresses.length > 0;
+    } catch (err) {
+      return err.code === 'ENOTFOUND' || err.code === 'ENODATA' ? false : null;
+    }
+  };
+  return withTimeout(lookup(), MX_LOOKUP_TIMEOUT_MS);
+}
+
+function createDefaultResolver() {
+  return process.env.EMAIL_MX_LOOKUP === 'off' ? async () => null : dnsMxResolver;
+}
+
+let mxResolver = createDefaultResolver();
+
+/**
+ * Swaps the MX lookup, e.g. for a stub in tests. The resolver takes a domain
+ * and resolves to true, false or null (unknown); pass null to restore the
+ * default.
+ */
+function setMxResolver(resolver) {
+  mxResolver = resolver || createDefaultResolver();
+}
+
+/**
+ * Runs every check for one address. `mxCache` (a Map of domain -> promise)
+ * lets callers validating many addresses look each domain up once.
+ * Resolves to { status, checks: { syntax, role, disposable, mx } }.
+ */
+async function validateEmail(email, { mxCache = new Map() } = {}) {
+  const checks = { syntax: isValidEmailSyntax(email), role: false, disposable: false, mx: null };
+  if (!checks.syntax) return { status: 'invalid', checks };
+
+  const { domain } = splitEmail(email);
+  checks.role = isRoleAccount(email);
+  checks.disposable = isDisposableDomain(domain);
+  if (checks.disposable) return { status: 'disposable', checks };
+
+  if (!mxCache.has(domain)) {
+    mxCache.set(
+      domain,
+      Promise.resolve()
+        .then(() => mxResolver(domain))
+        .catch(() => null),
+    );
+  }
+  checks.mx = await mxCache.get(domain);
+
+  if (checks.mx === false) return { status: 'no_mx', checks };
+  if (checks.role) return { status: 'role', checks };
+  return { status: checks.mx ? 'valid' : 'unknown', checks };
+}
+
+/**
+ * Validates many addresses with at most `concurrency` lookups in flight and
+ * one MX lookup per domain. Empty values are skipped. Resolves to a Map of
+ * trimmed, lower-cased address -> result.
+ */
+async function validateEmails(emails, { concurrency = 8 } = {}) {
+  const unique = Array.from(
+    new Set(
+      (emails || [])
+        .filter((email) => typeof email === 'string' && email.trim())
+        .map((email) => email.trim().toLowerCase()),
+    ),
+  );
+  const results = new Map();
+  const mxCache = new Map();
+  let next = 0;
+
+  const worker = async () => {
+    while (next < unique.length) {
+      const email = unique[next++];
+      results.set(email, await validateEmail(email, { mxCache }));
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, unique.length) }, worker));
+  return results;
+}
+
+function emailValidationKey(email) {
+  return typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : null;
+}
+
+module.exports = {
+  EMAIL_STATUSES,
+  isValidEmailSyntax,
+  isRoleAccount,
+  isDisposableDomain,
+  getOfflineEmailStatus,
+  setMxResolver,
+  validateEmail,
+  validateEmails,
+  emailValidationKey,
+};
@@ -0,0 +1,106 @@
+const FIT_LABELS = ['hot', 'warm', 'cool', 'cold'];
+
+// Rough token estimate (about four characters per token for English text);
+// good enough to keep batches well inside the context window.
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * Splits `entries` ({ block }) into batches whose blocks together stay under
+ * `maxTokens`, with at most `maxItems` per batch. An entry bigger than the
+ * budget on its own still gets a batch of one.
+ */
+function batchByTokenBudget(entries, { maxTokens, maxItems }) {
+  const batches = [];
+  let current = [];
+  let currentTokens = 0;
+
+  for (const entry of entries) {
+    const tokens = estimateTokens(entry.block);
+    if (current.length > 0 && (currentTokens + tokens > maxTokens || current.length >= maxItems)) {
+      batches.push(current);
+      current = [];
+      currentTokens = 0;
+    }
+    current.push(entry);
+    currentTokens += tokens;
+  }
+  if (current.length > 0) batches.push(current);
+  return batches;
+}
+
+/**
+ * Pulls the array of results out of a model reply. Tolerates code fences,
+ * prose around the JSON and a `{ "results": [...] }` wrapper. Returns null
+ * when no array can be parsed.
+ */
+function parseEnrichmentOutput(text) {
+  if (!text || typeof text !== 'string') return null;
+  const candidates = [text.trim()];
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) candidates.push(fenced[1].trim());
+  const start = text.indexOf('[');
+  const end = text.lastIndexOf(']');
+  if (start !== -1 && end > start) candidates.push(text.slice(start, end + 1));
+
+  for (const candidate of candidates) {
+    try {
+      const parsed = JSON.parse(candidate);
+      if (Array.isArray(parsed)) return parsed;
+      if (parsed && Array.isArray(parsed.results)) return parsed.results;
+    } catch (err) {
+      // try the next candidate
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks one returned item against the enrichment schema. Returns
+ * { value } with the cleaned fields, or { error } describing the first
+ * problem found.
+ */
+function validateEnrichmentItem(item) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return { error: 'item is not an object' };
+  }
+  if (typeof item.prospectId !== 'string' || !item.prospectId) {
+    return { error: 'prospectId is missing' };
+  }
+
+  const fitScore = typeof item.fitScore === 'string' ? Number(item.fitScore) : item.fitScore;
+  if (typeof fitScore !== 'number' || !Number.isFinite(fitScore) || fitScore < 0 || fitScore > 100) {
+    return { error: 'fitScore must be a number from 0 to 100' };
+  }
+
+  const fitLabel = typeof item.fitLabel === 'string' ? item.fitLabel.trim().toLowerCase() : null;
+  if (!FIT_LABELS.includes(fitLabel)) {
+    return { error: `fitLabel must be one of ${FIT_LABELS.join(', ')}` };
+  }
+
+  for (const field of ['primaryPain', 'summary']) {
+    if (typeof item[field] !== 'string' || !item[field].trim()) {
+      return { error: `${field} must be a non-empty string` };
+    }
+  }
+
+  return {
+    value: {
+      prospectId: item.prospectId,
+      fitScore: Math.round(fitScore),
+      fitLabel,
+      primaryPain: item.primaryPain.trim(),
+      summary: item.summary.trim(),
+    },
+  };
+}
+
+module.exports = {
+  FIT_LABELS,
+  estimateTokens,
+  batchByTokenBudget,
+  parseEnrichmentOutput,
+  validateEnrichmentItem,
+};
@@ -1,35 +1,172 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const OpenAI = require('openai');
 
 const {
+  SOCIAL_POST_STATUSES,
   initDb,
-  updateProspectStatus,
-  updateSocialPostStatus,
+  updateProspectFields,
   getProspectNotes,
   getNotesByProspectIds,
   addProspectNote,
   getProspectById,
+  insertProspects,
+  deleteProspect,
   getCampaignById,
+  updateCampaignFields,
+  getCampaignPostCounts,
+  deleteCampaign,
+  addCampaignProspects,
+  removeCampaignProspect,
+  getProspectCampaigns,
+  getCampaignAttributionRows,
+  getCampaignLinkCounts,
   getSourceById,
   getDomainProfile,
   upsertDomainProfile,
   updateSourceIcp,
+  getOutreachSequenceById,
+  listOutreachSequences,
+  createOutreachSequence,
+  archiveOutreachSequence,
+  enrollProspectInSequence,
+  hasPendingSequenceSteps,
+  getOutreachStepById,
+  getProspectOutreachSteps,
+  getDueOutreachSteps,
+  resolveOutreachStep,
+  getSocialPostById,
+  getCalendarSocialPosts,
+  normalizeStoredSchedules,
+  getUnscheduledSocialPosts,
+  updateSocialPostFields,
+  listPostRevisions,
+  getPostRevision,
+  createSocialPosts,
+  addPostMetricSnapshot,
+  getPostMetrics,
+  getPostMetricsRollup,
+  getImportTemplate,
+  listImportTemplates,
+  saveImportTemplate,
+  deleteImportTemplate,
+  logProspectActivity,
+  getProspectActivity,
+  mergeProspects,
+  getProspectMerges,
+  listSuppressionEntries,
+  getSuppressionEntryById,
+  addSuppressionEntry,
+  deleteSuppressionEntry,
+  listUnsuppressedProspectIdentities,
+  suppressProspects,
+  setProspectEmailStatuses,
+  saveProspectEnrichments,
+  getProspectEnrichments,
+  getLatestSourceEnrichments,
+  getPromptTemplate,
+  listPromptTemplateVersions,
+  seedPromptTemplate,
+  addPromptTemplateVersion,
+  createJob,
+  getJobById,
+  listJobs,
+  findActiveJob,
+  getJobItems,
 } = require('./db');
+const {
+  decodeBuffer,
+  detectDelimiter,
+  parseDelimited,
+  autoDetectMapping,
+  validateMapping,
+  findMissingHeaders,
+  applyMapping,
+  toCsvRow,
+} = require('./csv');
+const { findDuplicateClusters } = require('./dedupe');
+const {
+  batchByTokenBudget,
+  parseEnrichmentOutput,
+  validateEnrichmentItem,
+} = require('./enrichment');
+const { registerJobHandler, kickJobWorker, startJobWorker } = require('./jobs');
+const { publishDuePosts, kickPostScheduler, startPostScheduler } = require('./scheduler');
+const { createSocialPublisher } = require('./publishers');
+const {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  normalizeSchedule,
+  toUtcIso,
+  formatInTimeZone,
+} = require('./scheduling');
+const {
+  MAX_CALENDAR_DAYS,
+  parseCalendarDate,
+  addDays,
+  groupPostsByDay,
+  buildPostCalendar,
+} = require('./calendar');
+const {
+  EDITABLE_POST_FIELDS,
+  LOCKED_POST_STATUSES,
+  MAX_POST_CONTENT_LENGTH,
+  normalizePostEdit,
+  diffPostRevisions,
+} = require('./posts');
+const { createLlmProvider } = require('./llm');
+const {
+  CAMPAIGN_STATUSES,
+  CAMPAIGN_STATUS_TRANSITIONS,
+  canTransitionCampaign,
+  normalizeCampaignInput,
+  summarizeProspectPipeline,
+} = require('./campaigns');
+const {
+  normalizeSuggestionOptions,
+  buildSuggestionVariables,
+  selectSuggestions,
+  buildFallbackSuggestions,
+} = require('./suggestions');
+const {
+  DEFAULT_PROMPT_TEMPLATES,
+  isPromptTemplateKey,
+  extractTemplateVariables,
+  validatePromptTemplate,
+  supportsSystemPrompt,
+  renderPromptTemplate,
+} = require('./prompts');
+const { NORMALIZATION_VERSION, normalizeProspectIdentity } = require('./normalize');
+const {
+  SUPPRESSION_TYPES,
+  normalizeSuppressionEntry,
+  buildSuppressionMatcher,
+} = require('./suppression');
+const {
+  EMAIL_STATUSES,
+  validateEmail,
+  validateEmails,
+  getOfflineEmailStatus,
+  emailValidationKey,
+} = require('./deliverability');
+const {
+  createUnsubscribeToken,
+  readUnsubscribeToken,
+  renderUnsubscribePage,
+} = require('./unsubscribe');
 
 const app = express();
 const PORT = process.env.PORT || 3004;
 const LEADDESK_API_BASE = process.env.LEADDESK_API_BASE || 'http://127.0.0.1:3003';
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
 
 app.use(cors());
 app.use(express.json());
 
 const db = initDb();
-const openai =
-  process.env.OPENAI_API_KEY
-    ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
-    : null;
+const llm = createLlmProvider();
+
+const OUTREACH_CHANNELS = ['email', 'call', 'linkedin'];
 
 function generateId(prefix) {
   const random = Math.random().toString(36).substring(2, 8);
@@ -37,78 +174,327 @@ function generateId(prefix) {
   return `${prefix}_${timestamp}_${random}`;
 }
 
-function normalizeEmail(email) {
-  if (!email || typeof email !== 'string') return null;
-  const trimmed = email.trim().toLowerCase();
-  return trimmed || null;
+function getActor(req) {
+  const actor = req.get('X-LeadGen-Actor');
+  return actor && actor.trim() ? actor.trim() : null;
 }
 
-function normalizeName(name) {
-  if (!name || typeof name !== 'string') return null;
-  const trimmed = name.trim().toLowerCase().replace(/\s+/g, ' ');
-  return trimmed || null;
+/**
+ * Best-effort write to the prospect activity log; a logging failure is
+ * reported but never fails the request that triggered it.
+ */
+function recordActivity(req, prospectId, type, details) {
+  recordActivityAs(req ? getActor(req) : null, prospectId, type, details);
 }
 
-function extractDomainFromWebsiteOrEmail(website, email) {
-  if (website && typeof website === 'string') {
-    const value = website.trim();
-    if (value) {
-      try {
-        const url = value.startsWith('http') ? value : `https://${value}`;
-        const parsed = new URL(url);
-        const host = parsed.hostname.replace(/^www\./i, '');
-        if (host) return host.toLowerCase();
-      } catch (e) {
-        // ignore invalid website
-      }
-    }
+/** recordActivity for work that runs outside a request, e.g. background jobs. */
+function recordActivityAs(actor, prospectId, type, details) {
+  const entries = (Array.isArray(prospectId) ? prospectId : [prospectId]).map((id) => ({
+    id: generateId('act'),
+    prospectId: id,
+    type,
+    actor,
+    details: typeof details === 'function' ? details(id) : details || null,
+  }));
+  logProspectActivity(entries).catch((err) => {
+    console.error(`Failed to record ${type} activity:`, err);
+  });
+}
+
+// SQLite datetime('now') values are UTC without a zone marker.
+function toIsoTimestamp(value) {
+  if (!value) return null;
+  const text = String(value);
+  const isSqliteUtc = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(text);
+  const date = new Date(isSqliteUtc ? `${text.replace(' ', 'T')}Z` : text);
+  return Number.isNaN(date.getTime()) ? text : date.toISOString();
+}
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Reads sort/order/limit/offset for list endpoints. `sortFields` maps the
+ * public field name to the SQL expression it sorts on. Lists are always
+ * paged: `limit` defaults to DEFAULT_PAGE_SIZE and is capped at
+ * MAX_PAGE_SIZE. Returns { error } on invalid input.
+ */
+function parseListOptions(
+  query,
+  { sortFields, defaultSort = 'createdAt', defaultOrder = 'desc', tiebreaker = 'rowid' },
+) {
+  const sort = typeof query.sort === 'string' && query.sort.trim() ? query.sort.trim() : defaultSort;
+  if (!Object.prototype.hasOwnProperty.call(sortFields, sort)) {
+    return { error: `sort must be one of ${Object.keys(sortFields).join(', ')}` };
   }
-  if (email && typeof email === 'string' && email.includes('@')) {
-    const domainPart = email.split('@')[1]?.trim();
-    if (domainPart) return domainPart.replace(/^www\./i, '').toLowerCase();
+
+  const order = typeof query.order === 'string' ? query.order.trim().toLowerCase() : defaultOrder;
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'order must be asc or desc' };
   }
-  return null;
+
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+  }
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  if (!Number.isInteger(offset) || offset < 0) {
+    return { error: 'offset must be a non-negative integer' };
+  }
+
+  const expression = sortFields[sort];
+  const direction = order.toUpperCase();
+  return {
+    sort,
+    order,
+    limit,
+    offset,
+    // NULLs last in both directions, rowid keeps pages stable on ties.
+    orderBy: `(${expression}) IS NULL, ${expression} ${direction}, ${tiebreaker} ${direction}`,
+  };
 }
 
-function checkDuplicateProspect({ normalizedEmail, normalizedDomain, normalizedContactName }) {
-  return new Promise((resolve, reject) => {
-    if (normalizedEmail) {
+/**
+ * Runs a list query for one page and sends the shared envelope:
+ * { data, pagination: { total, limit, offset, hasMore }, sort }.
+ */
+function respondWithList(
+  res,
+  {
+    select = '*',
+    from,
+    fromParams = [],
+    whereClauses = [],
+    params = [],
+    options,
+    mapRow = (row) => row,
+    errorMessage,
+  },
+) {
+  const where = whereClauses.length > 0 ? ` WHERE ${whereClauses.join(' AND ')}` : '';
+  const sql = `SELECT ${select} FROM ${from}${where} ORDER BY ${options.orderBy} LIMIT ? OFFSET ?`;
+  const listParams = [...fromParams, ...params, options.limit, options.offset];
+
+  db.all(sql, listParams, (err, rows) => {
+    if (err) {
+      console.error(`${errorMessage}:`, err);
+      return res.status(500).json({ error: errorMessage });
+    }
+    const data = (rows || []).map(mapRow);
+
+    db.get(`SELECT COUNT(*) AS total FROM ${from}${where}`, [...fromParams, ...params], (countErr, countRow) => {
+      if (countErr) {
+        console.error(`${errorMessage} (count):`, countErr);
+        return res.status(500).json({ error: errorMessage });
+      }
+      const total = Number(countRow?.total || 0);
+      return res.json({
+        data,
+        pagination: {
+          total,
+          limit: options.limit,
+          offset: options.offset,
+          hasMore: options.offset + data.length < total,
+        },
+        sort: { field: options.sort, order: options.order },
+      });
+    });
+  });
+}
+
+function withMetricRates(row) {
+  const impressions = Number(row.impressions || 0);
+  const clicks = Number(row.clicks || 0);
+  const leadsGenerated = Number(row.leadsGenerated || 0);
+  return {
+    ...row,
+    impressions,
+    clicks,
+    leadsGenerated,
+    clickThroughRate: impressions > 0 ? clicks / impressions : null,
+    leadsPer1000Impressions: impressions > 0 ? (leadsGenerated / impressions) * 1000 : null,
+  };
+}
+
+/**
+ * Finds an existing prospect sharing an identity key, checked in order:
+ * normalized email, E.164 phone, then domain + contact name. Prospects that
+ * were merged away resolve to the prospect they were merged into.
+ * `excludeIds` skips the given rows, e.g. the prospect being edited, and the
+ * rows merged into them. Resolves to { id, suppressedAt, matchedOn } or null.
+ */
+async function checkDuplicateProspect({
+  normalizedEmail,
+  normalizedPhone,
+  normalizedDomain,
+  normalizedContactName,
+  excludeIds = [],
+}) {
+  const placeholders = excludeIds.map(() => '?').join(',');
+  const excludeClause =
+    excludeIds.length > 0
+      ? ` AND id NOT IN (${placeholders})` +
+        ` AND (mergedIntoId IS NULL OR mergedIntoId NOT IN (${placeholders}))`
+      : '';
+
+  const findBy = (matchedOn, condition, params) =>
+    new Promise((resolve, reject) => {
       db.get(
-        'SELECT id, suppressedAt FROM prospects WHERE normalizedEmail = ? LIMIT 1',
-        [normalizedEmail],
+        `SELECT id, suppressedAt, mergedIntoId FROM prospects WHERE ${condition}${excludeClause} LIMIT 1`,
+        [...params, ...excludeIds, ...excludeIds],
         (err, row) => {
           if (err) return reject(err);
-          if (row) return resolve(row);
-          if (normalizedDomain && normalizedContactName) {
-            db.get(
-              'SELECT id, suppressedAt FROM prospects WHERE normalizedDomain = ? AND normalizedContactName = ? LIMIT 1',
-              [normalizedDomain, normalizedContactName],
-              (err2, row2) => {
-                if (err2) return reject(err2);
-                return resolve(row2 || null);
-              },
-            );
-          } else {
-            return resolve(null);
-          }
+          if (!row) return resolve(null);
+          return resolve({ id: row.mergedIntoId || row.id, suppressedAt: row.suppressedAt, matchedOn });
         },
       );
-    } else if (normalizedDomain && normalizedContactName) {
-      db.get(
-        'SELECT id, suppressedAt FROM prospects WHERE normalizedDomain = ? AND normalizedContactName = ? LIMIT 1',
-        [normalizedDomain, normalizedContactName],
-        (err, row) => {
+    });
+
+  if (normalizedEmail) {
+    const byEmail = await findBy('email', 'normalizedEmail = ?', [normalizedEmail]);
+    if (byEmail) return byEmail;
+  }
+  if (normalizedPhone) {
+    const byPhone = await findBy('phone', 'normalizedPhone = ?', [normalizedPhone]);
+    if (byPhone) return byPhone;
+  }
+  if (normalizedDomain && normalizedContactName) {
+    return findBy('domain_name', 'normalizedDomain = ? AND normalizedContactName = ?', [
+      normalizedDomain,
+      normalizedContactName,
+    ]);
+  }
+  return null;
+}
+
+/** Columns to store for a prospect's email; both null when there is none. */
+async function checkProspectEmail(email) {
+  if (!emailValidationKey(email)) {
+    return { emailStatus: null, emailCheckedAt: null };
+  }
+  const { status } = await validateEmail(email);
+  return { emailStatus: status, emailCheckedAt: new Date().toISOString() };
+}
+
+/** Matcher over the current do-not-contact registry (see suppression.js). */
+function loadSuppressionMatcher() {
+  return listSuppressionEntries().then(buildSuppressionMatcher);
+}
+
+function suppressionConflict(entry) {
+  return {
+    error: 'SUPPRESSED',
+    suppressionEntry: { id: entry.id, type: entry.type, value: entry.value, reason: entry.reason },
+  };
+}
+
+/**
+ * Re-normalizes prospects stored under an older NORMALIZATION_VERSION, in
+ * batches, so dedupe keys stay comparable after the rules change. Runs once
+ * at startup; rows only ever move forward a version.
+ */
+async function backfillProspectNormalization() {
+  const batchSize = 500;
+  let updated = 0;
+
+  for (;;) {
+    const rows = await new Promise((resolve, reject) => {
+      db.all(
+        `
+          SELECT id, email, website, contactName, phone
+          FROM prospects
+          WHERE normalizationVersion IS NULL OR normalizationVersion < ?
+          LIMIT ${batchSize}
+        `,
+        [NORMALIZATION_VERSION],
+        (err, result) => {
           if (err) return reject(err);
-          return resolve(row || null);
+          resolve(result || []);
         },
       );
-    } else {
-      resolve(null);
+    });
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      const identity = normalizeProspectIdentity(row);
+      await new Promise((resolve, reject) => {
+        db.run(
+          `
+            UPDATE prospects
+            SET normalizedEmail = ?, normalizedDomain = ?, normalizedContactName = ?,
+                normalizedPhone = ?, normalizationVersion = ?
+            WHERE id = ?
+          `,
+          [
+            identity.normalizedEmail,
+            identity.normalizedDomain,
+            identity.normalizedContactName,
+            identity.normalizedPhone,
+            NORMALIZATION_VERSION,
+            row.id,
+          ],
+          (err) => (err ? reject(err) : resolve()),
+        );
+      });
     }
-  });
+    updated += rows.length;
+  }
+
+  if (updated > 0) {
+    console.log(`Re-normalized ${updated} prospects to normalization v${NORMALIZATION_VERSION}`);
+  }
+}
+
+/**
+ * Active (latest) version of a prompt template. The built-in default is
+ * stored as version 1 the first time a key is used.
+ */
+async function getActivePromptTemplate(key) {
+  const template = await getPromptTemplate(key);
+  if (template) return template;
+  await seedPromptTemplate({ id: generateId('ptpl'), key, ...DEFAULT_PROMPT_TEMPLATES[key] });
+  return getPromptTemplate(key);
+}
+
+/**
+ * Seeds every built-in template. When a key's active version is still an
+ * unedited built-in one and the wording in prompts.js has changed since, the
+ * new wording is added as the next version; keys edited through the API are
+ * left alone.
+ */
+async function syncBuiltInPromptTemplates() {
+  for (const [key, defaults] of Object.entries(DEFAULT_PROMPT_TEMPLATES)) {
+    const active = await getActivePromptTemplate(key);
+    const unchanged =
+      active.body === defaults.body && (active.systemPrompt ?? null) === (defaults.systemPrompt ?? null);
+    if (active.createdBy !== 'system' || unchanged) continue;
+
+    await addPromptTemplateVersion({
+      id: generateId('ptpl'),
+      key,
+      systemPrompt: defaults.systemPrompt,
+      body: defaults.body,
+      note: 'Built-in default updated',
+      createdBy: 'system',
+    });
+    console.log(`Updated built-in prompt template ${key}`);
+  }
 }
 
-async function generateCampaignSuggestionsWithOpenAI(campaignId, fallbackSuggestions) {
+/**
+ * Asks the LLM for social post ideas for `campaign` using the active
+ * `campaign_suggestions` template and the normalized request `options`
+ * (channels, variants per channel, tone, call to action). Each suggestion
+ * records the template version that produced it; the canned fallback posts
+ * (promptVersion null) are returned when AI is unavailable or the reply
+ * cannot be used.
+ */
+async function generateCampaignSuggestionsWithAi(campaign, options) {
+  const fallbackSuggestions = buildFallbackSuggestions(options).map((suggestion) => ({
+    ...suggestion,
+    promptVersion: null,
+  }));
+
   const extractJson = (text) => {
     if (!text || typeof text !== 'string') return null;
     let cleaned = text.trim();
@@ -137,56 +523,23 @@ async function generateCampaignSuggestionsWithOpenAI(campaignId, fallbackSuggest
     }
     return null;
   };
-  if (!openai || !process.env.OPENAI_API_KEY) {
-    console.warn('OPENAI_API_KEY missing – using fallback suggestions.');
+  if (!llm) {
+    console.warn('No LLM provider configured – using fallback suggestions.');
     return fallbackSuggestions;
   }
 
   try {
-    const prompt = `
-You are helping a B2B AI consultancy called Kalyan AI plan social posts for a lead generation campaign.
-
-Kalyan AI offers bespoke hosted AI software to automate processes and streamline operations, saving time and money, improving customer experience and increasing profit without taking on new staff.
-
-For campaign id: ${campaignId}
-
-Create exactly 4 social post ideas:
-1) LinkedIn - educational story style
-2) Twitter (X) - short and punchy hook
-3) Facebook - conversational with soft CTA
-4) Instagram - caption style with emojis
-
-For each suggestion, include:
-- channel
-- tone
-- content
-- imageIdea: a short description of the visual that should accompany the post (no more than 2 lines).
-
-Return STRICT JSON ONLY, no extra text.
-Shape:
-
-{
-  "suggestions": [
-    { "channel": "linkedin",  "tone": "educational",    "content": "...", "imageIdea": "..." },
-    { "channel": "twitter",   "tone": "punchy",         "content": "...", "imageIdea": "..." },
-    { "channel": "facebook",  "tone": "conversational", "content": "...", "imageIdea": "..." },
-    { "channel": "instagram", "tone": "caption",        "content": "...", "imageIdea": "..." }
-  ]
-}
-`;
-
-    const response = await openai.responses.create({
-      model: 'gpt-4.1-mini',
-      input: prompt,
-    });
+    const template = await getActivePromptTemplate('campaign_suggestions');
+    const { system, prompt } = renderPromptTemplate(
+      template,
+      buildSuggestionVariables(campaign, options),
+    );
 
-    const output =
-      response.output?.[0]?.content?.[0]?.text ||
-      response.output?.[0]?.content?.[0]?.string;
-    const raw = typeof output === 'string' ? output : '';
+    const { text } = await llm.generateText({ task: 'suggestions', system, prompt });
+    const raw = typeof text === 'string' ? text : '';
 
     if (!raw) {
-      console.warn('OpenAI suggestions returned empty output, using fallback.');
+      console.warn('AI suggestions returned empty output, using fallback.');
       return fallbackSuggestions;
     }
 
@@ -195,68 +548,46 @@ Shape:
       const jsonString = extractJson(raw);
       parsed = jsonString ? JSON.parse(jsonString) : JSON.parse(raw);
     } catch (e) {
-      console.warn('Failed to parse OpenAI suggestions JSON, using fallback.', e);
+      console.warn('Failed to parse AI suggestions JSON, using fallback.', e);
       return fallbackSuggestions;
     }
 
     if (!parsed || !Array.isArray(parsed.suggestions)) {
-      console.warn('OpenAI suggestions JSON shape invalid, using fallback.');
+      console.warn('AI suggestions JSON shape invalid, using fallback.');
       return fallbackSuggestions;
     }
 
-    const suggestions = parsed.suggestions
-      .filter((s) => s && typeof s.content === 'string')
-      .map((s) => ({
-        channel: s.channel || 'linkedin',
-        tone: s.tone || undefined,
-        content: s.content,
-        imageIdea: s.imageIdea || s.image_idea || null,
-      }));
+    const suggestions = selectSuggestions(parsed.suggestions, options).map((suggestion) => ({
+      ...suggestion,
+      promptVersion: template.version,
+    }));
 
     return suggestions.length > 0 ? suggestions : fallbackSuggestions;
   } catch (err) {
-    console.error('Error calling OpenAI for campaign suggestions:', err);
+    console.error('Error calling LLM provider for campaign suggestions:', err);
     return fallbackSuggestions;
   }
 }
 
+/**
+ * Generates a visual for a post idea from the active `image_from_idea`
+ * template. Resolves to { url, promptVersion }.
+ */
 async function generateImageFromIdea(idea, channel) {
-  if (!openai || !process.env.OPENAI_API_KEY) {
-    throw new Error('OPENAI_NOT_CONFIGURED');
+  if (!llm) {
+    throw new Error('LLM_NOT_CONFIGURED');
   }
 
-  const prompt = `
-Create a clean, modern marketing visual for a B2B AI consultancy called Kalyan AI.
-
-Kalyan AI offers bespoke hosted AI software to automate processes and streamline operations, saving time and money, improving customer experience and increasing profit without taking on new staff.
-
-Channel: ${channel || 'generic'}
-Visual idea: ${idea}
-
-The style should be professional, minimal, and suitable for LinkedIn / Twitter / Facebook / Instagram.
-Avoid any text inside the image (no big slogans or UI text), focus on strong, clear visuals.
-`;
-
-  const response = await openai.images.generate({
-    model: 'gpt-image-1',
-    prompt,
-    size: '1024x1024',
-    n: 1,
-  });
+  const template = await getActivePromptTemplate('image_from_idea');
+  const { prompt } = renderPromptTemplate(template, { idea, channel: channel || 'generic' });
 
-  const url =
-    response.data &&
-    Array.isArray(response.data) &&
-    response.data[0] &&
-    response.data[0].url
-      ? response.data[0].url
-      : null;
+  const { url } = await llm.generateImage({ task: 'image', prompt, size: '1024x1024' });
 
   if (!url) {
     throw new Error('NO_IMAGE_URL');
   }
 
-  return url;
+  return { url, promptVersion: template.version };
 }
 
 function htmlToText(html, maxLength = 8000) {
@@ -390,26 +721,87 @@ app.get('/debug/domain-profile', async (req, res) => {
   }
 });
 
+function parseOptionalId(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+/**
+ * Checks a campaign a source is being linked to. Resolves to { value } with
+ * the campaign id (null unlinks), or { error } when it does not exist or is
+ * archived.
+ */
+async function resolveSourceCampaign(value) {
+  if (value === null || value === '') return { value: null };
+  const campaignId = parseOptionalId(value);
+  if (!campaignId) return { error: 'campaignId must be a string or null' };
+  const campaign = await getCampaignById(campaignId);
+  if (!campaign) return { error: `Campaign ${campaignId} not found` };
+  if (campaign.status === 'archived') return { error: 'Cannot link a source to an archived campaign' };
+  return { value: campaignId };
+}
+
+/**
+ * Works out which campaign (and post) a new prospect is attributed to. A
+ * post implies its own campaign; with neither given, the source's campaign
+ * is used. Resolves to { value: { originCampaignId, originPostId } }, or
+ * { error } when a reference does not exist or the two disagree.
+ */
+async function resolveProspectAttribution({ sourceId, originCampaignId, originPostId }) {
+  const campaignId = parseOptionalId(originCampaignId);
+  const postId = parseOptionalId(originPostId);
+
+  if (postId) {
+    const post = await getSocialPostById(postId);
+    if (!post) return { error: `Social post ${postId} not found` };
+    if (campaignId && post.campaignId && post.campaignId !== campaignId) {
+      return { error: 'originPostId belongs to a different campaign' };
+    }
+    if (campaignId && !post.campaignId && !(await getCampaignById(campaignId))) {
+      return { error: `Campaign ${campaignId} not found` };
+    }
+    return { value: { originCampaignId: post.campaignId || campaignId, originPostId: postId } };
+  }
+
+  if (campaignId) {
+    if (!(await getCampaignById(campaignId))) return { error: `Campaign ${campaignId} not found` };
+    return { value: { originCampaignId: campaignId, originPostId: null } };
+  }
+
+  const source = sourceId ? await getSourceById(sourceId) : null;
+  return { value: { originCampaignId: (source && source.campaignId) || null, originPostId: null } };
+}
+
+const SOURCE_SORT_FIELDS = {
+  createdAt: 'datetime(createdAt)',
+  name: 'name COLLATE NOCASE',
+  type: 'type COLLATE NOCASE',
+  targetIndustry: 'targetIndustry COLLATE NOCASE',
+};
+
 app.get('/sources', (req, res) => {
   const includeArchived = req.query.archived === '1';
-  const whereClause = includeArchived ? 'WHERE archivedAt IS NOT NULL' : 'WHERE archivedAt IS NULL';
+  const options = parseListOptions(req.query, { sortFields: SOURCE_SORT_FIELDS });
+  if (options.error) {
+    return res.status(400).json({ error: options.error });
+  }
 
-  db.all(
-    `
-      SELECT id, name, type, description, metadata, archivedAt, createdAt, targetIndustry, companySize, roleFocus, mainAngle
-      FROM sources
-      ${whereClause}
-      ORDER BY datetime(createdAt) DESC
-    `,
-    [],
-    (err, rows) => {
-      if (err) {
-        console.error('Error fetching sources:', err);
-        return res.status(500).json({ error: 'Failed to fetch sources' });
-      }
-      return res.json(rows || []);
-    },
-  );
+  const whereClauses = [includeArchived ? 'archivedAt IS NOT NULL' : 'archivedAt IS NULL'];
+  const params = [];
+  const campaignId = parseOptionalId(req.query.campaignId);
+  if (campaignId) {
+    whereClauses.push('campaignId = ?');
+    params.push(campaignId);
+  }
+
+  return respondWithList(res, {
+    select:
+      'id, name, type, description, metadata, archivedAt, createdAt, targetIndustry, companySize, roleFocus, mainAngle, campaignId',
+    from: 'sources',
+    whereClauses,
+    params,
+    options,
+    errorMessage: 'Failed to fetch sources',
+  });
 });
 
 app.get('/sources/:id', (req, res) => {
@@ -445,6 +837,7 @@ app.post('/sources', (req, res) => {
     companySize,
     roleFocus,
     mainAngle,
+    campaignId,
   } = req.body || {};
 
   if (!name) {
@@ -455,45 +848,61 @@ app.post('/sources', (req, res) => {
   const metadataValue =
     metadata && typeof metadata === 'object' ? JSON.stringify(metadata) : metadata || null;
 
-  db.run(
-    `
-      INSERT INTO sources (id, name, type, description, metadata, targetIndustry, companySize, roleFocus, mainAngle)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `,
-    [
-      id,
-      name,
-      type || null,
-      description || null,
-      metadataValue,
-      targetIndustry || null,
-      companySize || null,
-      roleFocus || null,
-      mainAngle || null,
-    ],
-    function insertCallback(err) {
-      if (err) {
-        console.error('Error creating source:', err);
-        return res.status(500).json({ error: 'Failed to create source' });
+  resolveSourceCampaign(campaignId ?? null)
+    .then((campaignLink) => {
+      if (campaignLink.error) {
+        return res.status(400).json({ error: campaignLink.error });
       }
 
-      db.get(
+      db.run(
         `
-          SELECT id, name, type, description, metadata, archivedAt, createdAt, targetIndustry, companySize, roleFocus, mainAngle
-          FROM sources
-          WHERE id = ?
+          INSERT INTO sources (
+            id, name, type, description, metadata, targetIndustry, companySize, roleFocus, mainAngle,
+            campaignId
+          )
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `,
-        [id],
-        (fetchErr, row) => {
-          if (fetchErr) {
-            console.error('Error fetching created source:', fetchErr);
+        [
+          id,
+          name,
+          type || null,
+          description || null,
+          metadataValue,
+          targetIndustry || null,
+          companySize || null,
+          roleFocus || null,
+          mainAngle || null,
+          campaignLink.value,
+        ],
+        function insertCallback(err) {
+          if (err) {
+            console.error('Error creating source:', err);
             return res.status(500).json({ error: 'Failed to create source' });
           }
-          return res.status(201).json(row);
+
+          db.get(
+            `
+              SELECT id, name, type, description, metadata, archivedAt, createdAt, targetIndustry, companySize, roleFocus, mainAngle,
+                campaignId
+              FROM sources
+              WHERE id = ?
+            `,
+            [id],
+            (fetchErr, row) => {
+              if (fetchErr) {
+                console.error('Error fetching created source:', fetchErr);
+                return res.status(500).json({ error: 'Failed to create source' });
+              }
+              return res.status(201).json(row);
+            },
+          );
         },
       );
-    },
-  );
+    })
+    .catch((err) => {
+      console.error('Error checking source campaign:', err);
+      return res.status(500).json({ error: 'Failed to create source' });
+    });
 });
 
 app.patch('/sources/:id', (req, res) => {
@@ -519,23 +928,42 @@ app.patch('/sources/:id', (req, res) => {
   if (Object.prototype.hasOwnProperty.call(req.body || {}, 'mainAngle')) {
     icpFields.mainAngle = mainAngle;
   }
+  const hasCampaignId = Object.prototype.hasOwnProperty.call(req.body || {}, 'campaignId');
 
-  if (Object.keys(icpFields).length === 0) {
+  if (Object.keys(icpFields).length === 0 && !hasCampaignId) {
     return res.status(400).json({ error: 'No ICP fields provided' });
   }
 
-  updateSourceIcp(id, icpFields, (err, updated) => {
-    if (err) {
-      console.error('Error updating source ICP:', err);
-      return res.status(500).json({ error: 'Failed to update source' });
-    }
+  const campaignCheck = hasCampaignId
+    ? resolveSourceCampaign(req.body.campaignId)
+    : Promise.resolve(null);
 
-    if (!updated) {
-      return res.status(404).json({ error: 'Source not found' });
-    }
+  campaignCheck
+    .then((campaignLink) => {
+      if (campaignLink && campaignLink.error) {
+        return res.status(400).json({ error: campaignLink.error });
+      }
+      if (campaignLink) {
+        icpFields.campaignId = campaignLink.value;
+      }
 
-    return res.json(updated);
-  });
+      updateSourceIcp(id, icpFields, (err, updated) => {
+        if (err) {
+          console.error('Error updating source ICP:', err);
+          return res.status(500).json({ error: 'Failed to update source' });
+        }
+
+        if (!updated) {
+          return res.status(404).json({ error: 'Source not found' });
+        }
+
+        return res.json(updated);
+      });
+    })
+    .catch((err) => {
+      console.error('Error checking source campaign:', err);
+      return res.status(500).json({ error: 'Failed to update source' });
+    });
 });
 
 app.patch('/sources/:id/archive', (req, res) => {
@@ -640,623 +1068,2386 @@ app.delete('/sources/:id', (req, res) => {
   );
 });
 
-app.get('/campaigns', (req, res) => {
-  db.all(
-    'SELECT * FROM campaigns ORDER BY createdAt DESC',
-    [],
-    (err, rows) => {
-      if (err) {
-        console.error('Failed to fetch campaigns', err);
-        return res.status(500).json({ error: 'Failed to fetch campaigns' });
-      }
-      res.json(rows);
-    },
-  );
-});
+/**
+ * Pipeline stats for one campaign's attribution rows: everyone linked to it
+ * (members and prospects it generated), plus how many it generated.
+ */
+function summarizeCampaignProspects(rows) {
+  return {
+    ...summarizeProspectPipeline(rows, PROSPECT_STATUSES),
+    members: rows.filter((row) => row.isMember).length,
+    generated: rows.filter((row) => row.isGenerated).length,
+  };
+}
 
-app.post('/campaigns', (req, res) => {
-  const { name, objective, targetDescription, status, startDate, endDate } = req.body || {};
+const CAMPAIGN_SORT_FIELDS = {
+  createdAt: 'datetime(createdAt)',
+  name: 'name COLLATE NOCASE',
+  status: 'status',
+  startDate: 'datetime(startDate)',
+  endDate: 'datetime(endDate)',
+};
 
-  if (!name || typeof name !== 'string' || name.trim() === '') {
-    return res.status(400).json({ error: 'name is required' });
+app.get('/campaigns', (req, res) => {
+  const includeArchived = req.query.archived === '1';
+  const options = parseListOptions(req.query, { sortFields: CAMPAIGN_SORT_FIELDS });
+  if (options.error) {
+    return res.status(400).json({ error: options.error });
   }
 
-  const id = generateId('camp');
-  const trimmedName = name.trim();
-  const desiredStatus =
-    typeof status === 'string' && status.trim() !== '' ? status.trim() : 'draft';
-
-  const sql = `
-      INSERT INTO campaigns (id, name, objective, targetDescription, status, startDate, endDate)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
-    `;
-  const params = [
-    id,
-    trimmedName,
-    objective ?? null,
-    targetDescription ?? null,
-    desiredStatus,
-    startDate ?? null,
-    endDate ?? null,
-  ];
-
-  db.run(sql, params, function (err) {
-    if (err) {
-      console.error('Failed to create campaign', err);
-      return res.status(500).json({ error: 'Failed to create campaign' });
+  const whereClauses = [];
+  const params = [];
+  const statuses =
+    typeof req.query.status === 'string'
+      ? req.query.status.split(',').map((s) => s.trim()).filter(Boolean)
+      : [];
+  if (statuses.length > 0) {
+    const invalid = statuses.filter((status) => !CAMPAIGN_STATUSES.includes(status));
+    if (invalid.length > 0) {
+      return res
+        .status(400)
+        .json({ error: `status must be one of: ${CAMPAIGN_STATUSES.join(', ')}` });
     }
+    whereClauses.push(`status IN (${statuses.map(() => '?').join(',')})`);
+    params.push(...statuses);
+  } else {
+    whereClauses.push(includeArchived ? "status = 'archived'" : "status != 'archived'");
+  }
 
-    db.get(
-      'SELECT * FROM campaigns WHERE id = ?',
-      [id],
-      (getErr, row) => {
-        if (getErr) {
-          console.error('Failed to fetch created campaign', getErr);
-          return res.status(500).json({ error: 'Failed to fetch created campaign' });
-        }
-        res.status(201).json(row);
-      },
-    );
+  return respondWithList(res, {
+    from: 'campaigns',
+    whereClauses,
+    params,
+    options,
+    errorMessage: 'Failed to fetch campaigns',
   });
 });
 
-app.post('/ai/campaigns/:id/suggest-posts', async (req, res) => {
+app.post('/campaigns', async (req, res) => {
   try {
-    const { id } = req.params;
-
-    const fallbackSuggestions = [
-      {
-        channel: 'linkedin',
-        tone: 'educational',
-        content:
-          'Many service businesses are still juggling manual processes, even though it slows everything down. This campaign explores how bespoke hosted AI software can automate the boring work, save time and money, improve customer experience and increase profit without taking on new staff. If this resonates, comment or reply and I will share a simple outline for your context.',
-        imageIdea:
-          'Clean, modern illustration of a small business team looking at a simple AI dashboard showing time saved and happier customers.',
-      },
-      {
-        channel: 'twitter',
-        tone: 'punchy',
-        content:
-          'Too much manual work, not enough time, no budget to hire? Bespoke hosted AI software can automate your processes, improve CX and grow profit without extra headcount. This campaign is built to show real examples. #AI #automation',
-        imageIdea:
-          'Minimal graphic with the words "Less manual work, more growth" and a subtle AI icon.',
-      },
-      {
-        channel: 'facebook',
-        tone: 'conversational',
-        content:
-          'We are working with businesses who feel stuck between "too many manual tasks" and "not ready to hire more people". This campaign shares how bespoke hosted AI software can quietly automate core workflows, free your team up and make customers happier without increasing staff costs. Comment or message if you would like ideas for your own business.',
-        imageIdea:
-          'Friendly photo of a small team in a relaxed meeting, with a laptop screen showing an automation workflow.',
-      },
-      {
-        channel: 'instagram',
-        tone: 'caption',
-        content:
-          'Too many tasks. Not enough hours. No room to hire.\n\nBespoke hosted AI software can automate your processes, save time and money and level up your customer experience without growing the team.\n\nWant ideas for your business? DM "AI" and we will map a few quick wins.',
-        imageIdea:
-          'Before/after carousel concept: first slide cluttered to-do list, second slide clean screen with "AI-powered workflow" highlighted.',
-      },
-    ];
+    const input = normalizeCampaignInput(req.body);
+    if (input.error) {
+      return res.status(400).json({ error: input.error });
+    }
 
-    const suggestions = await generateCampaignSuggestionsWithOpenAI(
-      id,
-      fallbackSuggestions,
-    );
+    const id = generateId('camp');
+    const { name, objective, targetDescription, status, startDate, endDate } = input.value;
+    await new Promise((resolve, reject) => {
+      db.run(
+        `
+          INSERT INTO campaigns (id, name, objective, targetDescription, status, startDate, endDate)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+        `,
+        [
+          id,
+          name,
+          objective ?? null,
+          targetDescription ?? null,
+          status,
+          startDate ?? null,
+          endDate ?? null,
+        ],
+        (err) => (err ? reject(err) : resolve()),
+      );
+    });
 
-    return res.json(suggestions);
+    return res.status(201).json(await getCampaignById(id));
   } catch (err) {
-    console.error('Error in POST /ai/campaigns/:id/suggest-posts', err);
-    return res.status(500).json({ error: 'Failed to generate AI suggestions' });
+    console.error('Failed to create campaign', err);
+    return res.status(500).json({ error: 'Failed to create campaign' });
   }
 });
 
-app.post('/ai/sources/:sourceId/enrich-preview', async (req, res) => {
+/**
+ * Campaign with `stats`: social post counts by status, the post metrics
+ * (latest snapshot per post) summed overall and per channel, and the
+ * pipeline of its member and generated prospects.
+ */
+app.get('/campaigns/:id', async (req, res) => {
   try {
-    const { sourceId } = req.params;
+    const campaign = await getCampaignById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
 
-    const prospects = await new Promise((resolve, reject) => {
-      db.all(
-        'SELECT * FROM prospects WHERE sourceId = ? AND suppressedAt IS NULL ORDER BY createdAt DESC',
-        [sourceId],
-        (err, rows) => {
-          if (err) return reject(err);
-          resolve(rows || []);
+    const filters = { campaignId: campaign.id };
+    const [postCounts, [totals], byChannel, prospectRows] = await Promise.all([
+      getCampaignPostCounts(campaign.id),
+      getPostMetricsRollup('campaign', filters),
+      getPostMetricsRollup('channel', filters),
+      getCampaignAttributionRows(filters),
+    ]);
+
+    const byStatus = Object.fromEntries(SOCIAL_POST_STATUSES.map((status) => [status, 0]));
+    Object.assign(byStatus, postCounts);
+    const { groupKey, ...metricTotals } = totals || { posts: 0 };
+
+    return res.json({
+      ...campaign,
+      stats: {
+        posts: {
+          total: Object.values(byStatus).reduce((sum, count) => sum + count, 0),
+          byStatus,
         },
-      );
+        metrics: {
+          ...withMetricRates(metricTotals),
+          byChannel: byChannel.map(({ groupKey: channel, ...rest }) =>
+            withMetricRates({ channel, ...rest }),
+          ),
+        },
+        prospects: summarizeCampaignProspects(prospectRows),
+      },
     });
+  } catch (err) {
+    console.error('Error in GET /campaigns/:id', err);
+    return res.status(500).json({ error: 'Failed to fetch campaign' });
+  }
+});
 
-    if (!prospects || prospects.length === 0) {
-      return res.json([]);
+/**
+ * Edits name, objective, targetDescription, dates and status. Status
+ * changes must follow CAMPAIGN_STATUS_TRANSITIONS; archived campaigns have
+ * to be restored before they can be edited.
+ */
+app.patch('/campaigns/:id', async (req, res) => {
+  try {
+    const campaign = await getCampaignById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    if (campaign.status === 'archived') {
+      return res.status(400).json({ error: 'Campaign must be restored before editing' });
     }
 
-    let source = null;
-    try {
-      source = await getSourceById(sourceId);
-    } catch (err) {
-      console.error('Failed to fetch source for enrichment context', err);
+    const input = normalizeCampaignInput(req.body, { partial: true, current: campaign });
+    if (input.error) {
+      return res.status(400).json({ error: input.error });
     }
-
-    const icpContextLines = [];
-    if (source && source.name) icpContextLines.push(`Campaign/source name: ${source.name}.`);
-    if (source && source.targetIndustry) icpContextLines.push(`Target industry: ${source.targetIndustry}.`);
-    if (source && source.companySize) icpContextLines.push(`Typical company size: ${source.companySize}.`);
-    if (source && source.roleFocus) icpContextLines.push(`Primary buyer persona / role focus: ${source.roleFocus}.`);
-    if (source && source.mainAngle) icpContextLines.push(`Primary commercial angle: ${source.mainAngle}.`);
-
-    const sourceIcpContext =
-      icpContextLines.length > 0
-        ? icpContextLines.join(' ')
-        : 'No additional ICP context provided; assume common B2B pains around operations, sales process, and customer experience.';
-
-    const getDomainForProspect = (prospect) => {
-      if (prospect.website) {
-        try {
-          let url = prospect.website.trim();
-          if (!/^https?:\/\//i.test(url)) {
-            url = `https://${url}`;
-          }
-          const parsed = new URL(url);
-          return parsed.hostname.replace(/^www\./i, '');
-        } catch (err) {
-          // ignore invalid website
-        }
-      }
-
-      if (prospect.email && prospect.email.includes('@')) {
-        const domainPart = prospect.email.split('@')[1].trim();
-        if (domainPart) {
-          return domainPart.replace(/^www\./i, '');
-        }
-      }
-
-      return null;
-    };
-
-    const domainMap = new Map();
-    for (const prospect of prospects) {
-      const domain = getDomainForProspect(prospect);
-      if (domain && !domainMap.has(domain)) {
-        domainMap.set(domain, null);
-      }
+    if (Object.keys(input.value).length === 0) {
+      return res.status(400).json({ error: 'No campaign fields provided' });
     }
-
-    for (const domain of domainMap.keys()) {
-      try {
-        const profile = await getOrFetchDomainProfile(domain);
-        domainMap.set(domain, profile || null);
-      } catch (err) {
-        console.error('Error fetching domain profile for', domain, err);
-        domainMap.set(domain, null);
-      }
+    if (input.value.status && !canTransitionCampaign(campaign.status, input.value.status)) {
+      return res.status(400).json({
+        error: `Cannot change campaign status from ${campaign.status} to ${input.value.status}`,
+        allowed: CAMPAIGN_STATUS_TRANSITIONS[campaign.status] || [],
+      });
     }
 
-    const prospectIds = prospects.map((p) => p.id);
-    let notesByProspect = new Map();
-    try {
-      notesByProspect = await getNotesByProspectIds(prospectIds);
-    } catch (err) {
-      console.error('Failed to fetch prospect notes for enrichment', err);
-    }
-
-    const buildNotesString = (prospectId) => {
-      const notes = notesByProspect.get(prospectId) || [];
-      if (!notes.length) return 'none available';
-      const maxNotes = notes.slice(0, 5);
-      const combined = maxNotes
-        .map((n) => (n.content || '').trim())
-        .filter(Boolean)
-        .join(' | ');
-      if (!combined) return 'none available';
-      const maxLen = 1000;
-      return combined.length > maxLen ? combined.slice(0, maxLen) : combined;
-    };
-
-    const buildHeuristicPreview = (p) => {
-      const companyName = p.companyName || null;
-      const contactName = p.contactName || null;
-      const email = p.email || null;
-      const website = p.website || null;
-      const status = p.status || null;
-
-      const tagsText = `${p.tags || ''} ${p.companyName || ''} ${p.role || ''}`;
-      const lower = tagsText.toLowerCase();
-
-      let fitScore = 40;
-
-      if (email && String(email).trim() !== '') {
-        fitScore += 20;
-      }
-      if (p.phone && String(p.phone).trim() !== '') {
-        fitScore += 10;
-      }
-      if (website && String(website).trim() !== '') {
-        fitScore += 10;
-      }
-
-      if (lower.includes('agency') || lower.includes('marketing')) {
-        fitScore += 10;
-      } else if (lower.includes('consult') || lower.includes('advisory')) {
-        fitScore += 10;
-      } else if (lower.includes('account') || lower.includes('finance')) {
-        fitScore += 10;
-      }
-
-      if (fitScore < 0) fitScore = 0;
-      if (fitScore > 100) fitScore = 100;
-
-      let fitLabel = 'cool';
-      if (fitScore >= 80) {
-        fitLabel = 'hot';
-      } else if (fitScore >= 60) {
-        fitLabel = 'warm';
-      } else if (fitScore < 40) {
-        fitLabel = 'cold';
-      }
-
-      let primaryPain = 'Too much manual work in sales, operations, and follow-up.';
-
-      if (lower.includes('agency') || lower.includes('marketing')) {
-        primaryPain = 'Juggling too many clients and campaigns manually.';
-      } else if (lower.includes('account') || lower.includes('finance')) {
-        primaryPain = 'Heavy admin around invoices, statements, and reconciliations.';
-      } else if (lower.includes('consult') || lower.includes('advisory')) {
-        primaryPain = "Lots of meetings and follow-ups that don't turn into structured actions.";
-      }
-
-      const nameForSummary = companyName || 'This company';
-
-      const summary =
-        `${nameForSummary} looks like a ${fitLabel} fit. ` +
-        `They likely suffer from: ${primaryPain} ` +
-        `AI-led automation and better workflows could free time and create cleaner follow-up.`;
-
-      return {
-        prospectId: p.id,
-        companyName,
-        contactName,
-        email,
-        website,
-        status,
-        fitScore,
-        fitLabel,
-        primaryPain,
-        summary,
-      };
-    };
+    return res.json(await updateCampaignFields(campaign.id, input.value));
+  } catch (err) {
+    console.error('Error in PATCH /campaigns/:id', err);
+    return res.status(500).json({ error: 'Failed to update campaign' });
+  }
+});
 
-    if (!openai || !process.env.OPENAI_API_KEY) {
-      const previews = prospects.map((p) => buildHeuristicPreview(p));
-      return res.json(previews);
+/**
+ * Archives a campaign, remembering its status for restore. Refused while
+ * the campaign still has scheduled posts, so nothing goes out under an
+ * archived campaign.
+ */
+app.patch('/campaigns/:id/archive', async (req, res) => {
+  try {
+    const campaign = await getCampaignById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    if (campaign.status === 'archived') {
+      return res.json(campaign);
     }
 
-    const prospectBlocks = prospects
-      .map((p) => {
-        const domain = getDomainForProspect(p);
-        const profile = domain ? domainMap.get(domain) : null;
-        const websiteExcerpt =
-          profile && profile.raw_excerpt ? profile.raw_excerpt.slice(0, 1500) : '';
-
-        const safeExcerpt =
-          websiteExcerpt && websiteExcerpt.trim() !== '' ? websiteExcerpt : 'none available';
-        const notesText = buildNotesString(p.id);
-
-        return [
-          `PROSPECT_ID: ${p.id}`,
-          `COMPANY_NAME: ${p.companyName || 'Unknown company'}`,
-          `CONTACT_NAME: ${p.contactName || 'Unknown contact'}`,
-          `EMAIL: ${p.email || 'Unknown email'}`,
-          `WEBSITE: ${p.website || 'Unknown website'}`,
-          `WEBSITE_DOMAIN: ${domain || 'none'}`,
-          `WEBSITE_EXCERPT: "${safeExcerpt.replace(/"/g, '\\"')}"`,
-          `NOTES: "${notesText.replace(/"/g, '\\"')}"`,
-          '---',
-        ].join('\n');
-      })
-      .join('\n');
-
-    const systemPrompt = `
-You are an assistant helping Kalyan AI assess B2B prospects for fit.
-Return JSON ONLY, no extra text.
-Rules:
-- primaryPain must be a real business problem (manual processes/inefficiency, poor lead handling, weak operations, revenue leakage, poor customer experience).
-- NEVER use or imply "lack of publicly available information", "limited online presence", "insufficient data", inability to research, or mention Google/LinkedIn/research limits.
-- If website info is weak or missing, infer likely pains for this type of company; keep language neutral and do not comment on their online presence.
-Tone and language constraints:
-- Describe pains as opportunities to improve or streamline, not as failures. Use phrasing like "opportunity to streamline X", "may benefit from simplifying Y", "could reduce manual steps in Z", "may want better visibility into ...".
-- Avoid harsh/judgemental words or phrases such as: inefficient, inefficiencies, poor, weak, broken, outdated, struggling, chaotic, disorganized, problematic, "issues with", "common in X industry", or "typical of X companies".
-- primaryPain must focus on an underlying business process but be framed as an opportunity to improve (e.g. "Opportunity to streamline how they handle inbound leads", not "Their lead handling is inefficient").
-- Any subject lines, summaries, or copy must not blame or criticise the company; position Kalyan AI as helping them streamline or get more from what they already do.
-CAMPAIGN CONTEXT:
-${sourceIcpContext}
-Use this context to prioritize pains, fitScore, and messaging that match the target industry/role/angle.
-Use WEBSITE_EXCERPT and NOTES (if available) to infer pains and fit; NOTES should influence fitScore, primaryPain, and summary when present.
-For each prospect, output:
-- prospectId: the provided PROSPECT_ID
-- fitScore: integer 0-100
-- fitLabel: one of hot, warm, cool, cold
-- primaryPain: short description of the likely main pain (no meta-comments about missing data)
-- summary: 2–3 sentence summary tailored to the company; uncertainty should be implicit ("may", "likely") without apologizing for missing info
-Use any WEBSITE_EXCERPT if available to ground your assessment.
-`;
-
-    const userPrompt = `
-Here are prospects to enrich:
-
-${prospectBlocks}
-
-Return a JSON array of objects in the same order with keys: prospectId, fitScore, fitLabel, primaryPain, summary.
-`;
-
-    let aiPreviews = null;
-
-    try {
-      const response = await openai.responses.create({
-        model: 'gpt-4.1-mini',
-        input: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt },
-        ],
+    const postCounts = await getCampaignPostCounts(campaign.id);
+    const pendingPosts = (postCounts.scheduled || 0) + (postCounts.publishing || 0);
+    if (pendingPosts > 0) {
+      return res.status(400).json({
+        error: 'Cannot archive campaign with scheduled posts',
+        scheduledPosts: pendingPosts,
       });
+    }
 
-      const output =
-        response.output?.[0]?.content?.[0]?.text ||
-        response.output?.[0]?.content?.[0]?.string ||
-        '';
+    const updated = await updateCampaignFields(campaign.id, {
+      status: 'archived',
+      statusBeforeArchive: campaign.status,
+      archivedAt: new Date().toISOString(),
+    });
+    return res.json(updated);
+  } catch (err) {
+    console.error('Error in PATCH /campaigns/:id/archive', err);
+    return res.status(500).json({ error: 'Failed to archive campaign' });
+  }
+});
 
-      if (output) {
-        try {
-          const parsed = JSON.parse(output);
-          if (Array.isArray(parsed)) {
-            aiPreviews = parsed;
-          }
-        } catch (err) {
-          console.warn('Failed to parse AI enrichment JSON, falling back to heuristic.', err);
-        }
-      }
-    } catch (err) {
-      console.error('Error calling OpenAI for enrichment preview', err);
-    }
-
-    const previews =
-      aiPreviews && Array.isArray(aiPreviews)
-        ? prospects.map((p) => {
-            const ai = aiPreviews.find((item) => item && item.prospectId === p.id);
-            const fallback = buildHeuristicPreview(p);
-            if (!ai) return fallback;
-
-            const fitScore =
-              typeof ai.fitScore === 'number' ? Math.min(Math.max(ai.fitScore, 0), 100) : fallback.fitScore;
-            const fitLabel = ai.fitLabel || fallback.fitLabel;
-            const primaryPain = ai.primaryPain || fallback.primaryPain;
-            const summary = ai.summary || fallback.summary;
-
-            return {
-              prospectId: p.id,
-              companyName: p.companyName || null,
-              contactName: p.contactName || null,
-              email: p.email || null,
-              website: p.website || null,
-              status: p.status || null,
-              fitScore,
-              fitLabel,
-              primaryPain,
-              summary,
-            };
-          })
-        : prospects.map((p) => buildHeuristicPreview(p));
-
-    return res.json(previews);
+app.patch('/campaigns/:id/restore', async (req, res) => {
+  try {
+    const campaign = await getCampaignById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    if (campaign.status !== 'archived') {
+      return res.json(campaign);
+    }
+
+    const updated = await updateCampaignFields(campaign.id, {
+      status: campaign.statusBeforeArchive || 'draft',
+      statusBeforeArchive: null,
+      archivedAt: null,
+    });
+    return res.json(updated);
   } catch (err) {
-    console.error('Error in POST /ai/sources/:sourceId/enrich-preview', err);
-    return res.status(500).json({ error: 'Failed to fetch prospects for enrichment' });
+    console.error('Error in PATCH /campaigns/:id/restore', err);
+    return res.status(500).json({ error: 'Failed to restore campaign' });
   }
 });
 
-app.post('/ai/image-from-idea', async (req, res) => {
+/**
+ * Same rules as sources: only archived campaigns without posts, prospects or
+ * linked sources can be deleted.
+ */
+app.delete('/campaigns/:id', async (req, res) => {
   try {
-    const { idea, channel } = req.body || {};
+    const { id } = req.params;
+    const campaign = await getCampaignById(id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    if (campaign.status !== 'archived') {
+      return res.status(400).json({ error: 'Campaign must be archived before deletion' });
+    }
 
-    if (!idea || typeof idea !== 'string' || !idea.trim()) {
-      return res.status(400).json({ error: 'idea is required' });
+    const postCounts = await getCampaignPostCounts(id);
+    if (Object.values(postCounts).some((count) => count > 0)) {
+      return res.status(400).json({ error: 'Cannot delete campaign with existing social posts' });
+    }
+    const links = await getCampaignLinkCounts(id);
+    if (links.prospects > 0 || links.generatedProspects > 0 || links.sources > 0) {
+      return res.status(400).json({
+        error: 'Cannot delete campaign with linked prospects or sources',
+        ...links,
+      });
     }
 
-    try {
-      const imageUrl = await generateImageFromIdea(idea.trim(), channel);
-      return res.json({ imageUrl });
-    } catch (err) {
-      if (err && err.message === 'OPENAI_NOT_CONFIGURED') {
-        console.error('OpenAI not configured for image generation');
-        return res.status(500).json({ error: 'AI image generation is not configured' });
-      }
-      console.error('Error generating image from idea:', err);
-      return res.status(500).json({ error: 'Failed to generate image' });
+    if (!(await deleteCampaign(id))) {
+      return res.status(404).json({ error: 'Campaign not found' });
     }
+    return res.json({ success: true, deletedId: id });
   } catch (err) {
-    console.error('Error in POST /ai/image-from-idea', err);
-    return res.status(500).json({ error: 'Internal server error' });
+    console.error('Error in DELETE /campaigns/:id', err);
+    return res.status(500).json({ error: 'Failed to delete campaign' });
   }
 });
 
-app.get('/social-posts', (req, res) => {
-  const { campaignId } = req.query;
+/**
+ * Adds prospects to a campaign. Body: `prospectIds`. Unknown, archived and
+ * merged-away prospects are reported as `notFound`; existing members as
+ * `alreadyMembers`.
+ */
+app.post('/campaigns/:id/prospects', async (req, res) => {
+  try {
+    const campaign = await getCampaignById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    if (campaign.status === 'archived') {
+      return res.status(400).json({ error: 'Cannot add prospects to an archived campaign' });
+    }
 
-  let sql = 'SELECT * FROM social_posts';
-  const params = [];
+    const { prospectIds } = req.body || {};
+    if (!Array.isArray(prospectIds) || prospectIds.length === 0) {
+      return res.status(400).json({ error: 'prospectIds array is required' });
+    }
+    const uniqueIds = Array.from(new Set(prospectIds.filter((id) => typeof id === 'string')));
 
-  if (campaignId && typeof campaignId === 'string' && campaignId.trim() !== '') {
-    sql += ' WHERE campaignId = ?';
-    params.push(campaignId.trim());
-  }
+    const placeholders = uniqueIds.map(() => '?').join(',');
+    const existing = await new Promise((resolve, reject) => {
+      db.all(
+        `SELECT id FROM prospects WHERE id IN (${placeholders}) AND archivedAt IS NULL`,
+        uniqueIds,
+        (err, rows) => (err ? reject(err) : resolve(rows || [])),
+      );
+    });
+    const existingIds = new Set(existing.map((row) => row.id));
+    const found = uniqueIds.filter((id) => existingIds.has(id));
 
-  sql += ' ORDER BY createdAt DESC';
+    const added = await addCampaignProspects(campaign.id, found, { addedBy: getActor(req) });
+    const addedIds = new Set(added);
+    recordActivity(req, added, 'campaign_added', { campaignId: campaign.id });
 
-  db.all(sql, params, (err, rows) => {
-    if (err) {
-      console.error('Failed to fetch social posts', err);
-      return res.status(500).json({ error: 'Failed to fetch social posts' });
-    }
-    res.json(rows);
-  });
+    return res.json({
+      added,
+      alreadyMembers: found.filter((id) => !addedIds.has(id)),
+      notFound: uniqueIds.filter((id) => !existingIds.has(id)),
+    });
+  } catch (err) {
+    console.error('Error in POST /campaigns/:id/prospects', err);
+    return res.status(500).json({ error: 'Failed to add prospects to campaign' });
+  }
 });
 
-app.post('/social-posts', (req, res) => {
-  const {
-    campaignId,
-    channel,
-    content,
-    tone,
-    scheduledFor,
-    status,
-  } = req.body || {};
-
-  if (!content || typeof content !== 'string' || content.trim() === '') {
-    return res.status(400).json({ error: 'content is required' });
+/** Removes membership only; the prospect's origin attribution is kept. */
+app.delete('/campaigns/:id/prospects/:prospectId', async (req, res) => {
+  try {
+    const { id, prospectId } = req.params;
+    if (!(await removeCampaignProspect(id, prospectId))) {
+      return res.status(404).json({ error: 'Prospect is not in this campaign' });
+    }
+    recordActivity(req, prospectId, 'campaign_removed', { campaignId: id });
+    return res.json({ success: true, campaignId: id, prospectId });
+  } catch (err) {
+    console.error('Error in DELETE /campaigns/:id/prospects/:prospectId', err);
+    return res.status(500).json({ error: 'Failed to remove prospect from campaign' });
   }
+});
 
-  const id = generateId('post');
-  const finalChannel =
-    typeof channel === 'string' && channel.trim() !== '' ? channel.trim() : 'linkedin';
-  const finalStatus =
-    typeof status === 'string' && status.trim() !== '' ? status.trim() : 'draft';
+/**
+ * Generates post ideas from the campaign's own data. Body: `channels`
+ * (default all), `count` variants per channel (default 1), `tone`,
+ * `callToAction`, and `saveAsDrafts` to store the ideas as draft
+ * social_posts linked to the campaign. Responds with the suggestions array,
+ * or `201 { suggestions, posts }` when drafts were saved.
+ */
+app.post('/ai/campaigns/:id/suggest-posts', async (req, res) => {
+  try {
+    const { id } = req.params;
 
-  const sql = `
-      INSERT INTO social_posts (
-        id,
-        campaignId,
-        channel,
-        content,
-        tone,
-        scheduledFor,
-        status
-      )
-      VALUES (?, ?, ?, ?, ?, ?, ?)
-    `;
+    const options = normalizeSuggestionOptions(req.body);
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
 
-  const params = [
-    id,
-    campaignId ?? null,
-    finalChannel,
-    content.trim(),
-    tone ?? null,
-    scheduledFor ?? null,
-    finalStatus,
-  ];
+    const campaign = await getCampaignById(id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
 
-  db.run(sql, params, function (err) {
-    if (err) {
-      console.error('Failed to create social post', err);
-      return res.status(500).json({ error: 'Failed to create social post' });
+    const suggestions = await generateCampaignSuggestionsWithAi(campaign, options.value);
+    if (!options.value.saveAsDrafts) {
+      return res.json(suggestions);
     }
 
-    db.get(
-      'SELECT * FROM social_posts WHERE id = ?',
-      [id],
-      (getErr, row) => {
-        if (getErr) {
-          console.error('Failed to fetch created social post', getErr);
-          return res.status(500).json({ error: 'Failed to fetch created social post' });
-        }
-        res.status(201).json(row);
-      },
+    const posts = await createSocialPosts(
+      suggestions.map((suggestion) => ({
+        id: generateId('post'),
+        campaignId: campaign.id,
+        channel: suggestion.channel,
+        content: suggestion.content,
+        tone: suggestion.tone,
+        imageIdea: suggestion.imageIdea,
+        promptVersion: suggestion.promptVersion,
+        status: 'draft',
+        origin: 'ai',
+      })),
     );
-  });
+    return res.status(201).json({ suggestions, posts });
+  } catch (err) {
+    console.error('Error in POST /ai/campaigns/:id/suggest-posts', err);
+    return res.status(500).json({ error: 'Failed to generate AI suggestions' });
+  }
 });
 
-app.patch('/social-posts/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { status } = req.body || {};
-
-    if (!status || typeof status !== 'string') {
-      return res.status(400).json({ error: 'status is required' });
+// Heuristic fitScore points for having an email, by emailStatus. Unchecked
+// addresses count as unknown.
+const EMAIL_STATUS_SCORE_ADJUSTMENTS = {
+  valid: 20,
+  unknown: 15,
+  role: 5,
+  no_mx: -10,
+  disposable: -10,
+  invalid: -10,
+};
+
+const ENRICHMENT_FETCH_CONCURRENCY = Number(process.env.ENRICHMENT_FETCH_CONCURRENCY) || 4;
+const ENRICHMENT_BATCH_TOKEN_BUDGET = Number(process.env.ENRICHMENT_BATCH_TOKEN_BUDGET) || 8000;
+const ENRICHMENT_BATCH_MAX_ITEMS = 20;
+const ENRICHMENT_MAX_ATTEMPTS = Number(process.env.ENRICHMENT_MAX_ATTEMPTS) || 3;
+
+/** Runs `fn` over `items` with at most `limit` calls in flight, keeping order. */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
     }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+function buildSourceIcpContext(source) {
+  const icpContextLines = [];
+  if (source && source.name) icpContextLines.push(`Campaign/source name: ${source.name}.`);
+  if (source && source.targetIndustry) icpContextLines.push(`Target industry: ${source.targetIndustry}.`);
+  if (source && source.companySize) icpContextLines.push(`Typical company size: ${source.companySize}.`);
+  if (source && source.roleFocus) icpContextLines.push(`Primary buyer persona / role focus: ${source.roleFocus}.`);
+  if (source && source.mainAngle) icpContextLines.push(`Primary commercial angle: ${source.mainAngle}.`);
+
+  return icpContextLines.length > 0
+    ? icpContextLines.join(' ')
+    : 'No additional ICP context provided; assume common B2B pains around operations, sales process, and customer experience.';
+}
 
+function getDomainForProspect(prospect) {
+  if (prospect.website) {
     try {
-      const updated = await updateSocialPostStatus(id, status);
-      if (!updated) {
-        return res.status(404).json({ error: 'Social post not found' });
+      let url = prospect.website.trim();
+      if (!/^https?:\/\//i.test(url)) {
+        url = `https://${url}`;
       }
-      return res.json(updated);
+      const parsed = new URL(url);
+      return parsed.hostname.replace(/^www\./i, '');
     } catch (err) {
-      if (err && err.message === 'INVALID_STATUS') {
-        return res
-          .status(400)
-          .json({ error: 'Invalid status value for social post' });
-      }
-      console.error('Error in updateSocialPostStatus:', err);
-      return res.status(500).json({ error: 'Internal server error' });
+      // ignore invalid website
     }
-  } catch (err) {
-    console.error('Error in PATCH /social-posts/:id', err);
-    return res.status(500).json({ error: 'Internal server error' });
   }
-});
 
-app.get('/prospects', (req, res) => {
-  const { status, sourceId, ownerName, search, archived, suppressed } = req.query;
+  if (prospect.email && prospect.email.includes('@')) {
+    const domainPart = prospect.email.split('@')[1].trim();
+    if (domainPart) {
+      return domainPart.replace(/^www\./i, '');
+    }
+  }
 
-  const whereClauses = [];
-  const params = [];
+  return null;
+}
 
-  const includeSuppressed = suppressed === '1';
-  const includeArchived = archived === '1';
+function buildNotesString(notes) {
+  if (!notes || !notes.length) return 'none available';
+  const maxNotes = notes.slice(0, 5);
+  const combined = maxNotes
+    .map((n) => (n.content || '').trim())
+    .filter(Boolean)
+    .join(' | ');
+  if (!combined) return 'none available';
+  const maxLen = 1000;
+  return combined.length > maxLen ? combined.slice(0, maxLen) : combined;
+}
 
-  whereClauses.push(includeArchived ? 'archivedAt IS NOT NULL' : 'archivedAt IS NULL');
-  if (includeSuppressed) {
-    whereClauses.push('suppressedAt IS NOT NULL');
-  } else {
-    whereClauses.push('suppressedAt IS NULL');
-  }
+function buildHeuristicPreview(p) {
+  const companyName = p.companyName || null;
+  const contactName = p.contactName || null;
+  const email = p.email || null;
+  const website = p.website || null;
+  const status = p.status || null;
 
-  if (status && typeof status === 'string' && status.trim() !== '') {
-    whereClauses.push('status = ?');
-    params.push(status.trim());
+  const tagsText = `${p.tags || ''} ${p.companyName || ''} ${p.role || ''}`;
+  const lower = tagsText.toLowerCase();
+
+  let fitScore = 40;
+
+  if (email && String(email).trim() !== '') {
+    fitScore += EMAIL_STATUS_SCORE_ADJUSTMENTS[p.emailStatus || 'unknown'] ?? 0;
+  }
+  if (p.phone && String(p.phone).trim() !== '') {
+    fitScore += 10;
+  }
+  if (website && String(website).trim() !== '') {
+    fitScore += 10;
   }
 
-  if (sourceId && typeof sourceId === 'string' && sourceId.trim() !== '') {
-    whereClauses.push('sourceId = ?');
-    params.push(sourceId.trim());
+  if (lower.includes('agency') || lower.includes('marketing')) {
+    fitScore += 10;
+  } else if (lower.includes('consult') || lower.includes('advisory')) {
+    fitScore += 10;
+  } else if (lower.includes('account') || lower.includes('finance')) {
+    fitScore += 10;
   }
 
-  if (ownerName && typeof ownerName === 'string' && ownerName.trim() !== '') {
-    whereClauses.push('ownerName = ?');
-    params.push(ownerName.trim());
+  if (fitScore < 0) fitScore = 0;
+  if (fitScore > 100) fitScore = 100;
+
+  let fitLabel = 'cool';
+  if (fitScore >= 80) {
+    fitLabel = 'hot';
+  } else if (fitScore >= 60) {
+    fitLabel = 'warm';
+  } else if (fitScore < 40) {
+    fitLabel = 'cold';
   }
 
-  if (search && typeof search === 'string' && search.trim() !== '') {
-    const like = `%${search.trim()}%`;
-    whereClauses.push('(companyName LIKE ? OR contactName LIKE ? OR email LIKE ?)');
-    params.push(like, like, like);
+  let primaryPain = 'Too much manual work in sales, operations, and follow-up.';
+
+  if (lower.includes('agency') || lower.includes('marketing')) {
+    primaryPain = 'Juggling too many clients and campaigns manually.';
+  } else if (lower.includes('account') || lower.includes('finance')) {
+    primaryPain = 'Heavy admin around invoices, statements, and reconciliations.';
+  } else if (lower.includes('consult') || lower.includes('advisory')) {
+    primaryPain = "Lots of meetings and follow-ups that don't turn into structured actions.";
   }
 
-  let sql = 'SELECT * FROM prospects';
+  const nameForSummary = companyName || 'This company';
+
+  const summary =
+    `${nameForSummary} looks like a ${fitLabel} fit. ` +
+    `They likely suffer from: ${primaryPain} ` +
+    `AI-led automation and better workflows could free time and create cleaner follow-up.`;
+
+  return {
+    prospectId: p.id,
+    companyName,
+    contactName,
+    email,
+    website,
+    status,
+    fitScore,
+    fitLabel,
+    primaryPain,
+    summary,
+    method: 'heuristic',
+    model: null,
+  };
+}
+
+/**
+ * Fetches (or reads from cache) the website excerpt and notes for each
+ * prospect and builds the text block sent to the LLM. Returns
+ * [{ prospect, block }] in input order.
+ */
+async function buildEnrichmentEntries(prospects) {
+  const domains = Array.from(new Set(prospects.map(getDomainForProspect).filter(Boolean)));
+  const domainMap = new Map();
+  await mapWithConcurrency(domains, ENRICHMENT_FETCH_CONCURRENCY, async (domain) => {
+    try {
+      const profile = await getOrFetchDomainProfile(domain);
+      domainMap.set(domain, profile || null);
+    } catch (err) {
+      console.error('Error fetching domain profile for', domain, err);
+      domainMap.set(domain, null);
+    }
+  });
 
-  if (whereClauses.length > 0) {
-    sql += ` WHERE ${whereClauses.join(' AND ')}`;
+  let notesByProspect = new Map();
+  try {
+    notesByProspect = await getNotesByProspectIds(prospects.map((p) => p.id));
+  } catch (err) {
+    console.error('Failed to fetch prospect notes for enrichment', err);
   }
 
-  sql += ' ORDER BY createdAt DESC';
+  return prospects.map((p) => {
+    const domain = getDomainForProspect(p);
+    const profile = domain ? domainMap.get(domain) : null;
+    const websiteExcerpt =
+      profile && profile.raw_excerpt ? profile.raw_excerpt.slice(0, 1500) : '';
+
+    const safeExcerpt =
+      websiteExcerpt && websiteExcerpt.trim() !== '' ? websiteExcerpt : 'none available';
+    const notesText = buildNotesString(notesByProspect.get(p.id));
+
+    const block = [
+      `PROSPECT_ID: ${p.id}`,
+      `COMPANY_NAME: ${p.companyName || 'Unknown company'}`,
+      `CONTACT_NAME: ${p.contactName || 'Unknown contact'}`,
+      `EMAIL: ${p.email || 'Unknown email'}`,
+      `EMAIL_STATUS: ${p.emailStatus || 'unchecked'}`,
+      `WEBSITE: ${p.website || 'Unknown website'}`,
+      `WEBSITE_DOMAIN: ${domain || 'none'}`,
+      `WEBSITE_EXCERPT: "${safeExcerpt.replace(/"/g, '\\"')}"`,
+      `NOTES: "${notesText.replace(/"/g, '\\"')}"`,
+      '---',
+    ].join('\n');
+    return { prospect: p, block };
+  });
+}
 
-  db.all(
-    sql,
-    params,
-    (err, rows) => {
-      if (err) {
-        console.error('Failed to fetch prospects:', err);
-        return res.status(500).json({ error: 'Failed to fetch prospects' });
-      }
-      return res.json(rows || []);
-    },
-  );
-});
+function buildEnrichmentVariables(source) {
+  return { icpContext: buildSourceIcpContext(source), source: source || {} };
+}
 
-app.get('/prospects/:id', (req, res) => {
-  const { id } = req.params;
+/**
+ * Scores a set of prospects from the same source. Website excerpts are
+ * fetched (or read from the domains cache) with limited concurrency, then
+ * the prospects go to the LLM provider in token-budgeted batches, rendered
+ * with the active `enrichment` template, and every returned item is
+ * validated. Returns one preview per prospect with `method`, `model`,
+ * `attempts`, `promptVersion` and the `path` that produced it: `ai` (first
+ * try), `ai_retry`, `heuristic_fallback` (AI kept failing; see
+ * `fallbackReason`) or `heuristic` (no LLM provider configured).
+ */
+async function enrichProspects(prospects, source) {
+  if (!prospects || prospects.length === 0) return [];
+
+  const entries = await buildEnrichmentEntries(prospects);
+
+  if (!llm) {
+    return prospects.map((p) => ({
+      ...buildHeuristicPreview(p),
+      path: 'heuristic',
+      attempts: 0,
+      promptVersion: null,
+    }));
+  }
 
-  db.get(
-    `
-      SELECT
+  const template = await getActivePromptTemplate('enrichment');
+  const variables = buildEnrichmentVariables(source);
+
+  // Each round sends the still-unresolved prospects in token-budgeted
+  // batches; only prospects whose item was missing or failed validation go
+  // into the next round, and whatever is left after the last round falls
+  // back to the heuristic.
+  const accepted = new Map();
+  const lastError = new Map();
+  let pending = entries;
+
+  for (let attempt = 1; attempt <= ENRICHMENT_MAX_ATTEMPTS && pending.length > 0; attempt++) {
+    const batches = batchByTokenBudget(pending, {
+      maxTokens: ENRICHMENT_BATCH_TOKEN_BUDGET,
+      maxItems: ENRICHMENT_BATCH_MAX_ITEMS,
+    });
+    const failed = [];
+
+    for (const batch of batches) {
+      const { items, model, error } = await requestEnrichmentBatch(template, variables, batch);
+      const byId = new Map();
+      for (const item of items || []) {
+        if (item && typeof item.prospectId === 'string' && !byId.has(item.prospectId)) {
+          byId.set(item.prospectId, item);
+        }
+      }
+
+      for (const entry of batch) {
+        const id = entry.prospect.id;
+        if (error) {
+          lastError.set(id, error);
+          failed.push(entry);
+          continue;
+        }
+        if (!byId.has(id)) {
+          lastError.set(id, 'missing from AI response');
+          failed.push(entry);
+          continue;
+        }
+        const validation = validateEnrichmentItem(byId.get(id));
+        if (validation.error) {
+          lastError.set(id, validation.error);
+          failed.push(entry);
+          continue;
+        }
+        accepted.set(id, { ...validation.value, model, attempts: attempt });
+      }
+    }
+
+    pending = failed;
+  }
+
+  return prospects.map((p) => {
+    const ai = accepted.get(p.id);
+    if (!ai) {
+      return {
+        ...buildHeuristicPreview(p),
+        path: 'heuristic_fallback',
+        attempts: ENRICHMENT_MAX_ATTEMPTS,
+        fallbackReason: lastError.get(p.id) || null,
+        promptVersion: null,
+      };
+    }
+
+    return {
+      prospectId: p.id,
+      companyName: p.companyName || null,
+      contactName: p.contactName || null,
+      email: p.email || null,
+      website: p.website || null,
+      status: p.status || null,
+      fitScore: ai.fitScore,
+      fitLabel: ai.fitLabel,
+      primaryPain: ai.primaryPain,
+      summary: ai.summary,
+      method: 'ai',
+      model: ai.model,
+      path: ai.attempts === 1 ? 'ai' : 'ai_retry',
+      attempts: ai.attempts,
+      promptVersion: template.version,
+    };
+  });
+}
+
+/**
+ * Renders the enrichment template for one batch of prospect blocks and sends
+ * it to the LLM provider. Resolves to { items, model } with the parsed (not
+ * yet validated) array, or { error } when the call failed or the reply held
+ * no JSON array.
+ */
+async function requestEnrichmentBatch(template, variables, batch) {
+  const { system, prompt } = renderPromptTemplate(template, {
+    ...variables,
+    prospectBlocks: batch.map((entry) => entry.block).join('\n'),
+  });
+
+  try {
+    const { text, model } = await llm.generateText({
+      task: 'enrichment',
+      system,
+      prompt,
+    });
+
+    const items = parseEnrichmentOutput(text);
+    if (!items) {
+      console.warn('AI enrichment reply had no JSON array; retrying batch prospects.');
+      return { error: 'AI response was not a JSON array' };
+    }
+    return { items, model };
+  } catch (err) {
+    console.error('Error calling LLM provider for enrichment batch', err);
+    return { error: 'AI request failed' };
+  }
+}
+
+/**
+ * Saves each preview as the prospect's latest enrichment (keeping earlier
+ * runs as history) and logs an `enriched` activity as `actor`. Resolves to
+ * the previews with `enrichmentId` and `enrichedAt` added.
+ */
+async function saveEnrichmentResults(previews, { actor = null } = {}) {
+  const enrichedAt = new Date().toISOString();
+  const entries = previews.map((preview) => ({
+    id: generateId('enr'),
+    prospectId: preview.prospectId,
+    fitScore: preview.fitScore,
+    fitLabel: preview.fitLabel,
+    primaryPain: preview.primaryPain,
+    summary: preview.summary,
+    method: preview.method,
+    model: preview.model,
+    path: preview.path,
+    promptVersion: preview.promptVersion,
+    createdAt: enrichedAt,
+  }));
+
+  await saveProspectEnrichments(entries);
+
+  const byId = new Map(entries.map((entry) => [entry.prospectId, entry]));
+  recordActivityAs(actor, Array.from(byId.keys()), 'enriched', (prospectId) => ({
+    method: byId.get(prospectId).method,
+    path: byId.get(prospectId).path,
+    promptVersion: byId.get(prospectId).promptVersion,
+    fitScore: byId.get(prospectId).fitScore,
+    fitLabel: byId.get(prospectId).fitLabel,
+    enrichmentId: byId.get(prospectId).id,
+  }));
+  return previews.map((preview) => ({
+    ...preview,
+    enrichmentId: byId.get(preview.prospectId).id,
+    enrichedAt,
+  }));
+}
+
+function getEnrichableProspects(sourceId) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      'SELECT * FROM prospects WHERE sourceId = ? AND suppressedAt IS NULL ORDER BY createdAt DESC',
+      [sourceId],
+      (err, rows) => {
+        if (err) return reject(err);
+        resolve(rows || []);
+      },
+    );
+  });
+}
+
+app.get('/sources/:sourceId/enrichments', async (req, res) => {
+  try {
+    const rows = await getLatestSourceEnrichments(req.params.sourceId);
+    return res.json(
+      rows.map((row) => ({
+        prospectId: row.prospectId,
+        companyName: row.companyName,
+        contactName: row.contactName,
+        email: row.email,
+        website: row.website,
+        status: row.status,
+        fitScore: row.fitScore,
+        fitLabel: row.fitLabel,
+        primaryPain: row.primaryPain,
+        summary: row.summary,
+        method: row.method,
+        model: row.model,
+        path: row.path,
+        promptVersion: row.promptVersion,
+        enrichedAt: row.createdAt,
+      })),
+    );
+  } catch (err) {
+    console.error('Error in GET /sources/:sourceId/enrichments', err);
+    return res.status(500).json({ error: 'Failed to fetch enrichment results' });
+  }
+});
+
+app.post('/ai/sources/:sourceId/enrich-preview', async (req, res) => {
+  try {
+    const { sourceId } = req.params;
+
+    const prospects = await getEnrichableProspects(sourceId);
+
+    if (!prospects || prospects.length === 0) {
+      return res.json([]);
+    }
+
+    let source = null;
+    try {
+      source = await getSourceById(sourceId);
+    } catch (err) {
+      console.error('Failed to fetch source for enrichment context', err);
+    }
+
+    const previews = await enrichProspects(prospects, source);
+
+    // A failed save should not throw away a paid AI run; return the previews
+    // anyway.
+    try {
+      return res.json(await saveEnrichmentResults(previews, { actor: getActor(req) }));
+    } catch (err) {
+      console.error('Failed to save enrichment results', err);
+      return res.json(previews);
+    }
+  } catch (err) {
+    console.error('Error in POST /ai/sources/:sourceId/enrich-preview', err);
+    return res.status(500).json({ error: 'Failed to fetch prospects for enrichment' });
+  }
+});
+
+const ENRICHMENT_CHUNK_SIZE = Number(process.env.ENRICHMENT_CHUNK_SIZE) || 25;
+
+registerJobHandler('enrichment', {
+  chunkSize: ENRICHMENT_CHUNK_SIZE,
+  async processChunk(job, items) {
+    const ids = items.map((item) => item.itemKey);
+    const prospects = await new Promise((resolve, reject) => {
+      db.all(
+        `SELECT * FROM prospects WHERE id IN (${ids.map(() => '?').join(',')}) AND suppressedAt IS NULL`,
+        ids,
+        (err, rows) => {
+          if (err) return reject(err);
+          resolve(rows || []);
+        },
+      );
+    });
+    const source = await getSourceById(job.payload.sourceId);
+
+    const previews = await enrichProspects(prospects, source);
+    const saved = await saveEnrichmentResults(previews, { actor: job.createdBy });
+    const byProspectId = new Map(saved.map((preview) => [preview.prospectId, preview]));
+
+    return items.map((item) => {
+      const preview = byProspectId.get(item.itemKey);
+      if (!preview) {
+        return { id: item.id, error: 'Prospect not found or suppressed', retry: false };
+      }
+      return {
+        id: item.id,
+        result: {
+          fitScore: preview.fitScore,
+          fitLabel: preview.fitLabel,
+          method: preview.method,
+          path: preview.path,
+          promptVersion: preview.promptVersion,
+          enrichmentId: preview.enrichmentId,
+        },
+      };
+    });
+  },
+});
+
+registerJobHandler('email-validation', {
+  chunkSize: 50,
+  async processChunk(job, items) {
+    const ids = items.map((item) => item.itemKey);
+    const prospects = await new Promise((resolve, reject) => {
+      db.all(
+        `SELECT id, email FROM prospects WHERE id IN (${ids.map(() => '?').join(',')})`,
+        ids,
+        (err, rows) => {
+          if (err) return reject(err);
+          resolve(rows || []);
+        },
+      );
+    });
+    const checks = await validateEmails(prospects.map((p) => p.email));
+    const emailCheckedAt = new Date().toISOString();
+    const results = prospects
+      .filter((p) => checks.has(emailValidationKey(p.email)))
+      .map((p) => ({
+        id: p.id,
+        emailStatus: checks.get(emailValidationKey(p.email)).status,
+        emailCheckedAt,
+      }));
+    await setProspectEmailStatuses(results);
+    const byProspectId = new Map(results.map((result) => [result.id, result]));
+
+    return items.map((item) => {
+      const result = byProspectId.get(item.itemKey);
+      if (!result) {
+        return { id: item.id, error: 'Prospect not found or has no email', retry: false };
+      }
+      return { id: item.id, result: { emailStatus: result.emailStatus } };
+    });
+  },
+});
+
+/**
+ * Queues enrichment of a source as a background job and returns it
+ * straight away (202). If the source already has a queued or running
+ * enrichment job, that job is returned instead (200).
+ */
+app.post('/ai/sources/:sourceId/enrich', async (req, res) => {
+  try {
+    const { sourceId } = req.params;
+    const { onlyUnenriched } = req.body || {};
+
+    const source = await getSourceById(sourceId);
+    if (!source) {
+      return res.status(404).json({ error: 'Source not found' });
+    }
+
+    const activeJob = await findActiveJob('enrichment', 'sourceId', sourceId);
+    if (activeJob) {
+      return res.json(activeJob);
+    }
+
+    let prospects = await getEnrichableProspects(sourceId);
+    if (onlyUnenriched === true) {
+      prospects = prospects.filter((p) => !p.enrichedAt);
+    }
+
+    const job = await createJob({
+      id: generateId('job'),
+      type: 'enrichment',
+      payload: { sourceId, onlyUnenriched: onlyUnenriched === true },
+      itemKeys: prospects.map((p) => p.id),
+      createdBy: getActor(req),
+      generateItemId: () => generateId('jobitem'),
+    });
+    kickJobWorker();
+
+    return res.status(202).json(job);
+  } catch (err) {
+    console.error('Error in POST /ai/sources/:sourceId/enrich', err);
+    return res.status(500).json({ error: 'Failed to start enrichment job' });
+  }
+});
+
+function withJobProgress(job) {
+  const processed = job.succeeded + job.failed;
+  return {
+    ...job,
+    progress: {
+      total: job.total,
+      processed,
+      succeeded: job.succeeded,
+      failed: job.failed,
+      pending: job.total - processed,
+      percent: job.total > 0 ? Math.round((processed / job.total) * 100) : 100,
+    },
+  };
+}
+
+app.get('/jobs', async (req, res) => {
+  try {
+    const { type, status } = req.query;
+    const jobs = await listJobs({ type, status });
+    return res.json(jobs.map(withJobProgress));
+  } catch (err) {
+    console.error('Error in GET /jobs', err);
+    return res.status(500).json({ error: 'Failed to fetch jobs' });
+  }
+});
+
+app.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = await getJobById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const items = await getJobItems(job.id);
+    return res.json({
+      ...withJobProgress(job),
+      failures: items
+        .filter((item) => item.status === 'failed')
+        .map((item) => ({ itemKey: item.itemKey, error: item.error, attempts: item.attempts })),
+      results: items
+        .filter((item) => item.status === 'done')
+        .map((item) => ({ itemKey: item.itemKey, ...item.result })),
+    });
+  } catch (err) {
+    console.error('Error in GET /jobs/:id', err);
+    return res.status(500).json({ error: 'Failed to fetch job' });
+  }
+});
+
+const PROMPT_PREVIEW_PROSPECT_LIMIT = 3;
+
+function formatPromptTemplate(row) {
+  const defaults = DEFAULT_PROMPT_TEMPLATES[row.key];
+  return {
+    key: row.key,
+    version: row.version,
+    description: defaults.description,
+    variables: defaults.variables,
+    requiredVariables: defaults.required || [],
+    usesSystemPrompt: supportsSystemPrompt(row.key),
+    usedVariables: extractTemplateVariables(`${row.systemPrompt || ''}\n${row.body}`),
+    systemPrompt: row.systemPrompt,
+    body: row.body,
+    note: row.note,
+    rolledBackFrom: row.rolledBackFrom,
+    createdBy: row.createdBy,
+    createdAt: toIsoTimestamp(row.createdAt),
+  };
+}
+
+function parseVersionNumber(value) {
+  const version = Number(value);
+  return Number.isInteger(version) && version > 0 ? version : null;
+}
+
+app.get('/prompt-templates', async (req, res) => {
+  try {
+    const templates = [];
+    for (const key of Object.keys(DEFAULT_PROMPT_TEMPLATES)) {
+      templates.push(formatPromptTemplate(await getActivePromptTemplate(key)));
+    }
+    return res.json(templates);
+  } catch (err) {
+    console.error('Error in GET /prompt-templates', err);
+    return res.status(500).json({ error: 'Failed to fetch prompt templates' });
+  }
+});
+
+app.get('/prompt-templates/:key', async (req, res) => {
+  try {
+    const { key } = req.params;
+    if (!isPromptTemplateKey(key)) {
+      return res.status(404).json({ error: 'Prompt template not found' });
+    }
+
+    const active = await getActivePromptTemplate(key);
+    const versions = await listPromptTemplateVersions(key);
+    return res.json({
+      ...formatPromptTemplate(active),
+      versions: versions.map((row) => ({ ...row, createdAt: toIsoTimestamp(row.createdAt) })),
+    });
+  } catch (err) {
+    console.error('Error in GET /prompt-templates/:key', err);
+    return res.status(500).json({ error: 'Failed to fetch prompt template' });
+  }
+});
+
+app.get('/prompt-templates/:key/versions/:version', async (req, res) => {
+  try {
+    const { key } = req.params;
+    const version = parseVersionNumber(req.params.version);
+    if (!isPromptTemplateKey(key) || !version) {
+      return res.status(404).json({ error: 'Prompt template version not found' });
+    }
+
+    await getActivePromptTemplate(key);
+    const row = await getPromptTemplate(key, version);
+    if (!row) {
+      return res.status(404).json({ error: 'Prompt template version not found' });
+    }
+    return res.json(formatPromptTemplate(row));
+  } catch (err) {
+    console.error('Error in GET /prompt-templates/:key/versions/:version', err);
+    return res.status(500).json({ error: 'Failed to fetch prompt template version' });
+  }
+});
+
+/**
+ * Saves an edited template as the next version, which is used from then on.
+ * `systemPrompt` is carried over from the active version when omitted.
+ */
+app.post('/prompt-templates/:key/versions', async (req, res) => {
+  try {
+    const { key } = req.params;
+    if (!isPromptTemplateKey(key)) {
+      return res.status(404).json({ error: 'Prompt template not found' });
+    }
+
+    const { body, note } = req.body || {};
+    const active = await getActivePromptTemplate(key);
+    const systemPrompt =
+      req.body && req.body.systemPrompt !== undefined ? req.body.systemPrompt : active.systemPrompt;
+
+    const validationError = validatePromptTemplate(key, { systemPrompt, body });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const created = await addPromptTemplateVersion({
+      id: generateId('ptpl'),
+      key,
+      systemPrompt,
+      body,
+      note: typeof note === 'string' && note.trim() ? note.trim() : null,
+      createdBy: getActor(req),
+    });
+    return res.status(201).json(formatPromptTemplate(created));
+  } catch (err) {
+    console.error('Error in POST /prompt-templates/:key/versions', err);
+    return res.status(500).json({ error: 'Failed to save prompt template' });
+  }
+});
+
+/**
+ * Makes an earlier version active again by copying it into a new version, so
+ * the history stays append-only.
+ */
+app.post('/prompt-templates/:key/rollback', async (req, res) => {
+  try {
+    const { key } = req.params;
+    if (!isPromptTemplateKey(key)) {
+      return res.status(404).json({ error: 'Prompt template not found' });
+    }
+
+    const version = parseVersionNumber((req.body || {}).version);
+    if (!version) {
+      return res.status(400).json({ error: 'version must be a positive integer' });
+    }
+
+    await getActivePromptTemplate(key);
+    const target = await getPromptTemplate(key, version);
+    if (!target) {
+      return res.status(404).json({ error: 'Prompt template version not found' });
+    }
+    const validationError = validatePromptTemplate(key, target);
+    if (validationError) {
+      return res
+        .status(400)
+        .json({ error: `Version ${version} cannot be restored: ${validationError}` });
+    }
+
+    const { note } = req.body;
+    const created = await addPromptTemplateVersion({
+      id: generateId('ptpl'),
+      key,
+      systemPrompt: target.systemPrompt,
+      body: target.body,
+      note: typeof note === 'string' && note.trim() ? note.trim() : `Rollback to version ${version}`,
+      rolledBackFrom: version,
+      createdBy: getActor(req),
+    });
+    return res.status(201).json(formatPromptTemplate(created));
+  } catch (err) {
+    console.error('Error in POST /prompt-templates/:key/rollback', err);
+    return res.status(500).json({ error: 'Failed to roll back prompt template' });
+  }
+});
+
+/**
+ * Loads the variables a template key is rendered with from real records.
+ * Resolves to { variables } or { status, error }.
+ */
+async function loadPromptPreviewVariables(key, input) {
+  if (key === 'campaign_suggestions') {
+    if (!input.campaignId) return { status: 400, error: 'campaignId is required' };
+    const options = normalizeSuggestionOptions(input);
+    if (options.error) return { status: 400, error: options.error };
+    const campaign = await getCampaignById(input.campaignId);
+    if (!campaign) return { status: 404, error: 'Campaign not found' };
+    return { variables: buildSuggestionVariables(campaign, options.value) };
+  }
+
+  if (key === 'enrichment') {
+    if (!input.sourceId) return { status: 400, error: 'sourceId is required' };
+    const source = await getSourceById(input.sourceId);
+    if (!source) return { status: 404, error: 'Source not found' };
+
+    let prospects = await getEnrichableProspects(source.id);
+    if (Array.isArray(input.prospectIds) && input.prospectIds.length > 0) {
+      const wanted = new Set(input.prospectIds);
+      prospects = prospects.filter((p) => wanted.has(p.id));
+      if (prospects.length === 0) {
+        return { status: 404, error: 'No matching prospects in this source' };
+      }
+    } else {
+      prospects = prospects.slice(0, PROMPT_PREVIEW_PROSPECT_LIMIT);
+    }
+
+    const entries = await buildEnrichmentEntries(prospects);
+    return {
+      variables: {
+        ...buildEnrichmentVariables(source),
+        prospectBlocks: entries.map((entry) => entry.block).join('\n'),
+      },
+    };
+  }
+
+  if (typeof input.idea !== 'string' || !input.idea.trim()) {
+    return { status: 400, error: 'idea is required' };
+  }
+  return { variables: { idea: input.idea.trim(), channel: input.channel || 'generic' } };
+}
+
+/**
+ * Renders a template against real records without calling the LLM. Uses the
+ * active version unless `version` is given; passing `body` (and optionally
+ * `systemPrompt`) previews an unsaved draft instead. Record ids depend on
+ * the key: `campaignId` (plus the suggest-posts options) for
+ * campaign_suggestions, `sourceId` (plus optional `prospectIds`) for
+ * enrichment, `idea` and `channel` for image_from_idea.
+ */
+app.post('/prompt-templates/:key/preview', async (req, res) => {
+  try {
+    const { key } = req.params;
+    if (!isPromptTemplateKey(key)) {
+      return res.status(404).json({ error: 'Prompt template not found' });
+    }
+
+    const input = req.body || {};
+    const active = await getActivePromptTemplate(key);
+    let template;
+    if (input.body !== undefined) {
+      const systemPrompt =
+        input.systemPrompt !== undefined ? input.systemPrompt : active.systemPrompt;
+      const validationError = validatePromptTemplate(key, { systemPrompt, body: input.body });
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+      template = { key, version: null, systemPrompt, body: input.body };
+    } else if (input.version !== undefined) {
+      const version = parseVersionNumber(input.version);
+      template = version ? await getPromptTemplate(key, version) : null;
+      if (!template) {
+        return res.status(404).json({ error: 'Prompt template version not found' });
+      }
+    } else {
+      template = active;
+    }
+
+    const loaded = await loadPromptPreviewVariables(key, input);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+
+    const rendered = renderPromptTemplate(template, loaded.variables);
+    return res.json({
+      key,
+      version: template.version,
+      system: rendered.system,
+      prompt: rendered.prompt,
+      missingVariables: rendered.missingVariables,
+    });
+  } catch (err) {
+    console.error('Error in POST /prompt-templates/:key/preview', err);
+    return res.status(500).json({ error: 'Failed to preview prompt template' });
+  }
+});
+
+app.post('/ai/image-from-idea', async (req, res) => {
+  try {
+    const { idea, channel } = req.body || {};
+
+    if (!idea || typeof idea !== 'string' || !idea.trim()) {
+      return res.status(400).json({ error: 'idea is required' });
+    }
+
+    try {
+      const { url, promptVersion } = await generateImageFromIdea(idea.trim(), channel);
+      return res.json({ imageUrl: url, promptVersion });
+    } catch (err) {
+      if (err && err.message === 'LLM_NOT_CONFIGURED') {
+        console.error('No LLM provider configured for image generation');
+        return res.status(500).json({ error: 'AI image generation is not configured' });
+      }
+      console.error('Error generating image from idea:', err);
+      return res.status(500).json({ error: 'Failed to generate image' });
+    }
+  } catch (err) {
+    console.error('Error in POST /ai/image-from-idea', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const SOCIAL_POST_SORT_FIELDS = {
+  createdAt: 'datetime(createdAt)',
+  scheduledFor: 'datetime(scheduledFor)',
+  status: 'status',
+  channel: 'channel',
+};
+
+app.get('/social-posts', (req, res) => {
+  const { campaignId, status } = req.query;
+
+  const options = parseListOptions(req.query, { sortFields: SOCIAL_POST_SORT_FIELDS });
+  if (options.error) {
+    return res.status(400).json({ error: options.error });
+  }
+
+  const whereClauses = [];
+  const params = [];
+
+  if (campaignId && typeof campaignId === 'string' && campaignId.trim() !== '') {
+    whereClauses.push('campaignId = ?');
+    params.push(campaignId.trim());
+  }
+
+  const statuses =
+    typeof status === 'string' ? status.split(',').map((s) => s.trim()).filter(Boolean) : [];
+  if (statuses.length > 0) {
+    if (statuses.some((value) => !SOCIAL_POST_STATUSES.includes(value))) {
+      return res
+        .status(400)
+        .json({ error: `status must be one of: ${SOCIAL_POST_STATUSES.join(', ')}` });
+    }
+    whereClauses.push(`status IN (${statuses.map(() => '?').join(',')})`);
+    params.push(...statuses);
+  }
+
+  return respondWithList(res, {
+    from: 'social_posts',
+    whereClauses,
+    params,
+    options,
+    errorMessage: 'Failed to fetch social posts',
+  });
+});
+
+function splitListParam(value) {
+  return typeof value === 'string' ? value.split(',').map((s) => s.trim()).filter(Boolean) : [];
+}
+
+/**
+ * Reads the shared calendar query: `from`/`to` dates (YYYY-MM-DD, inclusive,
+ * in `timezone`), `channel`, `campaignId` and `status` (comma-separated
+ * lists). Missing dates default to `defaultRange(today)`. Returns { value }
+ * or { error }.
+ */
+function parseCalendarQuery(query, { defaultRange, defaultStatuses }) {
+  const timeZone =
+    typeof query.timezone === 'string' && query.timezone.trim()
+      ? query.timezone.trim()
+      : DEFAULT_TIMEZONE;
+  if (!isValidTimeZone(timeZone)) {
+    return { error: 'timezone must be an IANA name such as Europe/London' };
+  }
+
+  const today = formatInTimeZone(new Date().toISOString(), timeZone).date;
+  const defaults = defaultRange(today);
+  const from = query.from === undefined ? defaults.from : query.from;
+  const to = query.to === undefined ? defaults.to : query.to;
+  if (parseCalendarDate(from) === null || parseCalendarDate(to) === null) {
+    return { error: 'from and to must be dates such as 2026-03-02' };
+  }
+  const days = (parseCalendarDate(to) - parseCalendarDate(from)) / (24 * 60 * 60 * 1000) + 1;
+  if (days < 1) {
+    return { error: 'to must not be before from' };
+  }
+  if (days > MAX_CALENDAR_DAYS) {
+    return { error: `The range can cover at most ${MAX_CALENDAR_DAYS} days` };
+  }
+
+  const statuses = splitListParam(query.status);
+  if (statuses.some((value) => !SOCIAL_POST_STATUSES.includes(value))) {
+    return { error: `status must be one of: ${SOCIAL_POST_STATUSES.join(', ')}` };
+  }
+
+  return {
+    value: {
+      from: from.trim(),
+      to: to.trim(),
+      timeZone,
+      start: toUtcIso(from.trim(), timeZone),
+      end: toUtcIso(addDays(to.trim(), 1), timeZone),
+      channels: splitListParam(query.channel),
+      campaignId: parseOptionalId(query.campaignId),
+      statuses: statuses.length > 0 ? statuses : defaultStatuses,
+    },
+  };
+}
+
+// Every status but archived, unless `status` says otherwise.
+const CALENDAR_STATUSES = SOCIAL_POST_STATUSES.filter((status) => status !== 'archived');
+// Posts without a time that still need one, unless `status` says otherwise.
+const CALENDAR_UNSCHEDULED_STATUSES = ['draft', 'failed'];
+const DEFAULT_UNSCHEDULED_LIMIT = 50;
+// The .ics feed only shows posts that are going out or have gone out.
+const CALENDAR_FEED_STATUSES = ['scheduled', 'publishing', 'sent'];
+
+/**
+ * Posts grouped by local day for planning. `days` lists every date in the
+ * range (default: the 7 days from today), each post with `localDate` and
+ * `localTime`. Posts with no `scheduledFor` come back a page at a time under
+ * `unscheduled` (`?unscheduledLimit=`, `?unscheduledOffset=`), drafts and
+ * failed posts only unless `status` is given.
+ */
+app.get('/social-posts/calendar', async (req, res) => {
+  const query = parseCalendarQuery(req.query, {
+    defaultRange: (today) => ({ from: today, to: addDays(today, 6) }),
+    defaultStatuses: CALENDAR_STATUSES,
+  });
+  if (query.error) {
+    return res.status(400).json({ error: query.error });
+  }
+
+  const { unscheduledLimit, unscheduledOffset } = req.query;
+  const limit =
+    unscheduledLimit === undefined ? DEFAULT_UNSCHEDULED_LIMIT : Number(unscheduledLimit);
+  if (!Number.isInteger(limit) || limit < 0 || limit > MAX_PAGE_SIZE) {
+    return res
+      .status(400)
+      .json({ error: `unscheduledLimit must be an integer between 0 and ${MAX_PAGE_SIZE}` });
+  }
+  const offset = unscheduledOffset === undefined ? 0 : Number(unscheduledOffset);
+  if (!Number.isInteger(offset) || offset < 0) {
+    return res.status(400).json({ error: 'unscheduledOffset must be a non-negative integer' });
+  }
+
+  try {
+    const { from, to, timeZone, start, end, channels, campaignId, statuses } = query.value;
+    const unscheduledStatuses =
+      splitListParam(req.query.status).length > 0 ? statuses : CALENDAR_UNSCHEDULED_STATUSES;
+    const [scheduled, unscheduled] = await Promise.all([
+      getCalendarSocialPosts({ start, end, channels, campaignId, statuses }),
+      getUnscheduledSocialPosts({
+        channels,
+        campaignId,
+        statuses: unscheduledStatuses,
+        limit,
+        offset,
+      }),
+    ]);
+    res.json({
+      from,
+      to,
+      timezone: timeZone,
+      days: groupPostsByDay(scheduled, { from, to, timeZone }),
+      unscheduled: {
+        data: unscheduled.posts,
+        pagination: {
+          total: unscheduled.total,
+          limit,
+          offset,
+          hasMore: offset + unscheduled.posts.length < unscheduled.total,
+        },
+      },
+    });
+  } catch (err) {
+    console.error('Error in GET /social-posts/calendar', err);
+    res.status(500).json({ error: 'Failed to fetch social post calendar' });
+  }
+});
+
+/**
+ * Read-only iCalendar feed of scheduled and sent posts for calendar apps to
+ * subscribe to. Takes the same filters; the default range is 30 days back
+ * to 180 days ahead so subscriptions keep moving with the calendar.
+ */
+app.get('/social-posts/calendar.ics', async (req, res) => {
+  const query = parseCalendarQuery(req.query, {
+    defaultRange: (today) => ({ from: addDays(today, -30), to: addDays(today, 180) }),
+    defaultStatuses: CALENDAR_FEED_STATUSES,
+  });
+  if (query.error) {
+    return res.status(400).json({ error: query.error });
+  }
+
+  try {
+    const { start, end, channels, campaignId, statuses } = query.value;
+    const posts = await getCalendarSocialPosts({ start, end, channels, campaignId, statuses });
+    const campaign = campaignId ? await getCampaignById(campaignId) : null;
+    const body = buildPostCalendar(
+      posts.map((post) => ({
+        ...post,
+        lastModified: toIsoTimestamp(post.updatedAt || post.createdAt),
+      })),
+      {
+        name: campaign ? `Social posts: ${campaign.name}` : 'Social posts',
+        uidDomain: 'leads-gen',
+      },
+    );
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="social-posts.ics"');
+    res.send(body);
+  } catch (err) {
+    console.error('Error in GET /social-posts/calendar.ics', err);
+    res.status(500).json({ error: 'Failed to build social post calendar feed' });
+  }
+});
+
+app.post('/social-posts', (req, res) => {
+  const {
+    campaignId,
+    channel,
+    content,
+    tone,
+    scheduledFor,
+    timezone,
+    status,
+    origin,
+  } = req.body || {};
+
+  if (!content || typeof content !== 'string' || content.trim() === '') {
+    return res.status(400).json({ error: 'content is required' });
+  }
+  if (content.trim().length > MAX_POST_CONTENT_LENGTH) {
+    return res
+      .status(400)
+      .json({ error: `content must be at most ${MAX_POST_CONTENT_LENGTH} characters` });
+  }
+
+  const schedule = normalizeSchedule({ scheduledFor, timezone });
+  if (schedule.error) {
+    return res.status(400).json({ error: schedule.error });
+  }
+
+  const id = generateId('post');
+  const originValue =
+    origin && typeof origin === 'string' && origin.trim() ? origin.trim() : 'manual';
+  const finalChannel =
+    typeof channel === 'string' && channel.trim() !== '' ? channel.trim() : 'linkedin';
+  const finalStatus =
+    typeof status === 'string' && status.trim() !== '' ? status.trim() : 'draft';
+  if (!SOCIAL_POST_STATUSES.includes(finalStatus) || finalStatus === 'publishing') {
+    return res.status(400).json({ error: 'Invalid status value for social post' });
+  }
+  if (finalStatus === 'scheduled' && !schedule.value.scheduledFor) {
+    return res.status(400).json({ error: 'scheduledFor is required to schedule a post' });
+  }
+
+  const sql = `
+      INSERT INTO social_posts (
+        id,
+        campaignId,
+        channel,
+        content,
+        tone,
+        scheduledFor,
+        timezone,
+        status,
+        origin
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+  const params = [
+    id,
+    campaignId ?? null,
+    finalChannel,
+    content.trim(),
+    tone ?? null,
+    schedule.value.scheduledFor,
+    schedule.value.timezone,
+    finalStatus,
+    originValue,
+  ];
+
+  db.run(sql, params, function (err) {
+    if (err) {
+      console.error('Failed to create social post', err);
+      return res.status(500).json({ error: 'Failed to create social post' });
+    }
+
+    db.get(
+      'SELECT * FROM social_posts WHERE id = ?',
+      [id],
+      (getErr, row) => {
+        if (getErr) {
+          console.error('Failed to fetch created social post', getErr);
+          return res.status(500).json({ error: 'Failed to fetch created social post' });
+        }
+        if (row.status === 'scheduled') kickPostScheduler();
+        res.status(201).json(row);
+      },
+    );
+  });
+});
+
+function sendSocialPostError(res, err, context) {
+  if (err && err.message === 'INVALID_STATUS') {
+    return res.status(400).json({ error: 'Invalid status value for social post' });
+  }
+  if (err && err.message === 'SCHEDULE_REQUIRED') {
+    return res.status(400).json({ error: 'scheduledFor is required to schedule a post' });
+  }
+  if (err && err.message === 'POST_PUBLISHING') {
+    return res.status(409).json({ error: 'Social post is being published' });
+  }
+  if (err && err.message === 'POST_LOCKED') {
+    return res.status(409).json({ error: 'Sent posts are locked; they can only be archived' });
+  }
+  console.error(`Error in ${context}`, err);
+  return res.status(500).json({ error: 'Internal server error' });
+}
+
+/**
+ * Checks a campaign a post is being moved to. Resolves to an error message,
+ * or null when the campaign can take the post.
+ */
+async function checkPostCampaign(campaignId) {
+  if (!campaignId) return null;
+  const campaign = await getCampaignById(campaignId);
+  if (!campaign) return `Campaign ${campaignId} not found`;
+  if (campaign.status === 'archived') return 'Cannot move a post to an archived campaign';
+  return null;
+}
+
+/**
+ * Edits `content`, `tone`, `channel`, `campaignId`, `scheduledFor` and
+ * `timezone`, and/or changes `status`. Every edit is kept as a revision.
+ * Sent posts are locked apart from archiving; posts being published cannot
+ * be touched.
+ */
+app.patch('/social-posts/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const body = req.body || {};
+    const { status } = body;
+    const hasEdits = EDITABLE_POST_FIELDS.some((field) =>
+      Object.prototype.hasOwnProperty.call(body, field),
+    );
+
+    if (status === undefined && !hasEdits) {
+      return res.status(400).json({
+        error: `status or one of ${EDITABLE_POST_FIELDS.join(', ')} is required`,
+      });
+    }
+    if (
+      status !== undefined &&
+      (!SOCIAL_POST_STATUSES.includes(status) || status === 'publishing')
+    ) {
+      return res.status(400).json({ error: 'Invalid status value for social post' });
+    }
+
+    const post = await getSocialPostById(id);
+    if (!post) {
+      return res.status(404).json({ error: 'Social post not found' });
+    }
+    if (hasEdits && LOCKED_POST_STATUSES.includes(post.status)) {
+      return sendSocialPostError(
+        res,
+        new Error(post.status === 'sent' ? 'POST_LOCKED' : 'POST_PUBLISHING'),
+        'PATCH /social-posts/:id',
+      );
+    }
+
+    let changes = {};
+    if (hasEdits) {
+      const edit = normalizePostEdit(body, { ...post, status: status || post.status });
+      if (edit.error) {
+        return res.status(400).json({ error: edit.error });
+      }
+      changes = edit.value;
+      const campaignError = changes.campaignId ? await checkPostCampaign(changes.campaignId) : null;
+      if (campaignError) {
+        return res.status(400).json({ error: campaignError });
+      }
+    }
+
+    const updated = await updateSocialPostFields(id, changes, { actor: getActor(req), status });
+    if (!updated) {
+      return res.status(404).json({ error: 'Social post not found' });
+    }
+    if (updated.status === 'scheduled') kickPostScheduler();
+    return res.json(updated);
+  } catch (err) {
+    return sendSocialPostError(res, err, 'PATCH /social-posts/:id');
+  }
+});
+
+/** Every version of the post, newest first; revision 1 is the original. */
+app.get('/social-posts/:id/revisions', async (req, res) => {
+  try {
+    const revisions = await listPostRevisions(req.params.id);
+    if (!revisions) {
+      return res.status(404).json({ error: 'Social post not found' });
+    }
+    return res.json(revisions);
+  } catch (err) {
+    console.error('Error in GET /social-posts/:id/revisions', err);
+    return res.status(500).json({ error: 'Failed to fetch revisions' });
+  }
+});
+
+/**
+ * Compares two revisions (`?from=&to=`; default the latest against the one
+ * before it). Responds with { from, to, changes: [{ field, from, to }] },
+ * where a content change also carries a word `diff`.
+ */
+app.get('/social-posts/:id/revisions/diff', async (req, res) => {
+  try {
+    const revisions = await listPostRevisions(req.params.id);
+    if (!revisions) {
+      return res.status(404).json({ error: 'Social post not found' });
+    }
+
+    const latest = revisions[0].revision;
+    const to = req.query.to === undefined ? latest : parseVersionNumber(req.query.to);
+    const from =
+      req.query.from === undefined
+        ? Math.max((to || latest) - 1, 1)
+        : parseVersionNumber(req.query.from);
+    if (!from || !to) {
+      return res.status(400).json({ error: 'from and to must be positive revision numbers' });
+    }
+
+    const byRevision = new Map(revisions.map((row) => [row.revision, row]));
+    const missing = [from, to].find((revision) => !byRevision.has(revision));
+    if (missing) {
+      return res.status(404).json({ error: `Revision ${missing} not found` });
+    }
+
+    return res.json({
+      from,
+      to,
+      changes: diffPostRevisions(byRevision.get(from), byRevision.get(to)),
+    });
+  } catch (err) {
+    console.error('Error in GET /social-posts/:id/revisions/diff', err);
+    return res.status(500).json({ error: 'Failed to diff revisions' });
+  }
+});
+
+app.get('/social-posts/:id/revisions/:revision', async (req, res) => {
+  try {
+    const revisionNumber = parseVersionNumber(req.params.revision);
+    const revision = revisionNumber ? await getPostRevision(req.params.id, revisionNumber) : null;
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    return res.json(revision);
+  } catch (err) {
+    console.error('Error in GET /social-posts/:id/revisions/:revision', err);
+    return res.status(500).json({ error: 'Failed to fetch revision' });
+  }
+});
+
+/**
+ * Copies an older revision's fields back onto the post as a new revision
+ * (`restoredFrom`). Body `fields` restores only some of them. A scheduled
+ * post cannot get back a time that has already passed.
+ */
+app.post('/social-posts/:id/revisions/:revision/restore', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const post = await getSocialPostById(id);
+    if (!post) {
+      return res.status(404).json({ error: 'Social post not found' });
+    }
+    if (LOCKED_POST_STATUSES.includes(post.status)) {
+      return sendSocialPostError(
+        res,
+        new Error(post.status === 'sent' ? 'POST_LOCKED' : 'POST_PUBLISHING'),
+        'POST /social-posts/:id/revisions/:revision/restore',
+      );
+    }
+
+    const revisionNumber = parseVersionNumber(req.params.revision);
+    const revision = revisionNumber ? await getPostRevision(id, revisionNumber) : null;
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const { fields } = req.body || {};
+    if (fields !== undefined && (!Array.isArray(fields) || fields.length === 0)) {
+      return res.status(400).json({ error: 'fields must be a non-empty array' });
+    }
+    const unknown = (fields || []).filter((field) => !EDITABLE_POST_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown fields: ${unknown.join(', ')}` });
+    }
+
+    const changes = {};
+    for (const field of fields || EDITABLE_POST_FIELDS) {
+      if ((revision[field] ?? null) !== (post[field] ?? null)) {
+        changes[field] = revision[field] ?? null;
+      }
+    }
+    if (Object.keys(changes).length === 0) {
+      return res.json(post);
+    }
+
+    const restoresSchedule = Object.prototype.hasOwnProperty.call(changes, 'scheduledFor');
+    if (post.status === 'scheduled' && restoresSchedule) {
+      if (!changes.scheduledFor) {
+        return res
+          .status(400)
+          .json({ error: 'scheduledFor is required while the post is scheduled' });
+      }
+      if (changes.scheduledFor <= new Date().toISOString()) {
+        return res.status(400).json({
+          error: "The revision's scheduledFor has passed; restore without it or unschedule first",
+        });
+      }
+    }
+    const campaignError = changes.campaignId ? await checkPostCampaign(changes.campaignId) : null;
+    if (campaignError) {
+      return res.status(400).json({ error: campaignError });
+    }
+
+    const updated = await updateSocialPostFields(id, changes, {
+      actor: getActor(req),
+      restoredFrom: revision.revision,
+    });
+    return res.json(updated);
+  } catch (err) {
+    return sendSocialPostError(res, err, 'POST /social-posts/:id/revisions/:revision/restore');
+  }
+});
+
+/** Runs the scheduler now instead of waiting for the next poll. */
+app.post('/social-posts/publish-due', async (req, res) => {
+  try {
+    return res.json(await publishDuePosts());
+  } catch (err) {
+    if (err && err.message === 'SCHEDULER_NOT_STARTED') {
+      return res.status(503).json({ error: 'Post scheduler is disabled' });
+    }
+    console.error('Error in POST /social-posts/publish-due', err);
+    return res.status(500).json({ error: 'Failed to publish due posts' });
+  }
+});
+
+app.post('/social-posts/:id/metrics', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { impressions, clicks, leadsGenerated, notes, capturedAt } = req.body || {};
+
+    const counts = { impressions, clicks, leadsGenerated };
+    for (const [field, value] of Object.entries(counts)) {
+      if (value === undefined || value === null) {
+        counts[field] = 0;
+      } else if (!Number.isInteger(value) || value < 0) {
+        return res.status(400).json({ error: `${field} must be a non-negative integer` });
+      }
+    }
+
+    let capturedAtValue = null;
+    if (capturedAt) {
+      const parsed = new Date(capturedAt);
+      if (Number.isNaN(parsed.getTime())) {
+        return res.status(400).json({ error: 'capturedAt must be a valid date' });
+      }
+      capturedAtValue = parsed.toISOString();
+    }
+
+    const post = await getSocialPostById(id);
+    if (!post) {
+      return res.status(404).json({ error: 'Social post not found' });
+    }
+
+    const snapshot = await addPostMetricSnapshot({
+      id: generateId('metric'),
+      postId: id,
+      ...counts,
+      notes: typeof notes === 'string' && notes.trim() ? notes.trim() : null,
+      capturedAt: capturedAtValue,
+    });
+    return res.status(201).json(withMetricRates(snapshot));
+  } catch (err) {
+    console.error('Error in POST /social-posts/:id/metrics', err);
+    return res.status(500).json({ error: 'Failed to record post metrics' });
+  }
+});
+
+app.get('/social-posts/:id/metrics', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const post = await getSocialPostById(id);
+    if (!post) {
+      return res.status(404).json({ error: 'Social post not found' });
+    }
+
+    const snapshots = await getPostMetrics(id);
+    return res.json(snapshots.map(withMetricRates));
+  } catch (err) {
+    console.error('Error in GET /social-posts/:id/metrics', err);
+    return res.status(500).json({ error: 'Failed to fetch post metrics' });
+  }
+});
+
+app.get('/reports/post-metrics', async (req, res) => {
+  try {
+    const { campaignId } = req.query;
+    const filters = {
+      campaignId:
+        typeof campaignId === 'string' && campaignId.trim() ? campaignId.trim() : null,
+    };
+
+    const [byCampaign, byChannel, byOrigin] = await Promise.all([
+      getPostMetricsRollup('campaign', filters),
+      getPostMetricsRollup('channel', filters),
+      getPostMetricsRollup('origin', filters),
+    ]);
+
+    const shape = (rows, key) =>
+      rows.map(({ groupKey, ...rest }) => withMetricRates({ [key]: groupKey, ...rest }));
+
+    return res.json({
+      byCampaign: shape(byCampaign, 'campaignId'),
+      byChannel: shape(byChannel, 'channel'),
+      byOrigin: shape(byOrigin, 'origin'),
+    });
+  } catch (err) {
+    console.error('Error in GET /reports/post-metrics', err);
+    return res.status(500).json({ error: 'Failed to build post metrics report' });
+  }
+});
+
+/**
+ * Prospects produced per campaign: members and generated prospects (origin
+ * campaign), their status pipeline, and the generated ones split by the
+ * post that brought them in. `?campaignId=` narrows it to one campaign.
+ */
+app.get('/reports/campaign-attribution', async (req, res) => {
+  try {
+    const campaignId = parseOptionalId(req.query.campaignId);
+    const [campaigns, rows] = await Promise.all([
+      campaignId
+        ? getCampaignById(campaignId).then((campaign) => (campaign ? [campaign] : []))
+        : new Promise((resolve, reject) => {
+            db.all(
+              'SELECT * FROM campaigns ORDER BY datetime(createdAt) DESC, rowid DESC',
+              [],
+              (err, campaignRows) => (err ? reject(err) : resolve(campaignRows || [])),
+            );
+          }),
+      getCampaignAttributionRows({ campaignId }),
+    ]);
+    if (campaignId && campaigns.length === 0) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const rowsByCampaign = new Map();
+    for (const row of rows) {
+      if (!rowsByCampaign.has(row.campaignId)) rowsByCampaign.set(row.campaignId, []);
+      rowsByCampaign.get(row.campaignId).push(row);
+    }
+
+    const report = campaigns.map((campaign) => {
+      const campaignRows = rowsByCampaign.get(campaign.id) || [];
+      const byPost = new Map();
+      for (const row of campaignRows) {
+        if (!row.isGenerated || !row.originPostId) continue;
+        if (!byPost.has(row.originPostId)) byPost.set(row.originPostId, []);
+        byPost.get(row.originPostId).push(row);
+      }
+      return {
+        campaignId: campaign.id,
+        name: campaign.name,
+        status: campaign.status,
+        ...summarizeCampaignProspects(campaignRows),
+        byOriginPost: Array.from(byPost, ([postId, postRows]) => ({
+          postId,
+          ...summarizeProspectPipeline(postRows, PROSPECT_STATUSES),
+        })),
+      };
+    });
+
+    return res.json(report);
+  } catch (err) {
+    console.error('Error in GET /reports/campaign-attribution', err);
+    return res.status(500).json({ error: 'Failed to build campaign attribution report' });
+  }
+});
+
+/**
+ * Turns free text into an FTS5 query: every word has to match, each as a
+ * prefix, and quoting each token keeps user input from using FTS syntax.
+ */
+function buildFtsQuery(search) {
+  if (!search || typeof search !== 'string') return null;
+  const tokens = search.match(/[\p{L}\p{N}]+/gu) || [];
+  if (tokens.length === 0) return null;
+  return tokens.map((token) => `"${token}"*`).join(' ');
+}
+
+/**
+ * WHERE clauses for the GET /prospects filters. Search is applied as an FTS
+ * id filter unless `joinSearch` is set, in which case the caller joins
+ * prospect_fts itself (for ranking and snippets) using `ftsQuery`.
+ */
+function buildProspectFilters(query, { joinSearch = false } = {}) {
+  const {
+    status,
+    sourceId,
+    campaignId,
+    ownerName,
+    search,
+    archived,
+    suppressed,
+    emailStatus,
+    fitLabel,
+    minFitScore,
+    maxFitScore,
+  } = query;
+
+  const whereClauses = [];
+  const params = [];
+
+  const includeSuppressed = suppressed === '1';
+  const includeArchived = archived === '1';
+
+  whereClauses.push(includeArchived ? 'archivedAt IS NOT NULL' : 'archivedAt IS NULL');
+  if (includeSuppressed) {
+    whereClauses.push('suppressedAt IS NOT NULL');
+  } else {
+    whereClauses.push('suppressedAt IS NULL');
+  }
+
+  if (status && typeof status === 'string' && status.trim() !== '') {
+    whereClauses.push('status = ?');
+    params.push(status.trim());
+  }
+
+  if (sourceId && typeof sourceId === 'string' && sourceId.trim() !== '') {
+    whereClauses.push('sourceId = ?');
+    params.push(sourceId.trim());
+  }
+
+  if (campaignId && typeof campaignId === 'string' && campaignId.trim() !== '') {
+    whereClauses.push(
+      'prospects.id IN (SELECT prospectId FROM campaign_prospects WHERE campaignId = ?)',
+    );
+    params.push(campaignId.trim());
+  }
+
+  if (ownerName && typeof ownerName === 'string' && ownerName.trim() !== '') {
+    whereClauses.push('ownerName = ?');
+    params.push(ownerName.trim());
+  }
+
+  if (emailStatus && typeof emailStatus === 'string' && emailStatus.trim() !== '') {
+    const statuses = emailStatus.split(',').map((s) => s.trim()).filter(Boolean);
+    const conditions = [];
+    const listed = statuses.filter((s) => s !== 'unchecked');
+    if (listed.length > 0) {
+      conditions.push(`emailStatus IN (${listed.map(() => '?').join(',')})`);
+      params.push(...listed);
+    }
+    if (statuses.includes('unchecked')) {
+      conditions.push("(emailStatus IS NULL AND email IS NOT NULL AND email != '')");
+    }
+    if (conditions.length > 0) whereClauses.push(`(${conditions.join(' OR ')})`);
+  }
+
+  if (fitLabel && typeof fitLabel === 'string' && fitLabel.trim() !== '') {
+    const labels = fitLabel.split(',').map((l) => l.trim()).filter(Boolean);
+    if (labels.length > 0) {
+      whereClauses.push(`fitLabel IN (${labels.map(() => '?').join(',')})`);
+      params.push(...labels);
+    }
+  }
+
+  if (minFitScore !== undefined && minFitScore !== '' && Number.isFinite(Number(minFitScore))) {
+    whereClauses.push('fitScore >= ?');
+    params.push(Number(minFitScore));
+  }
+  if (maxFitScore !== undefined && maxFitScore !== '' && Number.isFinite(Number(maxFitScore))) {
+    whereClauses.push('fitScore <= ?');
+    params.push(Number(maxFitScore));
+  }
+
+  const ftsQuery = buildFtsQuery(search);
+  if (ftsQuery && !joinSearch) {
+    whereClauses.push(`
+      id IN (
+        SELECT k.prospectId
+        FROM prospect_fts
+        JOIN prospect_fts_keys k ON k.searchKey = prospect_fts.rowid
+        WHERE prospect_fts MATCH ?
+      )
+    `);
+    params.push(ftsQuery);
+  }
+
+  return { whereClauses, params, ftsQuery };
+}
+
+const PROSPECT_SORT_FIELDS = {
+  createdAt: 'datetime(createdAt)',
+  updatedAt: 'datetime(updatedAt)',
+  lastContactedAt: 'datetime(lastContactedAt)',
+  companyName: 'companyName COLLATE NOCASE',
+  contactName: 'contactName COLLATE NOCASE',
+  status: 'status',
+  ownerName: 'ownerName COLLATE NOCASE',
+  fitScore: 'fitScore',
+  enrichedAt: 'datetime(enrichedAt)',
+};
+
+const PROSPECT_SEARCH_COLUMNS = ['companyName', 'contactName', 'email', 'role', 'tags', 'website', 'notes'];
+// bm25 weights in PROSPECT_SEARCH_COLUMNS order: names and email outrank notes.
+const PROSPECT_SEARCH_WEIGHTS = [10, 10, 8, 3, 3, 5, 1];
+
+const PROSPECT_SEARCH_JOIN = `
+  JOIN (
+    SELECT
+      k.prospectId AS searchProspectId,
+      bm25(prospect_fts, ${PROSPECT_SEARCH_WEIGHTS.join(', ')}) AS searchRank,
+      snippet(prospect_fts, -1, '<mark>', '</mark>', '…', 12) AS searchSnippet,
+      ${PROSPECT_SEARCH_COLUMNS.map(
+        (column, index) =>
+          `snippet(prospect_fts, ${index}, '<mark>', '</mark>', '…', 8) AS match_${column}`,
+      ).join(',\n      ')}
+    FROM prospect_fts
+    JOIN prospect_fts_keys k ON k.searchKey = prospect_fts.rowid
+    WHERE prospect_fts MATCH ?
+  ) search ON search.searchProspectId = prospects.id
+`;
+
+function withSearchMatches(row) {
+  const { searchProspectId, ...rest } = row;
+  const searchMatches = {};
+  for (const column of PROSPECT_SEARCH_COLUMNS) {
+    const key = `match_${column}`;
+    if (rest[key] && rest[key].includes('<mark>')) {
+      searchMatches[column] = rest[key];
+    }
+    delete rest[key];
+  }
+  return { ...rest, searchMatches };
+}
+
+app.get('/prospects', (req, res) => {
+  const { whereClauses, params, ftsQuery } = buildProspectFilters(req.query, { joinSearch: true });
+
+  const sortFields = ftsQuery ? { relevance: 'searchRank', ...PROSPECT_SORT_FIELDS } : PROSPECT_SORT_FIELDS;
+  const options = parseListOptions(req.query, {
+    sortFields,
+    defaultSort: ftsQuery ? 'relevance' : 'createdAt',
+    defaultOrder: ftsQuery && (!req.query.sort || req.query.sort === 'relevance') ? 'asc' : 'desc',
+    tiebreaker: 'prospects.rowid',
+  });
+  if (options.error) {
+    return res.status(400).json({ error: options.error });
+  }
+
+  if (!ftsQuery) {
+    return respondWithList(res, {
+      from: 'prospects',
+      whereClauses,
+      params,
+      options,
+      errorMessage: 'Failed to fetch prospects',
+    });
+  }
+
+  return respondWithList(res, {
+    select: 'prospects.*, search.*',
+    from: `prospects ${PROSPECT_SEARCH_JOIN}`,
+    fromParams: [ftsQuery],
+    whereClauses,
+    params,
+    options,
+    mapRow: withSearchMatches,
+    errorMessage: 'Failed to fetch prospects',
+  });
+});
+
+const PROSPECT_EXPORT_COLUMNS = [
+  'id',
+  'sourceId',
+  'companyName',
+  'contactName',
+  'role',
+  'email',
+  'phone',
+  'website',
+  'tags',
+  'status',
+  'ownerName',
+  'origin',
+  'createdAt',
+  'updatedAt',
+  'lastContactedAt',
+  'archivedAt',
+  'suppressedAt',
+  'emailStatus',
+  'fitScore',
+  'fitLabel',
+  'enrichedAt',
+];
+const EXPORT_BATCH_SIZE = 500;
+
+/**
+ * Streams prospects matching the GET /prospects filters as CSV or NDJSON.
+ * Rows are read in keyset-paginated batches and the next batch is only
+ * fetched once the response has drained, so memory stays flat on large
+ * sources.
+ */
+app.get('/prospects/export', async (req, res) => {
+  const format = req.query.format || 'csv';
+  if (!['csv', 'ndjson'].includes(format)) {
+    return res.status(400).json({ error: 'format must be csv or ndjson' });
+  }
+
+  let columns = PROSPECT_EXPORT_COLUMNS;
+  if (typeof req.query.columns === 'string' && req.query.columns.trim()) {
+    columns = req.query.columns.split(',').map((c) => c.trim()).filter(Boolean);
+    const unknown = columns.filter((c) => !PROSPECT_EXPORT_COLUMNS.includes(c));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown export columns: ${unknown.join(', ')}` });
+    }
+  }
+
+  const includeNotes = req.query.includeNotes === '1';
+  const noteLimit = Math.min(Math.max(parseInt(req.query.noteLimit, 10) || 3, 1), 20);
+
+  const { whereClauses, params } = buildProspectFilters(req.query);
+  const selectColumns = Array.from(new Set(['id', 'createdAt', ...columns]));
+
+  const fetchBatch = (cursor) =>
+    new Promise((resolve, reject) => {
+      const clauses = [...whereClauses];
+      const batchParams = [...params];
+      if (cursor) {
+        clauses.push('(createdAt < ? OR (createdAt = ? AND rowid < ?))');
+        batchParams.push(cursor.createdAt, cursor.createdAt, cursor.rowid);
+      }
+      db.all(
+        `
+          SELECT rowid AS _rowid, ${selectColumns.join(', ')}
+          FROM prospects
+          WHERE ${clauses.join(' AND ')}
+          ORDER BY createdAt DESC, rowid DESC
+          LIMIT ${EXPORT_BATCH_SIZE}
+        `,
+        batchParams,
+        (err, rows) => {
+          if (err) return reject(err);
+          resolve(rows || []);
+        },
+      );
+    });
+
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  const write = (chunk) =>
+    new Promise((resolve) => {
+      if (res.write(chunk)) return resolve();
+      // Whichever fires first removes both, so listeners do not pile up.
+      const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+      };
+      res.on('drain', done);
+      res.on('close', done);
+    });
+
+  try {
+    let batch = await fetchBatch(null);
+
+    const stamp = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    res.status(200);
+    res.set({
+      'Content-Type':
+        format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8',
+      'Content-Disposition': `attachment; filename="prospects-${stamp}.${format === 'csv' ? 'csv' : 'ndjson'}"`,
+    });
+
+    if (format === 'csv') {
+      await write(toCsvRow(includeNotes ? [...columns, 'latestNotes'] : columns));
+    }
+
+    while (batch.length > 0 && !closed) {
+      let notesByProspect = new Map();
+      if (includeNotes) {
+        notesByProspect = await getNotesByProspectIds(batch.map((row) => row.id));
+      }
+
+      let chunk = '';
+      for (const row of batch) {
+        const notes = (notesByProspect.get(row.id) || []).slice(0, noteLimit);
+        if (format === 'csv') {
+          const values = columns.map((c) => row[c]);
+          if (includeNotes) values.push(notes.map((n) => n.content).join(' | '));
+          chunk += toCsvRow(values);
+        } else {
+          const record = {};
+          for (const c of columns) record[c] = row[c] ?? null;
+          if (includeNotes) {
+            record.latestNotes = notes.map((n) => ({ content: n.content, createdAt: n.createdAt }));
+          }
+          chunk += `${JSON.stringify(record)}\n`;
+        }
+      }
+      await write(chunk);
+
+      if (batch.length < EXPORT_BATCH_SIZE) break;
+      const last = batch[batch.length - 1];
+      batch = await fetchBatch({ createdAt: last.createdAt, rowid: last._rowid });
+    }
+
+    return res.end();
+  } catch (err) {
+    console.error('Error in GET /prospects/export', err);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Failed to export prospects' });
+    }
+    return res.destroy(err);
+  }
+});
+
+/**
+ * Scans existing prospects for likely duplicates (see dedupe.js for the
+ * rules). With ?sourceId= only clusters that include at least one prospect
+ * from that source are returned, but the scan still compares against the
+ * whole table so duplicates of older records are found.
+ */
+app.get('/reports/duplicates', async (req, res) => {
+  try {
+    const { sourceId, includeArchived } = req.query;
+    const minConfidence = req.query.minConfidence === undefined ? 0.5 : Number(req.query.minConfidence);
+    if (Number.isNaN(minConfidence) || minConfidence < 0 || minConfidence > 1) {
+      return res.status(400).json({ error: 'minConfidence must be a number between 0 and 1' });
+    }
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` });
+    }
+
+    const whereClauses = ['mergedIntoId IS NULL'];
+    if (includeArchived !== '1') whereClauses.push('archivedAt IS NULL');
+
+    const prospects = await new Promise((resolve, reject) => {
+      db.all(
+        `
+          SELECT
+            id, sourceId, companyName, contactName, email, phone, website, status,
+            normalizedEmail, normalizedDomain, normalizedContactName, normalizedPhone,
+            archivedAt, suppressedAt, createdAt
+          FROM prospects
+          WHERE ${whereClauses.join(' AND ')}
+        `,
+        [],
+        (err, rows) => {
+          if (err) return reject(err);
+          resolve(rows || []);
+        },
+      );
+    });
+
+    const scan = findDuplicateClusters(prospects, { minConfidence });
+    let { clusters } = scan;
+
+    const source = typeof sourceId === 'string' && sourceId.trim() ? sourceId.trim() : null;
+    if (source) {
+      clusters = clusters.filter((cluster) => cluster.prospects.some((p) => p.sourceId === source));
+    }
+
+    return res.json({
+      generatedAt: new Date().toISOString(),
+      scanned: prospects.length,
+      totalClusters: clusters.length,
+      duplicateProspects: clusters.reduce((sum, cluster) => sum + cluster.prospects.length, 0),
+      truncatedBlocks: scan.truncatedBlocks,
+      clusters: clusters.slice(0, limit),
+    });
+  } catch (err) {
+    console.error('Error in GET /reports/duplicates', err);
+    return res.status(500).json({ error: 'Failed to build duplicate report' });
+  }
+});
+
+app.get('/prospects/:id', (req, res) => {
+  const { id } = req.params;
+
+  db.get(
+    `
+      SELECT
         id,
         sourceId,
         companyName,
@@ -1271,59 +3462,909 @@ app.get('/prospects/:id', (req, res) => {
         createdAt,
         updatedAt,
         lastContactedAt,
-        archivedAt
+        archivedAt,
+        mergedIntoId,
+        suppressedAt,
+        suppressionReason,
+        emailStatus,
+        emailCheckedAt,
+        fitScore,
+        fitLabel,
+        enrichedAt,
+        originCampaignId,
+        originPostId
       FROM prospects
       WHERE id = ?
     `,
     [id],
-    (err, row) => {
+    (err, row) => {
+      if (err) {
+        console.error('Failed to fetch prospect:', err);
+        return res.status(500).json({ error: 'Failed to fetch prospect' });
+      }
+      if (!row) {
+        return res.status(404).json({ error: 'Prospect not found' });
+      }
+      return getProspectCampaigns(id)
+        .then((campaigns) => res.json({ ...row, campaigns }))
+        .catch((campaignsErr) => {
+          console.error('Failed to fetch prospect campaigns:', campaignsErr);
+          res.status(500).json({ error: 'Failed to fetch prospect' });
+        });
+    },
+  );
+});
+
+app.post('/prospects', (req, res) => {
+  const {
+    sourceId,
+    companyName,
+    contactName,
+    role,
+    email,
+    phone,
+    website,
+    tags,
+    status,
+    ownerName,
+    origin,
+    originCampaignId,
+    originPostId,
+  } = req.body || {};
+
+  const id = generateId('pros');
+  const tagsValue = Array.isArray(tags) ? tags.join(',') : tags || null;
+  const statusValue = status || 'uncontacted';
+  const {
+    normalizedEmail,
+    normalizedDomain,
+    normalizedContactName,
+    normalizedPhone,
+  } = normalizeProspectIdentity({ email, website, contactName, phone });
+  const originValue =
+    origin && typeof origin === 'string' && origin.trim() ? origin.trim() : 'manual';
+
+  Promise.all([
+    loadSuppressionMatcher(),
+    checkProspectEmail(email),
+    checkDuplicateProspect({
+      normalizedEmail,
+      normalizedPhone,
+      normalizedDomain,
+      normalizedContactName,
+    }),
+    resolveProspectAttribution({ sourceId, originCampaignId, originPostId }),
+  ])
+    .then(([findSuppression, emailCheck, existing, attribution]) => {
+      if (attribution.error) {
+        return res.status(400).json({ error: attribution.error });
+      }
+      const blockedBy = findSuppression({ email, normalizedEmail, normalizedDomain });
+      if (blockedBy) {
+        return res.status(409).json(suppressionConflict(blockedBy));
+      }
+      if (existing) {
+        return res
+          .status(409)
+          .json({ error: 'DUPLICATE', existingId: existing.id, matchedOn: existing.matchedOn });
+      }
+
+      db.run(
+        `
+          INSERT INTO prospects (
+            id,
+            sourceId,
+            companyName,
+            contactName,
+            role,
+            email,
+            phone,
+            website,
+            tags,
+            status,
+            ownerName,
+            archivedAt,
+            normalizedEmail,
+            normalizedDomain,
+            normalizedContactName,
+            normalizedPhone,
+            normalizationVersion,
+            emailStatus,
+            emailCheckedAt,
+            origin,
+            originCampaignId,
+            originPostId,
+            suppressedAt,
+            createdAt,
+            updatedAt,
+            lastContactedAt
+          )
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NULL, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NULL, datetime('now'), NULL, NULL)
+        `,
+        [
+          id,
+          sourceId || null,
+          companyName || null,
+          contactName || null,
+          role || null,
+          email || null,
+          phone || null,
+          website || null,
+          tagsValue,
+          statusValue,
+          ownerName || null,
+          normalizedEmail,
+          normalizedDomain,
+          normalizedContactName,
+          normalizedPhone,
+          NORMALIZATION_VERSION,
+          emailCheck.emailStatus,
+          emailCheck.emailCheckedAt,
+          originValue,
+          attribution.value.originCampaignId,
+          attribution.value.originPostId,
+        ],
+        async function insertProspectCallback(err) {
+          if (err) {
+            console.error('Error creating prospect:', err);
+            return res.status(500).json({ error: 'Failed to create prospect' });
+          }
+
+          if (attribution.value.originCampaignId) {
+            try {
+              await addCampaignProspects(attribution.value.originCampaignId, [id], {
+                addedBy: getActor(req),
+              });
+            } catch (memberErr) {
+              console.error('Error adding prospect to origin campaign:', memberErr);
+            }
+          }
+
+          db.get(
+            `
+              SELECT
+                id,
+                sourceId,
+                companyName,
+                contactName,
+                role,
+                email,
+                phone,
+                website,
+                tags,
+                status,
+                ownerName,
+                createdAt,
+                updatedAt,
+                lastContactedAt,
+                archivedAt,
+                normalizedEmail,
+                normalizedDomain,
+                normalizedContactName,
+                normalizedPhone,
+                emailStatus,
+                emailCheckedAt,
+                origin,
+                originCampaignId,
+                originPostId,
+                suppressedAt
+              FROM prospects
+              WHERE id = ?
+            `,
+            [id],
+            (fetchErr, row) => {
+              if (fetchErr) {
+                console.error('Error fetching created prospect:', fetchErr);
+                return res.status(500).json({ error: 'Failed to create prospect' });
+              }
+              return res.status(201).json(row);
+            },
+          );
+        },
+      );
+    })
+    .catch((err) => {
+      console.error('Error checking duplicate prospect:', err);
+      return res.status(500).json({ error: 'Failed to create prospect' });
+    });
+});
+
+const PROSPECT_STATUSES = ['uncontacted', 'contacted', 'qualified', 'bad-fit'];
+const EDITABLE_PROSPECT_FIELDS = [
+  'companyName',
+  'contactName',
+  'role',
+  'email',
+  'phone',
+  'website',
+  'tags',
+  'ownerName',
+  'origin',
+];
+
+app.patch('/prospects/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const body = req.body || {};
+    const { status } = body;
+
+    const changes = {};
+
+    if (Object.prototype.hasOwnProperty.call(body, 'status')) {
+      if (!status || typeof status !== 'string') {
+        return res.status(400).json({ error: 'status must be a non-empty string' });
+      }
+      if (!PROSPECT_STATUSES.includes(status)) {
+        return res.status(400).json({ error: 'Invalid status value' });
+      }
+      changes.status = status;
+    }
+
+    for (const field of EDITABLE_PROSPECT_FIELDS) {
+      if (!Object.prototype.hasOwnProperty.call(body, field)) continue;
+      let value = body[field];
+      if (field === 'tags' && Array.isArray(value)) {
+        value = value.join(',');
+      }
+      if (value !== null && typeof value !== 'string') {
+        return res.status(400).json({ error: `${field} must be a string or null` });
+      }
+      changes[field] = value && value.trim() ? value.trim() : null;
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: 'No editable fields provided' });
+    }
+    if (Object.prototype.hasOwnProperty.call(changes, 'origin') && !changes.origin) {
+      return res.status(400).json({ error: 'origin cannot be empty' });
+    }
+
+    const existing = await getProspectById(id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Prospect not found' });
+    }
+
+    const identityFields = ['email', 'website', 'contactName', 'phone'];
+    if (identityFields.some((field) => Object.prototype.hasOwnProperty.call(changes, field))) {
+      Object.assign(
+        changes,
+        normalizeProspectIdentity({ ...existing, ...changes }),
+        { normalizationVersion: NORMALIZATION_VERSION },
+      );
+
+      const duplicate = await checkDuplicateProspect({ ...changes, excludeIds: [id] });
+      if (duplicate) {
+        return res
+          .status(409)
+          .json({ error: 'DUPLICATE', existingId: duplicate.id, matchedOn: duplicate.matchedOn });
+      }
+    }
+
+    if (Object.prototype.hasOwnProperty.call(changes, 'email') && changes.email !== existing.email) {
+      Object.assign(changes, await checkProspectEmail(changes.email));
+    }
+
+    const updated = await updateProspectFields(id, changes);
+    if (!updated) {
+      return res.status(404).json({ error: 'Prospect not found' });
+    }
+
+    if (changes.status && changes.status !== existing.status) {
+      recordActivity(req, id, 'status_changed', { from: existing.status, to: changes.status });
+    }
+    const editedFields = EDITABLE_PROSPECT_FIELDS.filter(
+      (field) =>
+        Object.prototype.hasOwnProperty.call(changes, field) && changes[field] !== existing[field],
+    );
+    if (editedFields.length > 0) {
+      recordActivity(req, id, 'updated', { fields: editedFields });
+    }
+
+    return res.json(updated);
+  } catch (err) {
+    console.error('Error in PATCH /prospects/:id', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const MERGEABLE_PROSPECT_FIELDS = ['status', ...EDITABLE_PROSPECT_FIELDS];
+
+/**
+ * Merges one or more duplicate prospects ("losers") into a survivor.
+ * `fields` picks, per field, which prospect's value the survivor keeps
+ * (defaults to the survivor's own). Notes and outreach steps move to the
+ * survivor, losers are archived with mergedIntoId set, and a snapshot of
+ * every record is kept in prospect_merges.
+ */
+app.post('/prospects/:id/merge', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { loserIds, fields } = req.body || {};
+
+    if (!Array.isArray(loserIds) || loserIds.length === 0) {
+      return res.status(400).json({ error: 'loserIds array is required' });
+    }
+    const uniqueLoserIds = Array.from(new Set(loserIds));
+    if (uniqueLoserIds.includes(id)) {
+      return res.status(400).json({ error: 'Survivor cannot also be a loser' });
+    }
+    if (fields !== undefined && (!fields || typeof fields !== 'object' || Array.isArray(fields))) {
+      return res.status(400).json({ error: 'fields must be an object of field -> prospectId' });
+    }
+
+    const survivor = await getProspectById(id);
+    if (!survivor) {
+      return res.status(404).json({ error: 'Prospect not found' });
+    }
+    if (survivor.mergedIntoId) {
+      return res.status(400).json({ error: 'Survivor has already been merged into another prospect' });
+    }
+
+    const losers = [];
+    for (const loserId of uniqueLoserIds) {
+      const loser = await getProspectById(loserId);
+      if (!loser) {
+        return res.status(404).json({ error: `Prospect not found: ${loserId}` });
+      }
+      if (loser.mergedIntoId) {
+        return res.status(400).json({ error: `Prospect already merged: ${loserId}` });
+      }
+      losers.push(loser);
+    }
+
+    const recordsById = new Map([survivor, ...losers].map((p) => [p.id, p]));
+    const changes = {};
+    for (const [field, sourceId] of Object.entries(fields || {})) {
+      if (!MERGEABLE_PROSPECT_FIELDS.includes(field)) {
+        return res.status(400).json({ error: `Field cannot be merged: ${field}` });
+      }
+      if (!recordsById.has(sourceId)) {
+        return res
+          .status(400)
+          .json({ error: `fields.${field} must reference the survivor or one of the loserIds` });
+      }
+      changes[field] = recordsById.get(sourceId)[field] ?? null;
+      if (field === 'email') {
+        changes.emailStatus = recordsById.get(sourceId).emailStatus ?? null;
+        changes.emailCheckedAt = recordsById.get(sourceId).emailCheckedAt ?? null;
+      }
+    }
+
+    Object.assign(
+      changes,
+      normalizeProspectIdentity({ ...survivor, ...changes }),
+      { normalizationVersion: NORMALIZATION_VERSION },
+    );
+
+    const duplicate = await checkDuplicateProspect({
+      ...changes,
+      excludeIds: [id, ...uniqueLoserIds],
+    });
+    if (duplicate) {
+      return res
+        .status(409)
+        .json({ error: 'DUPLICATE', existingId: duplicate.id, matchedOn: duplicate.matchedOn });
+    }
+
+    const result = await mergeProspects({
+      mergeId: generateId('merge'),
+      survivor,
+      losers,
+      changes,
+      fieldSources: fields || {},
+      actor: getActor(req),
+    });
+
+    recordActivity(req, id, 'merged', { mergeId: result.mergeId, loserIds: uniqueLoserIds });
+    recordActivity(req, uniqueLoserIds, 'merged_into', { mergeId: result.mergeId, survivorId: id });
+
+    return res.json(result);
+  } catch (err) {
+    console.error('Error in POST /prospects/:id/merge', err);
+    return res.status(500).json({ error: 'Failed to merge prospects' });
+  }
+});
+
+app.get('/prospects/:id/merges', async (req, res) => {
+  try {
+    const merges = await getProspectMerges(req.params.id);
+    return res.json(merges);
+  } catch (err) {
+    console.error('Error in GET /prospects/:id/merges', err);
+    return res.status(500).json({ error: 'Failed to fetch prospect merges' });
+  }
+});
+
+app.patch('/prospects/:id/archive', async (req, res) => {
+  try {
+    const { id } = req.params;
+    db.run(
+      `UPDATE prospects SET archivedAt = datetime('now'), updatedAt = datetime('now') WHERE id = ?`,
+      [id],
+      function archiveCallback(err) {
+        if (err) {
+          console.error('Error archiving prospect:', err);
+          return res.status(500).json({ error: 'Failed to archive prospect' });
+        }
+        if (this.changes === 0) {
+          return res.status(404).json({ error: 'Prospect not found' });
+        }
+        recordActivity(req, id, 'archived');
+        getProspectById(id)
+          .then((row) => res.json(row))
+          .catch((e) => {
+            console.error('Error fetching archived prospect:', e);
+            res.status(500).json({ error: 'Failed to archive prospect' });
+          });
+      },
+    );
+  } catch (err) {
+    console.error('Error in PATCH /prospects/:id/archive', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.patch('/prospects/:id/restore', async (req, res) => {
+  try {
+    const { id } = req.params;
+    db.run(
+      `UPDATE prospects SET archivedAt = NULL, updatedAt = datetime('now') WHERE id = ?`,
+      [id],
+      function restoreCallback(err) {
+        if (err) {
+          console.error('Error restoring prospect:', err);
+          return res.status(500).json({ error: 'Failed to restore prospect' });
+        }
+        if (this.changes === 0) {
+          return res.status(404).json({ error: 'Prospect not found' });
+        }
+        recordActivity(req, id, 'restored');
+        getProspectById(id)
+          .then((row) => res.json(row))
+          .catch((e) => {
+            console.error('Error fetching restored prospect:', e);
+            res.status(500).json({ error: 'Failed to restore prospect' });
+          });
+      },
+    );
+  } catch (err) {
+    console.error('Error in PATCH /prospects/:id/restore', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.patch('/prospects/:id/suppress', (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.body || {};
+  const reasonValue = typeof reason === 'string' && reason.trim() ? reason.trim() : null;
+  db.run(
+    `
+      UPDATE prospects
+      SET suppressedAt = datetime('now'), suppressionReason = ?, updatedAt = datetime('now')
+      WHERE id = ?
+    `,
+    [reasonValue, id],
+    function suppressCallback(err) {
+      if (err) {
+        console.error('Error suppressing prospect:', err);
+        return res.status(500).json({ error: 'Failed to suppress prospect' });
+      }
+      if (this.changes === 0) {
+        return res.status(404).json({ error: 'Prospect not found' });
+      }
+      recordActivity(req, id, 'suppressed', reasonValue ? { reason: reasonValue } : null);
+      getProspectById(id)
+        .then((row) => res.json(row))
+        .catch((e) => {
+          console.error('Error fetching suppressed prospect:', e);
+          res.status(500).json({ error: 'Failed to suppress prospect' });
+        });
+    },
+  );
+});
+
+app.patch('/prospects/:id/unsuppress', (req, res) => {
+  const { id } = req.params;
+  db.run(
+    `
+      UPDATE prospects
+      SET suppressedAt = NULL, suppressionReason = NULL, updatedAt = datetime('now')
+      WHERE id = ?
+    `,
+    [id],
+    function unsuppressCallback(err) {
       if (err) {
-        console.error('Failed to fetch prospect:', err);
-        return res.status(500).json({ error: 'Failed to fetch prospect' });
+        console.error('Error unsuppressing prospect:', err);
+        return res.status(500).json({ error: 'Failed to unsuppress prospect' });
       }
-      if (!row) {
+      if (this.changes === 0) {
         return res.status(404).json({ error: 'Prospect not found' });
       }
-      return res.json(row);
+      recordActivity(req, id, 'unsuppressed');
+      getProspectById(id)
+        .then((row) => res.json(row))
+        .catch((e) => {
+          console.error('Error fetching unsuppressed prospect:', e);
+          res.status(500).json({ error: 'Failed to unsuppress prospect' });
+        });
     },
   );
 });
 
-app.post('/prospects', (req, res) => {
-  const {
-    sourceId,
-    companyName,
-    contactName,
-    role,
-    email,
-    phone,
-    website,
-    tags,
-    status,
-    ownerName,
-    origin,
-  } = req.body || {};
+app.delete('/prospects/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const prospect = await getProspectById(id);
+    if (!prospect) {
+      return res.status(404).json({ error: 'Prospect not found' });
+    }
+    if (!prospect.archivedAt) {
+      return res.status(400).json({ error: 'Prospect must be archived before deletion' });
+    }
+    if (!(await deleteProspect(id))) {
+      return res.status(404).json({ error: 'Prospect not found' });
+    }
+    return res.json({ success: true, deletedId: id });
+  } catch (err) {
+    console.error('Error in DELETE /prospects/:id', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/prospects/:id/notes', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const notes = await getProspectNotes(id);
+    return res.json(notes);
+  } catch (err) {
+    console.error('Error in GET /prospects/:id/notes', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/prospects/:id/notes', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { content } = req.body || {};
+
+    if (!content || typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ error: 'content is required' });
+    }
+
+    const note = await addProspectNote(id, content.trim());
+    recordActivity(req, id, 'note_added', { noteId: note.id });
+    return res.status(201).json(note);
+  } catch (err) {
+    console.error('Error in POST /prospects/:id/notes', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/prospects/:id/enrichments', async (req, res) => {
+  try {
+    const prospect = await getProspectById(req.params.id);
+    if (!prospect) {
+      return res.status(404).json({ error: 'Prospect not found' });
+    }
+    const history = await getProspectEnrichments(prospect.id);
+    return res.json(history);
+  } catch (err) {
+    console.error('Error in GET /prospects/:id/enrichments', err);
+    return res.status(500).json({ error: 'Failed to fetch enrichment history' });
+  }
+});
+
+// Largest prospectIds list POST /prospects/validate-emails checks in the request.
+const MAX_INLINE_EMAIL_VALIDATIONS = 50;
+
+/**
+ * Validates emails. `{ prospectIds }` (at most MAX_INLINE_EMAIL_VALIDATIONS)
+ * is checked in the request; `{ sourceId }` needs DNS lookups for a whole
+ * source, so it is queued as an `email-validation` job and returned (202).
+ */
+app.post('/prospects/validate-emails', async (req, res) => {
+  try {
+    const { prospectIds, sourceId, onlyUnchecked } = req.body || {};
+    if (prospectIds !== undefined && (!Array.isArray(prospectIds) || prospectIds.length === 0)) {
+      return res.status(400).json({ error: 'prospectIds must be a non-empty array' });
+    }
+    if (!prospectIds && !sourceId) {
+      return res.status(400).json({ error: 'prospectIds or sourceId is required' });
+    }
+    if (!sourceId && prospectIds.length > MAX_INLINE_EMAIL_VALIDATIONS) {
+      return res.status(400).json({
+        error: `At most ${MAX_INLINE_EMAIL_VALIDATIONS} prospectIds at once; use sourceId for more`,
+      });
+    }
+    if (sourceId && !(await getSourceById(sourceId))) {
+      return res.status(404).json({ error: 'Source not found' });
+    }
+
+    const whereClauses = ['email IS NOT NULL', "TRIM(email) != ''", 'mergedIntoId IS NULL'];
+    const params = [];
+    if (prospectIds) {
+      whereClauses.push(`id IN (${prospectIds.map(() => '?').join(',')})`);
+      params.push(...prospectIds);
+    }
+    if (sourceId) {
+      whereClauses.push('sourceId = ?');
+      params.push(sourceId);
+    }
+    if (onlyUnchecked === true) {
+      whereClauses.push('emailStatus IS NULL');
+    }
+
+    const rows = await new Promise((resolve, reject) => {
+      db.all(
+        `SELECT id, email FROM prospects WHERE ${whereClauses.join(' AND ')}`,
+        params,
+        (err, result) => {
+          if (err) return reject(err);
+          resolve(result || []);
+        },
+      );
+    });
+
+    if (sourceId) {
+      const job = await createJob({
+        id: generateId('job'),
+        type: 'email-validation',
+        payload: { sourceId, onlyUnchecked: onlyUnchecked === true },
+        itemKeys: rows.map((row) => row.id),
+        createdBy: getActor(req),
+        generateItemId: () => generateId('jobitem'),
+      });
+      kickJobWorker();
+      return res.status(202).json(job);
+    }
+
+    const checks = await validateEmails(rows.map((r) => r.email));
+    const emailCheckedAt = new Date().toISOString();
+    const results = rows
+      .filter((row) => checks.has(emailValidationKey(row.email)))
+      .map((row) => ({
+        id: row.id,
+        email: row.email,
+        emailStatus: checks.get(emailValidationKey(row.email)).status,
+        emailCheckedAt,
+      }));
+    await setProspectEmailStatuses(results);
+
+    const counts = Object.fromEntries(EMAIL_STATUSES.map((status) => [status, 0]));
+    for (const result of results) counts[result.emailStatus]++;
+
+    return res.json({
+      checked: results.length,
+      counts,
+      results: results.map(({ id, email, emailStatus }) => ({ prospectId: id, email, emailStatus })),
+    });
+  } catch (err) {
+    console.error('Error in POST /prospects/validate-emails', err);
+    return res.status(500).json({ error: 'Failed to validate emails' });
+  }
+});
+
+app.post('/prospects/:id/validate-email', async (req, res) => {
+  try {
+    const prospect = await getProspectById(req.params.id);
+    if (!prospect) {
+      return res.status(404).json({ error: 'Prospect not found' });
+    }
+    if (!emailValidationKey(prospect.email)) {
+      return res.status(400).json({ error: 'Prospect has no email' });
+    }
+
+    const { status, checks } = await validateEmail(prospect.email);
+    const emailCheckedAt = new Date().toISOString();
+    await setProspectEmailStatuses([{ id: prospect.id, emailStatus: status, emailCheckedAt }]);
+
+    return res.json({
+      prospectId: prospect.id,
+      email: prospect.email,
+      emailStatus: status,
+      emailCheckedAt,
+      checks,
+    });
+  } catch (err) {
+    console.error('Error in POST /prospects/:id/validate-email', err);
+    return res.status(500).json({ error: 'Failed to validate email' });
+  }
+});
+
+app.get('/prospects/:id/unsubscribe-link', async (req, res) => {
+  try {
+    const prospect = await getProspectById(req.params.id);
+    if (!prospect) {
+      return res.status(404).json({ error: 'Prospect not found' });
+    }
+    // A relative link is useless in an email, and the request host may be an
+    // internal one behind a proxy, so the public URL must be configured.
+    if (!PUBLIC_BASE_URL) {
+      return res
+        .status(503)
+        .json({ error: 'PUBLIC_BASE_URL must be set to build unsubscribe links' });
+    }
+    const token = createUnsubscribeToken(prospect.id);
+    return res.json({ token, url: `${PUBLIC_BASE_URL}/unsubscribe/${token}` });
+  } catch (err) {
+    console.error('Error in GET /prospects/:id/unsubscribe-link', err);
+    return res.status(500).json({ error: 'Failed to create unsubscribe link' });
+  }
+});
+
+/**
+ * One feed for the prospect drawer: the activity log merged with notes.
+ * note_added entries are folded into their note so each note shows once.
+ */
+app.get('/prospects/:id/timeline', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const prospect = await getProspectById(id);
+    if (!prospect) {
+      return res.status(404).json({ error: 'Prospect not found' });
+    }
+
+    const [activity, notes] = await Promise.all([getProspectActivity(id), getProspectNotes(id)]);
+
+    const noteActors = new Map();
+    const items = [];
+    for (const entry of activity) {
+      if (entry.type === 'note_added' && entry.details && entry.details.noteId) {
+        noteActors.set(entry.details.noteId, entry.actor);
+        continue;
+      }
+      items.push({
+        id: entry.id,
+        kind: 'activity',
+        type: entry.type,
+        actor: entry.actor,
+        details: entry.details,
+        at: toIsoTimestamp(entry.createdAt),
+      });
+    }
+    for (const note of notes) {
+      items.push({
+        id: note.id,
+        kind: 'note',
+        type: 'note',
+        actor: noteActors.get(note.id) ?? null,
+        details: { content: note.content },
+        at: toIsoTimestamp(note.createdAt),
+      });
+    }
+
+    const direction = req.query.order === 'asc' ? 1 : -1;
+    items.sort((a, b) => direction * String(a.at).localeCompare(String(b.at)));
+
+    return res.json(items);
+  } catch (err) {
+    console.error('Error in GET /prospects/:id/timeline', err);
+    return res.status(500).json({ error: 'Failed to fetch prospect timeline' });
+  }
+});
+
+app.post('/prospects/:id/push-to-leaddesk', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const prospect = await getProspectById(id);
+    if (!prospect) {
+      return res.status(404).json({ error: 'Prospect not found' });
+    }
+
+    const source = prospect.sourceId ? await getSourceById(prospect.sourceId) : null;
+    const sourceName = (source && source.name) || prospect.sourceId || 'lead-gen';
+
+    const body = {
+      name: prospect.contactName || prospect.companyName || 'Lead from Lead Gen',
+      company: prospect.companyName || prospect.contactName || 'Lead Gen Prospect',
+      email: prospect.email || null,
+      phone: prospect.phone || null,
+      value: null,
+      source: sourceName,
+      createdAt: prospect.createdAt || new Date().toISOString(),
+      address: null,
+      ownerName:
+        prospect.ownerName && typeof prospect.ownerName === 'string' && prospect.ownerName.trim()
+          ? prospect.ownerName.trim()
+          : 'Zax Kalyan',
+    };
+
+    const response = await fetch(`${LEADDESK_API_BASE}/leads`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      console.error('Lead Desk create lead failed', response.status, text);
+      return res.status(502).json({
+        error: 'Failed to create lead in Lead Desk',
+        status: response.status,
+      });
+    }
+
+    const leaddeskLead = await response.json();
+    recordActivity(req, id, 'pushed_to_leaddesk', {
+      leaddeskLeadId: leaddeskLead && leaddeskLead.id ? leaddeskLead.id : null,
+    });
+
+    return res.status(201).json({
+      prospect,
+      leaddeskLead,
+    });
+  } catch (err) {
+    console.error('Error in POST /prospects/:id/push-to-leaddesk', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Shared by the JSON and CSV bulk importers: validates, normalizes and
+ * dedupes raw prospect objects against the table and each other, then inserts
+ * the survivors. `attribution` ({ originCampaignId, originPostId, addedBy })
+ * is stamped on every inserted prospect, which also joins that campaign.
+ * Emails get the offline checks inline; those that need an MX lookup are
+ * left unchecked and queued as an `email-validation` job, whose id is
+ * returned as `importStats.emailValidationJobId`. Resolves to
+ * { importStats, rows }.
+ */
+async function bulkImportProspects(sourceId, prospects, attribution = {}) {
+  const findSuppression = await loadSuppressionMatcher();
+  const emailCheckedAt = new Date().toISOString();
+
+  const { importStats, validProspects } = await new Promise((resolve, reject) => {
+    const validProspects = [];
+
+    const existingLookup = new Map();
+    const suppressedLookup = new Set();
+    const importStats = {
+      received: Array.isArray(prospects) ? prospects.length : 0,
+      valid: 0,
+      inserted: 0,
+      skippedInvalid: 0,
+      skippedDupEmail: 0,
+      skippedDupPhone: 0,
+      skippedDupFallback: 0,
+      skippedSuppressed: 0,
+      skippedOther: 0,
+    };
 
-  const id = generateId('pros');
-  const tagsValue = Array.isArray(tags) ? tags.join(',') : tags || null;
-  const statusValue = status || 'uncontacted';
-  const normalizedEmail = normalizeEmail(email);
-  const normalizedDomain = extractDomainFromWebsiteOrEmail(website, email);
-  const normalizedContactName = normalizeName(contactName);
-  const originValue =
-    origin && typeof origin === 'string' && origin.trim() ? origin.trim() : 'manual';
+    db.all(
+      'SELECT id, normalizedEmail, normalizedPhone, normalizedDomain, normalizedContactName, suppressedAt FROM prospects',
+      [],
+      (lookupErr, rows) => {
+        if (lookupErr) {
+          console.error('Failed to load existing prospects for dedupe', lookupErr);
+          return reject(lookupErr);
+        }
 
-  checkDuplicateProspect({ normalizedEmail, normalizedDomain, normalizedContactName })
-    .then((existing) => {
-      if (existing) {
-        return res.status(409).json({ error: 'DUPLICATE', existingId: existing.id });
-      }
+        for (const row of rows || []) {
+          if (row.normalizedEmail) {
+            existingLookup.set(`email:${row.normalizedEmail}`, row.id);
+            if (row.suppressedAt) suppressedLookup.add(`email:${row.normalizedEmail}`);
+          }
+          if (row.normalizedPhone) {
+            existingLookup.set(`phone:${row.normalizedPhone}`, row.id);
+            if (row.suppressedAt) suppressedLookup.add(`phone:${row.normalizedPhone}`);
+          }
+          if (row.normalizedDomain && row.normalizedContactName) {
+            const key = `dn:${row.normalizedDomain}:${row.normalizedContactName}`;
+            existingLookup.set(key, row.id);
+            if (row.suppressedAt) suppressedLookup.add(key);
+          }
+        }
 
-      db.run(
-        `
-          INSERT INTO prospects (
-            id,
-            sourceId,
+        const seen = new Set();
+
+        for (const raw of prospects) {
+          if (!raw || typeof raw !== 'object') {
+            importStats.skippedOther++;
+            continue;
+          }
+
+          const {
             companyName,
             contactName,
             role,
@@ -1333,583 +4374,734 @@ app.post('/prospects', (req, res) => {
             tags,
             status,
             ownerName,
-            archivedAt,
+            origin,
+          } = raw;
+
+          const hasIdentifier =
+            (companyName && String(companyName).trim() !== '') ||
+            (contactName && String(contactName).trim() !== '') ||
+            (email && String(email).trim() !== '');
+
+          if (!hasIdentifier) {
+            importStats.skippedInvalid++;
+            continue;
+          }
+          importStats.valid++;
+
+          const {
             normalizedEmail,
             normalizedDomain,
             normalizedContactName,
-            origin,
-            suppressedAt,
-            createdAt,
-            updatedAt,
-            lastContactedAt
-          )
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NULL, ?, ?, ?, ?, NULL, datetime('now'), NULL, NULL)
-        `,
-        [
-          id,
-          sourceId || null,
-          companyName || null,
-          contactName || null,
-          role || null,
-          email || null,
-          phone || null,
-          website || null,
-          tagsValue,
-          statusValue,
-          ownerName || null,
-          normalizedEmail,
-          normalizedDomain,
-          normalizedContactName,
-          originValue,
-        ],
-        function insertProspectCallback(err) {
-          if (err) {
-            console.error('Error creating prospect:', err);
-            return res.status(500).json({ error: 'Failed to create prospect' });
+            normalizedPhone,
+          } = normalizeProspectIdentity({ email, website, contactName, phone });
+
+          const keyEmail = normalizedEmail ? `email:${normalizedEmail}` : null;
+          const keyPhone = normalizedPhone ? `phone:${normalizedPhone}` : null;
+          const keyDomain =
+            normalizedDomain && normalizedContactName
+              ? `dn:${normalizedDomain}:${normalizedContactName}`
+              : null;
+
+          const emailDuplicate =
+            keyEmail && (existingLookup.has(keyEmail) || seen.has(keyEmail));
+          const phoneDuplicate =
+            keyPhone && (existingLookup.has(keyPhone) || seen.has(keyPhone));
+          const fallbackDuplicate =
+            !keyEmail && keyDomain && (existingLookup.has(keyDomain) || seen.has(keyDomain));
+          const duplicateKey = emailDuplicate || phoneDuplicate || fallbackDuplicate;
+          const suppressedHit =
+            findSuppression({ email, normalizedEmail, normalizedDomain }) ||
+            (keyEmail && suppressedLookup.has(keyEmail)) ||
+            (keyPhone && suppressedLookup.has(keyPhone)) ||
+            (!keyEmail && keyDomain && suppressedLookup.has(keyDomain));
+
+          if (duplicateKey || suppressedHit) {
+            if (suppressedHit) {
+              importStats.skippedSuppressed++;
+            } else if (emailDuplicate) {
+              importStats.skippedDupEmail++;
+            } else if (phoneDuplicate) {
+              importStats.skippedDupPhone++;
+            } else if (fallbackDuplicate) {
+              importStats.skippedDupFallback++;
+            } else {
+              importStats.skippedOther++;
+            }
+            continue;
           }
 
-          db.get(
-            `
-              SELECT
-                id,
-                sourceId,
-                companyName,
-                contactName,
-                role,
-                email,
-                phone,
-                website,
-                tags,
-                status,
-                ownerName,
-                createdAt,
-                updatedAt,
-                lastContactedAt,
-                archivedAt,
-                normalizedEmail,
-                normalizedDomain,
-                normalizedContactName,
-                origin,
-                suppressedAt
-              FROM prospects
-              WHERE id = ?
-            `,
-            [id],
-            (fetchErr, row) => {
-              if (fetchErr) {
-                console.error('Error fetching created prospect:', fetchErr);
-                return res.status(500).json({ error: 'Failed to create prospect' });
-              }
-              return res.status(201).json(row);
-            },
-          );
-        },
-      );
-    })
-    .catch((err) => {
-      console.error('Error checking duplicate prospect:', err);
-      return res.status(500).json({ error: 'Failed to create prospect' });
+          if (keyEmail) seen.add(keyEmail);
+          if (keyPhone) seen.add(keyPhone);
+          if (keyDomain) seen.add(keyDomain);
+
+          const id = generateId('pros');
+
+          let tagsString = null;
+          if (Array.isArray(tags)) {
+            tagsString = tags.join(',');
+          } else if (typeof tags === 'string') {
+            tagsString = tags;
+          }
+
+          const finalStatus =
+            typeof status === 'string' && status.trim() !== ''
+              ? status.trim()
+              : 'uncontacted';
+
+          const originValue =
+            origin && typeof origin === 'string' && origin.trim() ? origin.trim() : 'purchased';
+
+          validProspects.push({
+            id,
+            sourceId: sourceId || null,
+            companyName: companyName ?? null,
+            contactName: contactName ?? null,
+            role: role ?? null,
+            email: email ?? null,
+            phone: phone ?? null,
+            website: website ?? null,
+            tags: tagsString,
+            status: finalStatus,
+            ownerName: ownerName ?? null,
+            normalizedEmail,
+            normalizedDomain,
+            normalizedContactName,
+            normalizedPhone,
+            emailStatus: emailValidationKey(email) ? getOfflineEmailStatus(email) : null,
+            origin: originValue,
+          });
+        }
+
+        resolve({ importStats, validProspects });
+      },
+    );
+  });
+
+  const rows = await insertProspects(
+    validProspects.map((p) => ({
+      ...p,
+      normalizationVersion: NORMALIZATION_VERSION,
+      emailCheckedAt: p.emailStatus ? emailCheckedAt : null,
+      originCampaignId: attribution.originCampaignId ?? null,
+      originPostId: attribution.originPostId ?? null,
+    })),
+  );
+  importStats.inserted = rows.length;
+  const result = { importStats, rows };
+
+  if (attribution.originCampaignId && result.rows.length > 0) {
+    await addCampaignProspects(
+      attribution.originCampaignId,
+      result.rows.map((row) => row.id),
+      { addedBy: attribution.addedBy },
+    );
+  }
+
+  const uncheckedIds = result.rows
+    .filter((row) => emailValidationKey(row.email) && !row.emailStatus)
+    .map((row) => row.id);
+  if (uncheckedIds.length > 0) {
+    const job = await createJob({
+      id: generateId('job'),
+      type: 'email-validation',
+      payload: { sourceId: sourceId || null },
+      itemKeys: uncheckedIds,
+      createdBy: attribution.addedBy ?? null,
+      generateItemId: () => generateId('jobitem'),
     });
-});
+    kickJobWorker();
+    result.importStats.emailValidationJobId = job.id;
+  }
+  return result;
+}
 
-app.patch('/prospects/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { status } = req.body || {};
+function setImportStatsHeaders(res, importStats) {
+  res.set({
+    'X-LeadGen-Import-Received': String(importStats.received),
+    'X-LeadGen-Import-Valid': String(importStats.valid),
+    'X-LeadGen-Import-Inserted': String(importStats.inserted),
+    'X-LeadGen-Import-Skipped-Invalid': String(importStats.skippedInvalid),
+    'X-LeadGen-Import-Skipped-Duplicate-Email': String(importStats.skippedDupEmail),
+    'X-LeadGen-Import-Skipped-Duplicate-Phone': String(importStats.skippedDupPhone),
+    'X-LeadGen-Import-Skipped-Duplicate-Fallback': String(importStats.skippedDupFallback),
+    'X-LeadGen-Import-Skipped-Suppressed': String(importStats.skippedSuppressed),
+    'X-LeadGen-Import-Skipped-Other': String(importStats.skippedOther),
+  });
+  if (importStats.emailValidationJobId) {
+    res.set('X-LeadGen-Import-Email-Validation-Job', importStats.emailValidationJobId);
+  }
+}
 
-    if (!status || typeof status !== 'string') {
-      return res.status(400).json({ error: 'status is required' });
-    }
+app.post('/sources/:sourceId/prospects/bulk', async (req, res) => {
+  const { sourceId } = req.params;
+  const { prospects, originCampaignId, originPostId } = req.body || {};
 
-    const allowedStatuses = ['uncontacted', 'contacted', 'qualified', 'bad-fit'];
-    if (!allowedStatuses.includes(status)) {
-      return res.status(400).json({ error: 'Invalid status value' });
-    }
+  if (!Array.isArray(prospects) || prospects.length === 0) {
+    return res.status(400).json({ error: 'prospects array is required' });
+  }
 
-    const updated = await updateProspectStatus(id, status);
-    if (!updated) {
-      return res.status(404).json({ error: 'Prospect not found' });
+  try {
+    const attribution = await resolveProspectAttribution({ sourceId, originCampaignId, originPostId });
+    if (attribution.error) {
+      return res.status(400).json({ error: attribution.error });
     }
 
-    return res.json(updated);
+    const { importStats, rows } = await bulkImportProspects(sourceId, prospects, {
+      ...attribution.value,
+      addedBy: getActor(req),
+    });
+    setImportStatsHeaders(res, importStats);
+    return res.status(importStats.inserted > 0 ? 201 : 200).json(rows);
   } catch (err) {
-    console.error('Error in PATCH /prospects/:id', err);
-    return res.status(500).json({ error: 'Internal server error' });
+    console.error('Failed to bulk import prospects', err);
+    return res.status(500).json({ error: 'Failed to bulk import prospects' });
   }
 });
 
-app.patch('/prospects/:id/archive', async (req, res) => {
-  try {
-    const { id } = req.params;
-    db.run(
-      `UPDATE prospects SET archivedAt = datetime('now') WHERE id = ?`,
-      [id],
-      function archiveCallback(err) {
-        if (err) {
-          console.error('Error archiving prospect:', err);
-          return res.status(500).json({ error: 'Failed to archive prospect' });
-        }
-        if (this.changes === 0) {
-          return res.status(404).json({ error: 'Prospect not found' });
-        }
-        getProspectById(id)
-          .then((row) => res.json(row))
-          .catch((e) => {
-            console.error('Error fetching archived prospect:', e);
-            res.status(500).json({ error: 'Failed to archive prospect' });
-          });
-      },
-    );
-  } catch (err) {
-    console.error('Error in PATCH /prospects/:id/archive', err);
-    return res.status(500).json({ error: 'Internal server error' });
-  }
+const csvUpload = express.raw({
+  type: ['text/csv', 'text/tab-separated-values', 'text/plain', 'application/octet-stream'],
+  limit: '25mb',
 });
 
-app.patch('/prospects/:id/restore', async (req, res) => {
+function parseMappingParam(value) {
+  if (!value) return null;
+  if (typeof value === 'object') return value;
   try {
-    const { id } = req.params;
-    db.run(
-      `UPDATE prospects SET archivedAt = NULL WHERE id = ?`,
-      [id],
-      function restoreCallback(err) {
-        if (err) {
-          console.error('Error restoring prospect:', err);
-          return res.status(500).json({ error: 'Failed to restore prospect' });
-        }
-        if (this.changes === 0) {
-          return res.status(404).json({ error: 'Prospect not found' });
-        }
-        getProspectById(id)
-          .then((row) => res.json(row))
-          .catch((e) => {
-            console.error('Error fetching restored prospect:', e);
-            res.status(500).json({ error: 'Failed to restore prospect' });
-          });
-      },
-    );
+    return JSON.parse(value);
   } catch (err) {
-    console.error('Error in PATCH /prospects/:id/restore', err);
-    return res.status(500).json({ error: 'Internal server error' });
+    return undefined;
   }
-});
+}
 
-app.patch('/prospects/:id/suppress', (req, res) => {
-  const { id } = req.params;
-  db.run(
-    `UPDATE prospects SET suppressedAt = datetime('now') WHERE id = ?`,
-    [id],
-    function suppressCallback(err) {
-      if (err) {
-        console.error('Error suppressing prospect:', err);
-        return res.status(500).json({ error: 'Failed to suppress prospect' });
-      }
-      if (this.changes === 0) {
-        return res.status(404).json({ error: 'Prospect not found' });
-      }
-      getProspectById(id)
-        .then((row) => res.json(row))
-        .catch((e) => {
-          console.error('Error fetching suppressed prospect:', e);
-          res.status(500).json({ error: 'Failed to suppress prospect' });
-        });
-    },
-  );
-});
+app.post('/sources/:sourceId/prospects/import-csv', csvUpload, async (req, res) => {
+  try {
+    const { sourceId } = req.params;
+    const { vendor, encoding, delimiter, dryRun, saveTemplate, originCampaignId, originPostId } =
+      req.query;
+    const vendorKey = typeof vendor === 'string' && vendor.trim() ? vendor.trim().toLowerCase() : null;
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res
+        .status(400)
+        .json({ error: 'CSV body is required (Content-Type: text/csv or text/tab-separated-values)' });
+    }
 
-app.patch('/prospects/:id/unsuppress', (req, res) => {
-  const { id } = req.params;
-  db.run(
-    `UPDATE prospects SET suppressedAt = NULL WHERE id = ?`,
-    [id],
-    function unsuppressCallback(err) {
-      if (err) {
-        console.error('Error unsuppressing prospect:', err);
-        return res.status(500).json({ error: 'Failed to unsuppress prospect' });
-      }
-      if (this.changes === 0) {
-        return res.status(404).json({ error: 'Prospect not found' });
+    let text;
+    try {
+      text = decodeBuffer(req.body, typeof encoding === 'string' && encoding ? encoding : null);
+    } catch (err) {
+      return res.status(400).json({ error: `Unsupported encoding: ${encoding}` });
+    }
+
+    const validDelimiter =
+      delimiter === undefined ||
+      delimiter === 'tab' ||
+      (typeof delimiter === 'string' && [...delimiter].length === 1);
+    if (!validDelimiter) {
+      return res.status(400).json({ error: 'delimiter must be a single character or "tab"' });
+    }
+
+    const isTsv = String(req.get('content-type') || '').includes('tab-separated');
+    const finalDelimiter =
+      delimiter === 'tab' ? '\t' : delimiter || (isTsv ? '\t' : detectDelimiter(text));
+    const [headers, ...dataRows] = parseDelimited(text, finalDelimiter);
+
+    if (!headers || dataRows.length === 0) {
+      return res.status(400).json({ error: 'CSV must contain a header row and at least one data row' });
+    }
+
+    const explicitMapping = parseMappingParam(req.query.mapping);
+    if (explicitMapping === undefined) {
+      return res.status(400).json({ error: 'mapping must be valid JSON' });
+    }
+
+    let mapping = explicitMapping;
+    let mappingSource = 'request';
+    if (!mapping && vendorKey) {
+      const template = await getImportTemplate(vendorKey);
+      if (template) {
+        mapping = template.mapping;
+        mappingSource = 'template';
       }
-      getProspectById(id)
-        .then((row) => res.json(row))
-        .catch((e) => {
-          console.error('Error fetching unsuppressed prospect:', e);
-          res.status(500).json({ error: 'Failed to unsuppress prospect' });
-        });
-    },
-  );
-});
+    }
+    if (!mapping) {
+      mapping = autoDetectMapping(headers);
+      mappingSource = 'auto';
+    }
 
-app.delete('/prospects/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const prospect = await getProspectById(id);
-    if (!prospect) {
-      return res.status(404).json({ error: 'Prospect not found' });
+    const mappingError = validateMapping(mapping);
+    if (mappingError) {
+      return res.status(400).json({ error: mappingError });
     }
-    if (!prospect.archivedAt) {
-      return res.status(400).json({ error: 'Prospect must be archived before deletion' });
+
+    const missingHeaders = findMissingHeaders(headers, mapping);
+    if (missingHeaders.length > 0) {
+      return res.status(400).json({
+        error: `Mapped columns not found in the file: ${missingHeaders.join(', ')}`,
+        missingHeaders,
+        mappingSource,
+      });
     }
-    db.run(
-      `DELETE FROM prospects WHERE id = ?`,
-      [id],
-      function deleteCallback(err) {
-        if (err) {
-          console.error('Error deleting prospect:', err);
-          return res.status(500).json({ error: 'Failed to delete prospect' });
-        }
-        if (this.changes === 0) {
-          return res.status(404).json({ error: 'Prospect not found' });
-        }
-        return res.json({ success: true, deletedId: id });
-      },
-    );
+
+    const prospects = applyMapping(headers, dataRows, mapping);
+    const attribution = await resolveProspectAttribution({ sourceId, originCampaignId, originPostId });
+    if (attribution.error) {
+      return res.status(400).json({ error: attribution.error });
+    }
+
+    if (dryRun === '1') {
+      return res.json({
+        headers,
+        delimiter: finalDelimiter,
+        mapping,
+        mappingSource,
+        rowCount: prospects.length,
+        sample: prospects.slice(0, 10),
+      });
+    }
+
+    if (vendorKey && saveTemplate === '1' && mappingSource !== 'template') {
+      await saveImportTemplate(vendorKey, mapping, generateId('tpl'));
+    }
+
+    const { importStats, rows } = await bulkImportProspects(sourceId, prospects, {
+      ...attribution.value,
+      addedBy: getActor(req),
+    });
+    setImportStatsHeaders(res, importStats);
+    res.set('X-LeadGen-Import-Mapping-Source', mappingSource);
+    return res.status(importStats.inserted > 0 ? 201 : 200).json(rows);
   } catch (err) {
-    console.error('Error in DELETE /prospects/:id', err);
-    return res.status(500).json({ error: 'Internal server error' });
+    console.error('Error in POST /sources/:sourceId/prospects/import-csv', err);
+    return res.status(500).json({ error: 'Failed to import CSV' });
   }
 });
 
-app.get('/prospects/:id/notes', async (req, res) => {
+app.get('/import-templates', async (req, res) => {
   try {
-    const { id } = req.params;
-    const notes = await getProspectNotes(id);
-    return res.json(notes);
+    const templates = await listImportTemplates();
+    return res.json(templates);
   } catch (err) {
-    console.error('Error in GET /prospects/:id/notes', err);
-    return res.status(500).json({ error: 'Internal server error' });
+    console.error('Error in GET /import-templates', err);
+    return res.status(500).json({ error: 'Failed to fetch import templates' });
   }
 });
 
-app.post('/prospects/:id/notes', async (req, res) => {
+app.put('/import-templates/:vendor', async (req, res) => {
   try {
-    const { id } = req.params;
-    const { content } = req.body || {};
+    const vendorKey = req.params.vendor.trim().toLowerCase();
+    const { mapping } = req.body || {};
 
-    if (!content || typeof content !== 'string' || !content.trim()) {
-      return res.status(400).json({ error: 'content is required' });
+    const mappingError = validateMapping(mapping);
+    if (mappingError) {
+      return res.status(400).json({ error: mappingError });
     }
 
-    const note = await addProspectNote(id, content.trim());
-    return res.status(201).json(note);
+    const template = await saveImportTemplate(vendorKey, mapping, generateId('tpl'));
+    return res.json(template);
   } catch (err) {
-    console.error('Error in POST /prospects/:id/notes', err);
-    return res.status(500).json({ error: 'Internal server error' });
+    console.error('Error in PUT /import-templates/:vendor', err);
+    return res.status(500).json({ error: 'Failed to save import template' });
   }
 });
 
-app.post('/prospects/:id/push-to-leaddesk', async (req, res) => {
+app.delete('/import-templates/:vendor', async (req, res) => {
   try {
-    const { id } = req.params;
-
-    const prospect = await getProspectById(id);
-    if (!prospect) {
-      return res.status(404).json({ error: 'Prospect not found' });
+    const deleted = await deleteImportTemplate(req.params.vendor.trim().toLowerCase());
+    if (!deleted) {
+      return res.status(404).json({ error: 'Import template not found' });
     }
+    return res.json({ success: true, deletedVendor: req.params.vendor });
+  } catch (err) {
+    console.error('Error in DELETE /import-templates/:vendor', err);
+    return res.status(500).json({ error: 'Failed to delete import template' });
+  }
+});
 
-    const source = prospect.sourceId ? await getSourceById(prospect.sourceId) : null;
-    const sourceName = (source && source.name) || prospect.sourceId || 'lead-gen';
+// Public, unauthenticated unsubscribe pages linked from outreach emails. GET
+// only asks for confirmation so link scanners in mail gateways cannot
+// unsubscribe anyone; the POST (also used for one-click List-Unsubscribe)
+// does the work. Every invalid token gets the same response.
+function sendUnsubscribePage(res, status, page) {
+  res.set({ 'Cache-Control': 'no-store', 'Referrer-Policy': 'no-referrer' });
+  return res.status(status).type('html').send(renderUnsubscribePage(page));
+}
 
-    const body = {
-      name: prospect.contactName || prospect.companyName || 'Lead from Lead Gen',
-      company: prospect.companyName || prospect.contactName || 'Lead Gen Prospect',
-      email: prospect.email || null,
-      phone: prospect.phone || null,
-      value: null,
-      source: sourceName,
-      createdAt: prospect.createdAt || new Date().toISOString(),
-      address: null,
-      ownerName:
-        prospect.ownerName && typeof prospect.ownerName === 'string' && prospect.ownerName.trim()
-          ? prospect.ownerName.trim()
-          : 'Zax Kalyan',
-    };
+const INVALID_UNSUBSCRIBE_PAGE = {
+  title: 'Link not valid',
+  message: 'This unsubscribe link is not valid. Please use the link from the most recent email.',
+};
 
-    const response = await fetch(`${LEADDESK_API_BASE}/leads`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(body),
-    });
+app.get('/unsubscribe/:token', (req, res) => {
+  if (!readUnsubscribeToken(req.params.token)) {
+    return sendUnsubscribePage(res, 404, INVALID_UNSUBSCRIBE_PAGE);
+  }
+  return sendUnsubscribePage(res, 200, {
+    title: 'Unsubscribe',
+    message: 'Confirm that you no longer want to hear from us.',
+    showForm: true,
+  });
+});
 
-    if (!response.ok) {
-      const text = await response.text().catch(() => '');
-      console.error('Lead Desk create lead failed', response.status, text);
-      return res.status(502).json({
-        error: 'Failed to create lead in Lead Desk',
-        status: response.status,
-      });
+app.post('/unsubscribe/:token', express.urlencoded({ extended: false }), async (req, res) => {
+  const prospectId = readUnsubscribeToken(req.params.token);
+  if (!prospectId) {
+    return sendUnsubscribePage(res, 404, INVALID_UNSUBSCRIBE_PAGE);
+  }
+
+  try {
+    let prospect = await getProspectById(prospectId);
+    if (prospect && prospect.mergedIntoId) {
+      prospect = (await getProspectById(prospect.mergedIntoId)) || prospect;
     }
 
-    const leaddeskLead = await response.json();
+    if (prospect) {
+      const suppressedIds = await suppressProspects([prospect.id], 'unsubscribe');
+      if (suppressedIds.length > 0) {
+        recordActivity(null, prospect.id, 'suppressed', {
+          reason: 'unsubscribe',
+          via: 'unsubscribe_link',
+        });
+      }
+      if (prospect.normalizedEmail) {
+        await addSuppressionEntry({
+          id: generateId('dnc'),
+          type: 'email',
+          value: prospect.normalizedEmail,
+          reason: 'unsubscribe',
+          createdBy: null,
+        });
+      }
+    }
 
-    return res.status(201).json({
-      prospect,
-      leaddeskLead,
+    return sendUnsubscribePage(res, 200, {
+      title: 'You have been unsubscribed',
+      message: 'We will not contact you again. You can close this page.',
     });
   } catch (err) {
-    console.error('Error in POST /prospects/:id/push-to-leaddesk', err);
-    return res.status(500).json({ error: 'Internal server error' });
+    console.error('Error in POST /unsubscribe/:token', err);
+    return sendUnsubscribePage(res, 500, {
+      title: 'Something went wrong',
+      message: 'We could not process your request. Please try again in a few minutes.',
+    });
   }
 });
 
-app.post('/sources/:sourceId/prospects/bulk', (req, res) => {
-  const { sourceId } = req.params;
-  const { prospects } = req.body || {};
-
-  if (!Array.isArray(prospects) || prospects.length === 0) {
-    return res.status(400).json({ error: 'prospects array is required' });
+app.get('/suppression-list', async (req, res) => {
+  try {
+    const { type } = req.query;
+    if (type && !SUPPRESSION_TYPES.includes(type)) {
+      return res
+        .status(400)
+        .json({ error: `type must be one of: ${SUPPRESSION_TYPES.join(', ')}` });
+    }
+    const entries = await listSuppressionEntries({ type });
+    return res.json(entries);
+  } catch (err) {
+    console.error('Error in GET /suppression-list', err);
+    return res.status(500).json({ error: 'Failed to fetch suppression list' });
   }
+});
 
-  const validProspects = [];
+app.post('/suppression-list', async (req, res) => {
+  try {
+    const { type, value, reason, suppressExisting } = req.body || {};
+    const normalized = normalizeSuppressionEntry(type, value);
+    if (normalized.error) {
+      return res.status(400).json({ error: normalized.error });
+    }
 
-  const existingLookup = new Map();
-  const suppressedLookup = new Set();
-  const importStats = {
-    received: Array.isArray(prospects) ? prospects.length : 0,
-    valid: 0,
-    inserted: 0,
-    skippedInvalid: 0,
-    skippedDupEmail: 0,
-    skippedDupFallback: 0,
-    skippedSuppressed: 0,
-    skippedOther: 0,
-  };
+    const { entry, created } = await addSuppressionEntry({
+      id: generateId('dnc'),
+      type: normalized.type,
+      value: normalized.value,
+      reason: typeof reason === 'string' && reason.trim() ? reason.trim() : null,
+      createdBy: getActor(req),
+    });
 
-  db.all(
-    'SELECT id, normalizedEmail, normalizedDomain, normalizedContactName, suppressedAt FROM prospects',
-    [],
-    (lookupErr, rows) => {
-      if (lookupErr) {
-        console.error('Failed to load existing prospects for dedupe', lookupErr);
-        return res.status(500).json({ error: 'Failed to bulk import prospects' });
+    let suppressedProspectIds = [];
+    if (suppressExisting === true || suppressExisting === '1') {
+      const matches = buildSuppressionMatcher([entry]);
+      const candidates = await listUnsuppressedProspectIdentities();
+      const matchingIds = candidates.filter((p) => matches(p)).map((p) => p.id);
+      suppressedProspectIds = await suppressProspects(matchingIds, entry.reason);
+      if (suppressedProspectIds.length > 0) {
+        recordActivity(req, suppressedProspectIds, 'suppressed', {
+          reason: entry.reason,
+          suppressionEntryId: entry.id,
+        });
       }
+    }
 
-      for (const row of rows || []) {
-        if (row.normalizedEmail) {
-          existingLookup.set(`email:${row.normalizedEmail}`, row.id);
-          if (row.suppressedAt) suppressedLookup.add(`email:${row.normalizedEmail}`);
-        }
-        if (row.normalizedDomain && row.normalizedContactName) {
-          const key = `dn:${row.normalizedDomain}:${row.normalizedContactName}`;
-          existingLookup.set(key, row.id);
-          if (row.suppressedAt) suppressedLookup.add(key);
-        }
-      }
+    return res.status(created ? 201 : 200).json({ entry, created, suppressedProspectIds });
+  } catch (err) {
+    console.error('Error in POST /suppression-list', err);
+    return res.status(500).json({ error: 'Failed to add suppression entry' });
+  }
+});
 
-      const seen = new Set();
+app.delete('/suppression-list/:id', async (req, res) => {
+  try {
+    const entry = await getSuppressionEntryById(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Suppression entry not found' });
+    }
+    await deleteSuppressionEntry(entry.id);
+    return res.json({ success: true, deletedId: entry.id });
+  } catch (err) {
+    console.error('Error in DELETE /suppression-list/:id', err);
+    return res.status(500).json({ error: 'Failed to delete suppression entry' });
+  }
+});
 
-      for (const raw of prospects) {
-        if (!raw || typeof raw !== 'object') {
-          importStats.skippedOther++;
-          continue;
-        }
+app.get('/sequences', async (req, res) => {
+  try {
+    const sequences = await listOutreachSequences({ archived: req.query.archived === '1' });
+    return res.json(sequences);
+  } catch (err) {
+    console.error('Error in GET /sequences', err);
+    return res.status(500).json({ error: 'Failed to fetch sequences' });
+  }
+});
 
-        const {
-          companyName,
-          contactName,
-          role,
-          email,
-          phone,
-          website,
-          tags,
-          status,
-          ownerName,
-          origin,
-        } = raw;
+app.get('/sequences/:id', async (req, res) => {
+  try {
+    const sequence = await getOutreachSequenceById(req.params.id);
+    if (!sequence) {
+      return res.status(404).json({ error: 'Sequence not found' });
+    }
+    return res.json(sequence);
+  } catch (err) {
+    console.error('Error in GET /sequences/:id', err);
+    return res.status(500).json({ error: 'Failed to fetch sequence' });
+  }
+});
 
-        const hasIdentifier =
-          (companyName && String(companyName).trim() !== '') ||
-          (contactName && String(contactName).trim() !== '') ||
-          (email && String(email).trim() !== '');
+app.post('/sequences', async (req, res) => {
+  try {
+    const { name, description, steps } = req.body || {};
 
-        if (!hasIdentifier) {
-          importStats.skippedInvalid++;
-          continue;
-        }
-        importStats.valid++;
-
-        const normalizedEmail = normalizeEmail(email);
-        const normalizedDomain = extractDomainFromWebsiteOrEmail(website, email);
-        const normalizedContactName = normalizeName(contactName);
-
-        const keyEmail = normalizedEmail ? `email:${normalizedEmail}` : null;
-        const keyDomain =
-          normalizedDomain && normalizedContactName
-            ? `dn:${normalizedDomain}:${normalizedContactName}`
-            : null;
-
-        const emailDuplicate =
-          keyEmail && (existingLookup.has(keyEmail) || seen.has(keyEmail));
-        const fallbackDuplicate =
-          !keyEmail && keyDomain && (existingLookup.has(keyDomain) || seen.has(keyDomain));
-        const duplicateKey = emailDuplicate || fallbackDuplicate;
-        const suppressedHit =
-          (keyEmail && suppressedLookup.has(keyEmail)) ||
-          (!keyEmail && keyDomain && suppressedLookup.has(keyDomain));
-
-        if (duplicateKey || suppressedHit) {
-          if (suppressedHit) {
-            importStats.skippedSuppressed++;
-          } else if (emailDuplicate) {
-            importStats.skippedDupEmail++;
-          } else if (fallbackDuplicate) {
-            importStats.skippedDupFallback++;
-          } else {
-            importStats.skippedOther++;
-          }
-          continue;
-        }
+    if (!name || typeof name !== 'string' || name.trim() === '') {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    if (!Array.isArray(steps) || steps.length === 0) {
+      return res.status(400).json({ error: 'steps array is required' });
+    }
 
-        if (keyEmail) seen.add(keyEmail);
-        if (keyDomain) seen.add(keyDomain);
+    const normalizedSteps = [];
+    for (const [index, step] of steps.entries()) {
+      const channel =
+        step && typeof step.channel === 'string' ? step.channel.trim().toLowerCase() : '';
+      if (!OUTREACH_CHANNELS.includes(channel)) {
+        return res
+          .status(400)
+          .json({ error: `steps[${index}].channel must be one of ${OUTREACH_CHANNELS.join(', ')}` });
+      }
+      const dayOffset = step.dayOffset ?? 0;
+      if (!Number.isInteger(dayOffset) || dayOffset < 0) {
+        return res
+          .status(400)
+          .json({ error: `steps[${index}].dayOffset must be a non-negative integer` });
+      }
+      normalizedSteps.push({
+        id: generateId('seqstep'),
+        stepOrder: index + 1,
+        channel,
+        dayOffset,
+        title: typeof step.title === 'string' && step.title.trim() ? step.title.trim() : null,
+        bodyTemplate: typeof step.bodyTemplate === 'string' ? step.bodyTemplate : null,
+      });
+    }
 
-        const id = generateId('pros');
+    const sequence = await createOutreachSequence({
+      id: generateId('seq'),
+      name: name.trim(),
+      description: description ?? null,
+      steps: normalizedSteps,
+    });
+    return res.status(201).json(sequence);
+  } catch (err) {
+    console.error('Error in POST /sequences', err);
+    return res.status(500).json({ error: 'Failed to create sequence' });
+  }
+});
 
-        let tagsString = null;
-        if (Array.isArray(tags)) {
-          tagsString = tags.join(',');
-        } else if (typeof tags === 'string') {
-          tagsString = tags;
-        }
+app.patch('/sequences/:id/archive', async (req, res) => {
+  try {
+    const sequence = await archiveOutreachSequence(req.params.id);
+    if (!sequence) {
+      return res.status(404).json({ error: 'Sequence not found' });
+    }
+    return res.json(sequence);
+  } catch (err) {
+    console.error('Error in PATCH /sequences/:id/archive', err);
+    return res.status(500).json({ error: 'Failed to archive sequence' });
+  }
+});
 
-        const finalStatus =
-          typeof status === 'string' && status.trim() !== ''
-            ? status.trim()
-            : 'uncontacted';
+app.post('/sequences/:id/enroll', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { prospectIds, startAt } = req.body || {};
 
-        const originValue =
-          origin && typeof origin === 'string' && origin.trim() ? origin.trim() : 'purchased';
+    if (!Array.isArray(prospectIds) || prospectIds.length === 0) {
+      return res.status(400).json({ error: 'prospectIds array is required' });
+    }
 
-        validProspects.push({
-          id,
-          sourceId: sourceId || null,
-          companyName: companyName ?? null,
-          contactName: contactName ?? null,
-          role: role ?? null,
-          email: email ?? null,
-          phone: phone ?? null,
-          website: website ?? null,
-          tags: tagsString,
-          status: finalStatus,
-          ownerName: ownerName ?? null,
-          normalizedEmail,
-          normalizedDomain,
-          normalizedContactName,
-          origin: originValue,
-        });
-      }
+    const start = startAt ? new Date(startAt) : new Date();
+    if (Number.isNaN(start.getTime())) {
+      return res.status(400).json({ error: 'startAt must be a valid date' });
+    }
 
-      const sendStatsHeaders = () => {
-        res.set({
-          'X-LeadGen-Import-Received': String(importStats.received),
-          'X-LeadGen-Import-Valid': String(importStats.valid),
-          'X-LeadGen-Import-Inserted': String(importStats.inserted),
-          'X-LeadGen-Import-Skipped-Invalid': String(importStats.skippedInvalid),
-          'X-LeadGen-Import-Skipped-Duplicate-Email': String(
-            importStats.skippedDupEmail,
-          ),
-          'X-LeadGen-Import-Skipped-Duplicate-Fallback': String(
-            importStats.skippedDupFallback,
-          ),
-          'X-LeadGen-Import-Skipped-Suppressed': String(importStats.skippedSuppressed),
-          'X-LeadGen-Import-Skipped-Other': String(importStats.skippedOther),
-        });
-      };
+    const sequence = await getOutreachSequenceById(id);
+    if (!sequence) {
+      return res.status(404).json({ error: 'Sequence not found' });
+    }
+    if (sequence.archivedAt) {
+      return res.status(400).json({ error: 'Cannot enroll into an archived sequence' });
+    }
+
+    const enrolled = [];
+    const skipped = [];
 
-      if (validProspects.length === 0) {
-        importStats.inserted = 0;
-        sendStatsHeaders();
-        return res.status(200).json([]);
+    for (const prospectId of new Set(prospectIds)) {
+      const prospect = await getProspectById(prospectId);
+      if (!prospect) {
+        skipped.push({ prospectId, reason: 'not_found' });
+        continue;
+      }
+      if (prospect.archivedAt) {
+        skipped.push({ prospectId, reason: 'archived' });
+        continue;
+      }
+      if (prospect.suppressedAt) {
+        skipped.push({ prospectId, reason: 'suppressed' });
+        continue;
+      }
+      if (await hasPendingSequenceSteps(prospectId, sequence.id)) {
+        skipped.push({ prospectId, reason: 'already_enrolled' });
+        continue;
       }
 
-      db.serialize(() => {
-        const insertSql = `
-        INSERT INTO prospects (
-          id,
-          sourceId,
-          companyName,
-          contactName,
-          role,
-          email,
-          phone,
-          website,
-          tags,
-          status,
-          ownerName,
-          normalizedEmail,
-          normalizedDomain,
-          normalizedContactName,
-          origin,
-          suppressedAt,
-          createdAt,
-          updatedAt,
-          lastContactedAt,
-          archivedAt
-        )
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NULL, datetime('now'), NULL, NULL, NULL)
-      `;
-
-        const stmt = db.prepare(insertSql);
-
-        try {
-          for (const p of validProspects) {
-            stmt.run(
-              p.id,
-              p.sourceId,
-              p.companyName,
-              p.contactName,
-              p.role,
-              p.email,
-              p.phone,
-              p.website,
-              p.tags,
-              p.status,
-              p.ownerName,
-              p.normalizedEmail,
-              p.normalizedDomain,
-              p.normalizedContactName,
-              p.origin,
-            );
-          }
+      await enrollProspectInSequence(prospectId, sequence, start.toISOString(), () =>
+        generateId('step'),
+      );
+      enrolled.push(prospectId);
+    }
 
-            stmt.finalize(err => {
-              if (err) {
-                console.error('Failed to bulk import prospects (finalize)', err);
-                return res.status(500).json({ error: 'Failed to bulk import prospects' });
-              }
+    return res.status(enrolled.length > 0 ? 201 : 200).json({ enrolled, skipped });
+  } catch (err) {
+    console.error('Error in POST /sequences/:id/enroll', err);
+    return res.status(500).json({ error: 'Failed to enroll prospects' });
+  }
+});
 
-              importStats.inserted = validProspects.length;
-              sendStatsHeaders();
+app.get('/prospects/:id/outreach-steps', async (req, res) => {
+  try {
+    const prospect = await getProspectById(req.params.id);
+    if (!prospect) {
+      return res.status(404).json({ error: 'Prospect not found' });
+    }
+    const steps = await getProspectOutreachSteps(prospect.id);
+    return res.json(steps);
+  } catch (err) {
+    console.error('Error in GET /prospects/:id/outreach-steps', err);
+    return res.status(500).json({ error: 'Failed to fetch outreach steps' });
+  }
+});
 
-              const ids = validProspects.map(p => p.id);
-              const placeholders = ids.map(() => '?').join(',');
+app.get('/outreach-steps/due', async (req, res) => {
+  try {
+    const { before, ownerName, channel, sequenceId } = req.query;
 
-            db.all(
-              `SELECT * FROM prospects WHERE id IN (${placeholders})`,
-              ids,
-              (selectErr, rows) => {
-                if (selectErr) {
-                  console.error('Failed to fetch imported prospects', selectErr);
-                  return res.status(500).json({ error: 'Failed to bulk import prospects' });
-                }
-                res.status(importStats.inserted > 0 ? 201 : 200).json(rows);
-              },
-            );
-          });
-        } catch (e) {
-          console.error('Failed to bulk import prospects', e);
-          try {
-            stmt.finalize();
-          } catch (_) {
-            // ignore
-          }
-          return res.status(500).json({ error: 'Failed to bulk import prospects' });
-        }
-      });
-    },
-  );
+    const cutoff = before ? new Date(before) : new Date();
+    if (Number.isNaN(cutoff.getTime())) {
+      return res.status(400).json({ error: 'before must be a valid date' });
+    }
+
+    const steps = await getDueOutreachSteps({
+      before: cutoff.toISOString(),
+      ownerName: typeof ownerName === 'string' && ownerName.trim() ? ownerName.trim() : null,
+      channel: typeof channel === 'string' && channel.trim() ? channel.trim() : null,
+      sequenceId: typeof sequenceId === 'string' && sequenceId.trim() ? sequenceId.trim() : null,
+    });
+    return res.json(steps);
+  } catch (err) {
+    console.error('Error in GET /outreach-steps/due', err);
+    return res.status(500).json({ error: 'Failed to fetch due outreach steps' });
+  }
 });
 
+async function handleResolveOutreachStep(req, res, status) {
+  try {
+    const before = await getOutreachStepById(req.params.id);
+    const prospectBefore = before ? await getProspectById(before.prospectId) : null;
+
+    const step = await resolveOutreachStep(req.params.id, status);
+    if (!step) {
+      return res.status(404).json({ error: 'Outreach step not found' });
+    }
+
+    recordActivity(req, step.prospectId, `outreach_step_${status}`, {
+      stepId: step.id,
+      channel: step.channel,
+      sequenceId: step.sequenceId,
+    });
+    if (status === 'completed' && prospectBefore && prospectBefore.status === 'uncontacted') {
+      recordActivity(req, step.prospectId, 'status_changed', {
+        from: 'uncontacted',
+        to: 'contacted',
+        reason: 'outreach_step_completed',
+      });
+    }
+    return res.json(step);
+  } catch (err) {
+    if (err && err.message === 'STEP_NOT_PENDING') {
+      return res.status(400).json({ error: 'Outreach step is not pending' });
+    }
+    console.error(`Error resolving outreach step as ${status}:`, err);
+    return res.status(500).json({ error: 'Failed to update outreach step' });
+  }
+}
+
+app.patch('/outreach-steps/:id/complete', (req, res) =>
+  handleResolveOutreachStep(req, res, 'completed'),
+);
+
+app.patch('/outreach-steps/:id/skip', (req, res) =>
+  handleResolveOutreachStep(req, res, 'skipped'),
+);
+
 app.listen(PORT, () => {
   console.log(`Lead Generation backend listening on port ${PORT}`);
+  if (!PUBLIC_BASE_URL) {
+    console.warn('PUBLIC_BASE_URL is not set; unsubscribe links cannot be created.');
+  }
+  backfillProspectNormalization().catch((err) => {
+    console.error('Failed to backfill prospect normalization', err);
+  });
+  startJobWorker().catch((err) => {
+    console.error('Failed to start job worker', err);
+  });
+  syncBuiltInPromptTemplates().catch((err) => {
+    console.error('Failed to seed prompt templates', err);
+  });
+  // The calendar and the scheduler both compare scheduledFor as UTC ISO text.
+  const schedulesNormalized = normalizeStoredSchedules()
+    .then((changed) => {
+      if (changed > 0) console.log(`Normalized ${changed} legacy post schedule(s)`);
+    })
+    .catch((err) => {
+      console.error('Failed to normalize stored post schedules', err);
+    });
+  if (process.env.SOCIAL_SCHEDULER === 'on') {
+    const publisher = createSocialPublisher();
+    if (!publisher.configured) {
+      console.warn('SOCIAL_SCHEDULER=on needs SOCIAL_PUBLISHER; the post scheduler is not started.');
+    } else {
+      schedulesNormalized.then(() => startPostScheduler({ publisher })).catch((err) => {
+        console.error('Failed to start post scheduler', err);
+      });
+    }
+  }
 });
@@ -0,0 +1,114 @@
+const {
+  requeueInterruptedJobs,
+  claimNextJob,
+  claimJobItems,
+  completeJobItems,
+  finishJob,
+} = require('./db');
+
+const MAX_ITEM_ATTEMPTS = 3;
+const POLL_INTERVAL_MS = 5000;
+
+const handlers = new Map();
+let running = false;
+let pollTimer = null;
+
+/**
+ * Registers how jobs of `type` are processed. `processChunk(job, items)`
+ * receives up to `chunkSize` claimed items ({ id, itemKey, attempts }) and
+ * resolves to one outcome per item: { id, result } on success or
+ * { id, error, retry } on failure. Failed items are retried (up to
+ * MAX_ITEM_ATTEMPTS) unless `retry` is false; a thrown error fails the whole
+ * chunk the same way.
+ */
+function registerJobHandler(type, { chunkSize = 25, processChunk }) {
+  handlers.set(type, { chunkSize, processChunk });
+}
+
+function toItemOutcome(item, outcome) {
+  if (outcome && !outcome.error) {
+    return { id: item.id, status: 'done', result: outcome.result ?? null };
+  }
+  const error = (outcome && outcome.error) || 'No result returned';
+  const retry = !(outcome && outcome.retry === false) && item.attempts < MAX_ITEM_ATTEMPTS;
+  return { id: item.id, status: retry ? 'pending' : 'failed', error };
+}
+
+async function runJob(job) {
+  const handler = handlers.get(job.type);
+  if (!handler) {
+    await finishJob(job.id, 'failed', `No handler for job type ${job.type}`);
+    return;
+  }
+
+  for (;;) {
+    const items = await claimJobItems(job.id, handler.chunkSize);
+    if (items.length === 0) break;
+
+    let outcomes;
+    try {
+      outcomes = await handler.processChunk(job, items);
+    } catch (err) {
+      console.error(`Job ${job.id} chunk failed`, err);
+      outcomes = items.map((item) => ({ id: item.id, error: err.message || String(err) }));
+    }
+
+    const byId = new Map((outcomes || []).map((outcome) => [outcome.id, outcome]));
+    await completeJobItems(
+      job.id,
+      items.map((item) => toItemOutcome(item, byId.get(item.id))),
+    );
+  }
+
+  await finishJob(job.id, 'completed');
+}
+
+async function drainQueue() {
+  if (running) return;
+  running = true;
+  try {
+    for (;;) {
+      const job = await claimNextJob();
+      if (!job) break;
+      try {
+        await runJob(job);
+      } catch (err) {
+        console.error(`Job ${job.id} failed`, err);
+        await finishJob(job.id, 'failed', err.message || String(err)).catch((finishErr) => {
+          console.error(`Failed to mark job ${job.id} as failed`, finishErr);
+        });
+      }
+    }
+  } catch (err) {
+    console.error('Job worker error', err);
+  } finally {
+    running = false;
+  }
+}
+
+/** Wakes the worker, e.g. right after a job is queued. */
+function kickJobWorker() {
+  setImmediate(drainQueue);
+}
+
+/**
+ * Requeues work interrupted by a restart and starts polling for jobs. Jobs
+ * run one at a time in this process.
+ */
+async function startJobWorker({ pollIntervalMs = POLL_INTERVAL_MS } = {}) {
+  const requeued = await requeueInterruptedJobs();
+  if (requeued > 0) {
+    console.log(`Resuming ${requeued} interrupted job(s)`);
+  }
+  if (!pollTimer) {
+    pollTimer = setInterval(drainQueue, pollIntervalMs);
+    pollTimer.unref();
+  }
+  kickJobWorker();
+}
+
+module.exports = {
+  registerJobHandler,
+  kickJobWorker,
+  startJobWorker,
+};
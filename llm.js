@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const OpenAI = require('openai');
+
+const LLM_PROVIDERS = ['openai', 'openai-compatible', 'stub'];
+
+// Default model per task; each can be overridden with LLM_MODEL_<TASK>.
+const DEFAULT_MODELS = {
+  suggestions: 'gpt-4.1-mini',
+  enrichment: 'gpt-4.1-mini',
+  image: 'gpt-image-1',
+};
+
+const STUB_FIT_LABELS = [
+  [75, 'hot'],
+  [55, 'warm'],
+  [35, 'cool'],
+  [0, 'cold'],
+];
+
+function getModelForTask(task) {
+  const override = process.env[`LLM_MODEL_${task.toUpperCase()}`];
+  return override && override.trim() ? override.trim() : DEFAULT_MODELS[task];
+}
+
+function extractResponseText(response) {
+  return (
+    response.output_text ||
+    response.output?.[0]?.content?.[0]?.text ||
+    response.output?.[0]?.content?.[0]?.string ||
+    ''
+  );
+}
+
+function extractImageUrl(response) {
+  const image = Array.isArray(response.data) ? response.data[0] : null;
+  if (!image) return null;
+  if (image.url) return image.url;
+  return image.b64_json ? `data:image/png;base64,${image.b64_json}` : null;
+}
+
+/** OpenAI itself, through the Responses API. */
+function createOpenAiProvider({ apiKey }) {
+  const client = new OpenAI({ apiKey });
+  return {
+    name: 'openai',
+    async generateText({ task, system, prompt }) {
+      const model = getModelForTask(task);
+      const input = system
+        ? [
+            { role: 'system', content: system },
+            { role: 'user', content: prompt },
+          ]
+        : prompt;
+      const response = await client.responses.create({ model, input });
+      return { text: extractResponseText(response), model };
+    },
+    async generateImage({ task = 'image', prompt, size = '1024x1024' }) {
+      const model = getModelForTask(task);
+      const response = await client.images.generate({ model, prompt, size, n: 1 });
+      return { url: extractImageUrl(response), model };
+    },
+  };
+}
+
+/**
+ * Any server speaking the OpenAI wire format (Ollama, vLLM, llama.cpp, LM
+ * Studio...). Most of them only implement Chat Completions, so text goes
+ * through that endpoint instead of the Responses API.
+ */
+function createOpenAiCompatibleProvider({ baseURL, apiKey }) {
+  const client = new OpenAI({ baseURL, apiKey: apiKey || 'not-needed' });
+  return {
+    name: 'openai-compatible',
+    async generateText({ task, system, prompt }) {
+      const model = getModelForTask(task);
+      const messages = system
+        ? [
+            { role: 'system', content: system },
+            { role: 'user', content: prompt },
+          ]
+        : [{ role: 'user', content: prompt }];
+      const response = await client.chat.completions.create({ model, messages });
+      return { text: response.choices?.[0]?.message?.content || '', model };
+    },
+    async generateImage({ task = 'image', prompt, size = '1024x1024' }) {
+      const model = getModelForTask(task);
+      const response = await client.images.generate({ model, prompt, size, n: 1 });
+      return { url: extractImageUrl(response), model };
+    },
+  };
+}
+
+function hashInt(text) {
+  return crypto.createHash('sha256').update(text).digest().readUInt32BE(0);
+}
+
+function readStubFixture(fixturesDir, task) {
+  if (!fixturesDir) return undefined;
+  const file = path.join(fixturesDir, `${task}.json`);
+  if (!fs.existsSync(file)) return undefined;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Built-in stub replies, derived only from the prompt so the same input
+// always gives the same output.
+const STUB_TEXT_GENERATORS = {
+  suggestions(prompt) {
+    const campaignName = (prompt.match(/^Campaign name: (.*)$/m) || [])[1] || 'the campaign';
+    const channelsLine = (prompt.match(/^Channels: (.*)$/m) || [])[1];
+    const channels = channelsLine
+      ? channelsLine.split(',').map((channel) => channel.trim()).filter(Boolean)
+      : ['linkedin', 'twitter', 'facebook', 'instagram'];
+    const variants = Number((prompt.match(/^Variants per channel: (\d+)$/m) || [])[1]) || 1;
+    const callToAction = (prompt.match(/^Call to action: (.*)$/m) || [])[1] || 'Get in touch.';
+
+    const suggestions = [];
+    for (const channel of channels) {
+      for (let variant = 1; variant <= variants; variant++) {
+        suggestions.push({
+          channel,
+          tone: 'stub',
+          content: `[stub] ${channel} post ${variant} for ${campaignName}. ${callToAction}`,
+          imageIdea: `[stub] visual for ${channel} post ${variant}`,
+        });
+      }
+    }
+    return JSON.stringify({ suggestions });
+  },
+
+  enrichment(prompt) {
+    const items = [];
+    const pattern = /PROSPECT_ID: (\S+)\nCOMPANY_NAME: (.*)/g;
+    let match;
+    while ((match = pattern.exec(prompt))) {
+      const [, prospectId, companyName] = match;
+      const fitScore = hashInt(`${prospectId}:${companyName}`) % 101;
+      const fitLabel = STUB_FIT_LABELS.find(([min]) => fitScore >= min)[1];
+      items.push({
+        prospectId,
+        fitScore,
+        fitLabel,
+        primaryPain: `[stub] Opportunity to streamline operations at ${companyName}`,
+        summary: `[stub] ${companyName} scored ${fitScore} (${fitLabel}).`,
+      });
+    }
+    return JSON.stringify(items);
+  },
+};
+
+/**
+ * Deterministic offline provider for development and CI. A fixture file
+ * `<task>.json` in `fixturesDir` is returned as-is when present (strings
+ * verbatim, anything else as JSON; image fixtures are `{ "url": "..." }`);
+ * otherwise a built-in generator answers from the prompt.
+ */
+function createStubProvider({ fixturesDir } = {}) {
+  return {
+    name: 'stub',
+    async generateText({ task, system, prompt }) {
+      const model = `stub:${getModelForTask(task) || task}`;
+      const fixture = readStubFixture(fixturesDir, task);
+      if (fixture !== undefined) {
+        return { text: typeof fixture === 'string' ? fixture : JSON.stringify(fixture), model };
+      }
+      const generator = STUB_TEXT_GENERATORS[task];
+      return { text: generator ? generator(prompt, system) : '', model };
+    },
+    async generateImage({ task = 'image', prompt }) {
+      const model = `stub:${getModelForTask(task)}`;
+      const fixture = readStubFixture(fixturesDir, task);
+      if (fixture && fixture.url) return { url: fixture.url, model };
+      const digest = crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 16);
+      return { url: `https://stub.invalid/images/${digest}.png`, model };
+    },
+  };
+}
+
+/**
+ * Builds the provider selected by LLM_PROVIDER. Without it, OpenAI is used
+ * when OPENAI_API_KEY is set; otherwise returns null and callers fall back
+ * to their non-AI behaviour.
+ */
+function createLlmProvider(env = process.env) {
+  const provider = (env.LLM_PROVIDER || '').trim().toLowerCase() || (env.OPENAI_API_KEY ? 'openai' : '');
+  if (!provider) return null;
+
+  if (provider === 'openai') {
+    if (!env.OPENAI_API_KEY) {
+      console.warn('LLM_PROVIDER=openai but OPENAI_API_KEY is missing; AI features disabled.');
+      return null;
+    }
+    return createOpenAiProvider({ apiKey: env.OPENAI_API_KEY });
+  }
+  if (provider === 'openai-compatible') {
+    if (!env.LLM_BASE_URL) {
+      console.warn('LLM_PROVIDER=openai-compatible needs LLM_BASE_URL; AI features disabled.');
+      return null;
+    }
+    return createOpenAiCompatibleProvider({ baseURL: env.LLM_BASE_URL, apiKey: env.LLM_API_KEY });
+  }
+  if (provider === 'stub') {
+    return createStubProvider({ fixturesDir: env.LLM_STUB_FIXTURES });
+  }
+
+  console.warn(`Unknown LLM_PROVIDER "${provider}" (expected ${LLM_PROVIDERS.join(', ')}); AI features disabled.`);
+  return null;
+}
+
+module.exports = {
+  LLM_PROVIDERS,
+  getModelForTask,
+  createLlmProvider,
+};
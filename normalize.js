@@ -0,0 +1,193 @@
+// Bump when the rules below change so existing rows get re-normalized on the
+// next startup backfill.
+const NORMALIZATION_VERSION = 2;
+
+// Consumer mailbox providers. An address at one of these says nothing about
+// the person's company, so it is never used as a company domain.
+const FREE_MAIL_DOMAINS = new Set([
+  'gmail.com',
+  'googlemail.com',
+  'outlook.com',
+  'hotmail.com',
+  'hotmail.co.uk',
+  'live.com',
+  'live.co.uk',
+  'msn.com',
+  'yahoo.com',
+  'yahoo.co.uk',
+  'ymail.com',
+  'rocketmail.com',
+  'aol.com',
+  'icloud.com',
+  'me.com',
+  'mac.com',
+  'proton.me',
+  'protonmail.com',
+  'pm.me',
+  'gmx.com',
+  'gmx.co.uk',
+  'gmx.de',
+  'web.de',
+  'mail.com',
+  'zoho.com',
+  'yandex.com',
+  'yandex.ru',
+  'fastmail.com',
+  'btinternet.com',
+  'sky.com',
+  'virginmedia.com',
+  'talktalk.net',
+  'ntlworld.com',
+  'blueyonder.co.uk',
+  'qq.com',
+  '163.com',
+]);
+
+// Providers that ignore dots in the local part.
+const DOTLESS_LOCAL_PART_DOMAINS = new Set(['gmail.com', 'googlemail.com']);
+
+const DOMAIN_ALIASES = {
+  'googlemail.com': 'gmail.com',
+};
+
+const CALLING_CODES = {
+  GB: '44',
+  IE: '353',
+  US: '1',
+  CA: '1',
+  AU: '61',
+  NZ: '64',
+  IN: '91',
+  DE: '49',
+  FR: '33',
+  ES: '34',
+  IT: '39',
+  NL: '31',
+  BE: '32',
+  ZA: '27',
+  AE: '971',
+  SG: '65',
+};
+
+const DEFAULT_PHONE_REGION = (process.env.DEFAULT_PHONE_REGION || 'GB').toUpperCase();
+
+function isFreeMailDomain(domain) {
+  return Boolean(domain) && FREE_MAIL_DOMAINS.has(String(domain).toLowerCase());
+}
+
+/**
+ * Canonical email used for dedupe: lower-cased, "+tag" sub-addressing
+ * removed, and for Gmail the dots in the local part dropped and
+ * googlemail.com folded into gmail.com.
+ */
+function normalizeEmail(email) {
+  if (!email || typeof email !== 'string') return null;
+  const trimmed = email.trim().toLowerCase();
+  if (!trimmed) return null;
+
+  const at = trimmed.lastIndexOf('@');
+  if (at <= 0 || at === trimmed.length - 1) return trimmed;
+
+  let local = trimmed.slice(0, at);
+  let domain = trimmed.slice(at + 1).replace(/^www\./, '');
+
+  const plus = local.indexOf('+');
+  if (plus > 0) local = local.slice(0, plus);
+  if (DOTLESS_LOCAL_PART_DOMAINS.has(domain)) local = local.replace(/\./g, '');
+  domain = DOMAIN_ALIASES[domain] || domain;
+
+  return `${local}@${domain}`;
+}
+
+function normalizeName(name) {
+  if (!name || typeof name !== 'string') return null;
+  const trimmed = name.trim().toLowerCase().replace(/\s+/g, ' ');
+  return trimmed || null;
+}
+
+/**
+ * Company domain for a prospect: the website host if there is one, otherwise
+ * the email domain unless it belongs to a free-mail provider.
+ */
+function extractDomainFromWebsiteOrEmail(website, email) {
+  if (website && typeof website === 'string') {
+    const value = website.trim();
+    if (value) {
+      try {
+        const url = value.startsWith('http') ? value : `https://${value}`;
+        const parsed = new URL(url);
+        const host = parsed.hostname.replace(/^www\./i, '');
+        if (host && !isFreeMailDomain(host)) return host.toLowerCase();
+      } catch (e) {
+        // ignore invalid website
+      }
+    }
+  }
+  if (email && typeof email === 'string' && email.includes('@')) {
+    const domainPart = email.split('@')[1]?.trim();
+    if (domainPart) {
+      const domain = domainPart.replace(/^www\./i, '').toLowerCase();
+      if (!isFreeMailDomain(domain)) return domain;
+    }
+  }
+  return null;
+}
+
+/**
+ * Best-effort E.164 formatting without a full numbering-plan database.
+ * Numbers written with "+" or "00" keep their country code; anything else is
+ * treated as a national number in `region` (trunk "0" dropped, or a leading
+ * "1" for North America). Returns null when the result cannot be a valid
+ * E.164 number (8-15 digits).
+ */
+function normalizePhone(phone, region = DEFAULT_PHONE_REGION) {
+  if (!phone || typeof phone !== 'string') return null;
+  const trimmed = phone
+    .trim()
+    .replace(/\s*(?:ext\.?|x|#)\s*\d+$/i, '')
+    .replace(/\(0\)/g, '');
+  if (!trimmed) return null;
+
+  let digits = trimmed.replace(/\D/g, '');
+  if (!digits) return null;
+
+  if (trimmed.startsWith('+')) {
+    // already international
+  } else if (digits.startsWith('00')) {
+    digits = digits.slice(2);
+  } else {
+    const callingCode = CALLING_CODES[String(region || '').toUpperCase()];
+    if (!callingCode) return null;
+    if (callingCode === '1') {
+      if (digits.length === 11 && digits.startsWith('1')) digits = digits.slice(1);
+      if (digits.length !== 10) return null;
+    } else if (digits.startsWith(callingCode) && digits.length > 10) {
+      digits = digits.slice(callingCode.length);
+    }
+    digits = `${callingCode}${digits.replace(/^0/, '')}`;
+  }
+
+  if (digits.length < 8 || digits.length > 15 || digits.startsWith('0')) return null;
+  return `+${digits}`;
+}
+
+/** All identity keys stored on a prospect row. */
+function normalizeProspectIdentity({ email, website, contactName, phone }) {
+  return {
+    normalizedEmail: normalizeEmail(email),
+    normalizedDomain: extractDomainFromWebsiteOrEmail(website, email),
+    normalizedContactName: normalizeName(contactName),
+    normalizedPhone: normalizePhone(phone),
+  };
+}
+
+module.exports = {
+  NORMALIZATION_VERSION,
+  FREE_MAIL_DOMAINS,
+  isFreeMailDomain,
+  normalizeEmail,
+  normalizeName,
+  extractDomainFromWebsiteOrEmail,
+  normalizePhone,
+  normalizeProspectIdentity,
+};
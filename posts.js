@@ -0,0 +1,173 @@
+const { normalizeSchedule, isValidTimeZone } = require('./scheduling');
+
+// Fields a PATCH can edit; each change is kept as a revision.
+const EDITABLE_POST_FIELDS = [
+  'content',
+  'tone',
+  'channel',
+  'campaignId',
+  'scheduledFor',
+  'timezone',
+];
+
+// Longest post content accepted on create or edit, in characters.
+const MAX_POST_CONTENT_LENGTH = 10000;
+
+// Above this many LCS cells (changed tokens before x after) diffText reports
+// the changed middle as one removal and one addition instead.
+const MAX_DIFF_CELLS = 250000;
+
+// Statuses in which a post can no longer be edited.
+const LOCKED_POST_STATUSES = ['publishing', 'sent'];
+
+/**
+ * Validates the editable fields of a PATCH body against the stored post.
+ * Only fields present in the body are returned, and only when they differ
+ * from `current`. `timezone` on its own re-labels the post; with
+ * `scheduledFor` it is also used to read a wall-clock time. Returns
+ * { value } or { error }. Campaign existence is checked by the caller.
+ */
+function normalizePostEdit(body, current) {
+  const input = body || {};
+  const has = (key) => Object.prototype.hasOwnProperty.call(input, key);
+  const value = {};
+
+  if (has('content')) {
+    if (typeof input.content !== 'string' || !input.content.trim()) {
+      return { error: 'content must be a non-empty string' };
+    }
+    if (input.content.trim().length > MAX_POST_CONTENT_LENGTH) {
+      return { error: `content must be at most ${MAX_POST_CONTENT_LENGTH} characters` };
+    }
+    value.content = input.content.trim();
+  }
+
+  for (const field of ['tone', 'campaignId']) {
+    if (!has(field)) continue;
+    const raw = input[field];
+    if (raw !== null && typeof raw !== 'string') {
+      return { error: `${field} must be a string or null` };
+    }
+    value[field] = raw && raw.trim() ? raw.trim() : null;
+  }
+
+  if (has('channel')) {
+    if (typeof input.channel !== 'string' || !input.channel.trim()) {
+      return { error: 'channel must be a non-empty string' };
+    }
+    value.channel = input.channel.trim();
+  }
+
+  if (has('scheduledFor')) {
+    const schedule = normalizeSchedule({
+      scheduledFor: input.scheduledFor,
+      timezone: has('timezone') ? input.timezone : current.timezone,
+    });
+    if (schedule.error) return { error: schedule.error };
+    value.scheduledFor = schedule.value.scheduledFor;
+    value.timezone = schedule.value.timezone;
+  } else if (has('timezone')) {
+    if (!isValidTimeZone(input.timezone)) {
+      return { error: 'timezone must be an IANA name such as Europe/London' };
+    }
+    value.timezone = input.timezone.trim();
+  }
+
+  if (!value.scheduledFor && has('scheduledFor') && current.status === 'scheduled') {
+    return { error: 'scheduledFor is required while the post is scheduled' };
+  }
+
+  for (const field of Object.keys(value)) {
+    if ((current[field] ?? null) === value[field]) delete value[field];
+  }
+  return { value };
+}
+
+function tokenize(text) {
+  return String(text || '').split(/(\s+)/).filter(Boolean);
+}
+
+/**
+ * Word-level diff of two texts as [{ type: 'equal' | 'added' | 'removed',
+ * text }], whitespace kept. The common prefix and suffix are stripped, then
+ * the rest is a plain LCS unless it exceeds MAX_DIFF_CELLS.
+ */
+function diffText(before, after) {
+  const allA = tokenize(before);
+  const allB = tokenize(after);
+  let start = 0;
+  while (start < allA.length && start < allB.length && allA[start] === allB[start]) start++;
+  let endA = allA.length;
+  let endB = allB.length;
+  while (endA > start && endB > start && allA[endA - 1] === allB[endB - 1]) {
+    endA--;
+    endB--;
+  }
+  const a = allA.slice(start, endA);
+  const b = allB.slice(start, endB);
+  const tooLarge = a.length * b.length > MAX_DIFF_CELLS;
+  const lengths = tooLarge
+    ? null
+    : Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  if (lengths) {
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i][j] =
+          a[i] === b[j]
+            ? lengths[i + 1][j + 1] + 1
+            : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+  }
+
+  const segments = [];
+  const push = (type, text) => {
+    const last = segments[segments.length - 1];
+    if (last && last.type === type) last.text += text;
+    else segments.push({ type, text });
+  };
+  allA.slice(0, start).forEach((token) => push('equal', token));
+  let i = 0;
+  let j = 0;
+  while (lengths && i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('equal', a[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+  allA.slice(endA).forEach((token) => push('equal', token));
+  return segments;
+}
+
+/**
+ * Field-by-field comparison of two revisions: [{ field, from, to }] for each
+ * editable field that differs, with a word diff under `content`.
+ */
+function diffPostRevisions(from, to) {
+  const changes = [];
+  for (const field of EDITABLE_POST_FIELDS) {
+    const before = from[field] ?? null;
+    const after = to[field] ?? null;
+    if (before === after) continue;
+    const change = { field, from: before, to: after };
+    if (field === 'content') change.diff = diffText(before, after);
+    changes.push(change);
+  }
+  return changes;
+}
+
+module.exports = {
+  MAX_POST_CONTENT_LENGTH,
+  EDITABLE_POST_FIELDS,
+  LOCKED_POST_STATUSES,
+  normalizePostEdit,
+  diffText,
+  diffPostRevisions,
+};
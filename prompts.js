@@ -0,0 +1,210 @@
+// Built-in prompt templates. They seed version 1 of each key in the
+// prompt_templates table; edits made through the API add later versions.
+// `usesSystemPrompt: false` marks a key whose model call takes no system
+// prompt, so versions of it must leave systemPrompt null.
+const DEFAULT_PROMPT_TEMPLATES = {
+  campaign_suggestions: {
+    description: 'Social post ideas for a campaign (POST /ai/campaigns/:id/suggest-posts).',
+    variables: [
+      'campaign.id',
+      'campaign.name',
+      'campaign.objective',
+      'campaign.targetDescription',
+      'campaign.status',
+      'campaign.startDate',
+      'campaign.endDate',
+      'campaignDates',
+      'channels',
+      'channelGuide',
+      'variantsPerChannel',
+      'postCount',
+      'tone',
+      'callToAction',
+    ],
+    systemPrompt: null,
+    body: `You are helping a B2B AI consultancy called Kalyan AI plan social posts for a lead generation campaign.
+
+Kalyan AI offers bespoke hosted AI software to automate processes and streamline operations, saving time and money, improving customer experience and increasing profit without taking on new staff.
+
+For campaign id: {{campaign.id}}
+Campaign name: {{campaign.name}}
+Objective: {{campaign.objective}}
+Target audience: {{campaign.targetDescription}}
+Dates: {{campaignDates}}
+
+Channels: {{channels}}
+Variants per channel: {{variantsPerChannel}}
+
+Create exactly {{postCount}} social post ideas: {{variantsPerChannel}} for each channel below, each variant taking a different angle.
+{{channelGuide}}
+
+Tone: {{tone}}
+Call to action: {{callToAction}}
+Ground every post in the campaign objective and target audience above, and end each post with the call to action.
+
+For each suggestion, include:
+- channel: one of {{channels}}
+- tone
+- content
+- imageIdea: a short description of the visual that should accompany the post (no more than 2 lines).
+
+Return STRICT JSON ONLY, no extra text.
+Shape:
+
+{
+  "suggestions": [
+    { "channel": "linkedin", "tone": "educational", "content": "...", "imageIdea": "..." }
+  ]
+}
+`,
+  },
+  enrichment: {
+    description: 'Prospect fit scoring; the system prompt is sent once per batch with the prospect blocks in the body.',
+    variables: [
+      'icpContext',
+      'prospectBlocks',
+      'source.name',
+      'source.targetIndustry',
+      'source.companySize',
+      'source.roleFocus',
+      'source.mainAngle',
+    ],
+    // Without the prospect blocks the model has nothing to score, and every
+    // batch falls back to the heuristic.
+    required: ['prospectBlocks'],
+    systemPrompt: `You are an assistant helping Kalyan AI assess B2B prospects for fit.
+Return JSON ONLY, no extra text.
+Rules:
+- primaryPain must be a real business problem (manual processes/inefficiency, poor lead handling, weak operations, revenue leakage, poor customer experience).
+- NEVER use or imply "lack of publicly available information", "limited online presence", "insufficient data", inability to research, or mention Google/LinkedIn/research limits.
+- If website info is weak or missing, infer likely pains for this type of company; keep language neutral and do not comment on their online presence.
+Tone and language constraints:
+- Describe pains as opportunities to improve or streamline, not as failures. Use phrasing like "opportunity to streamline X", "may benefit from simplifying Y", "could reduce manual steps in Z", "may want better visibility into ...".
+- Avoid harsh/judgemental words or phrases such as: inefficient, inefficiencies, poor, weak, broken, outdated, struggling, chaotic, disorganized, problematic, "issues with", "common in X industry", or "typical of X companies".
+- primaryPain must focus on an underlying business process but be framed as an opportunity to improve (e.g. "Opportunity to streamline how they handle inbound leads", not "Their lead handling is inefficient").
+- Any subject lines, summaries, or copy must not blame or criticise the company; position Kalyan AI as helping them streamline or get more from what they already do.
+CAMPAIGN CONTEXT:
+{{icpContext}}
+Use this context to prioritize pains, fitScore, and messaging that match the target industry/role/angle.
+Use WEBSITE_EXCERPT and NOTES (if available) to infer pains and fit; NOTES should influence fitScore, primaryPain, and summary when present.
+For each prospect, output:
+- prospectId: the provided PROSPECT_ID
+- fitScore: integer 0-100
+- fitLabel: one of hot, warm, cool, cold
+- primaryPain: short description of the likely main pain (no meta-comments about missing data)
+- summary: 2–3 sentence summary tailored to the company; uncertainty should be implicit ("may", "likely") without apologizing for missing info
+Use any WEBSITE_EXCERPT if available to ground your assessment.
+EMAIL_STATUS comes from an address check: lower fitScore when it is invalid, disposable or no_mx, and slightly when it is role (a shared inbox rather than a person).
+`,
+    body: `Here are prospects to enrich:
+
+{{prospectBlocks}}
+
+Return a JSON array of objects in the same order with keys: prospectId, fitScore, fitLabel, primaryPain, summary.
+`,
+  },
+  image_from_idea: {
+    description: 'Marketing visual for a post idea (POST /ai/image-from-idea).',
+    variables: ['idea', 'channel'],
+    required: ['idea'],
+    usesSystemPrompt: false,
+    systemPrompt: null,
+    body: `
+Create a clean, modern marketing visual for a B2B AI consultancy called Kalyan AI.
+
+Kalyan AI offers bespoke hosted AI software to automate processes and streamline operations, saving time and money, improving customer experience and increasing profit without taking on new staff.
+
+Channel: {{channel}}
+Visual idea: {{idea}}
+
+The style should be professional, minimal, and suitable for LinkedIn / Twitter / Facebook / Instagram.
+Avoid any text inside the image (no big slogans or UI text), focus on strong, clear visuals.
+`,
+  },
+};
+
+const VARIABLE_PATTERN = /{{\s*([a-zA-Z][\w.]*)\s*}}/g;
+
+function isPromptTemplateKey(key) {
+  return Object.prototype.hasOwnProperty.call(DEFAULT_PROMPT_TEMPLATES, key);
+}
+
+/** Variable names referenced in `text`, in order of first use. */
+function extractTemplateVariables(text) {
+  const names = [];
+  for (const match of String(text || '').matchAll(VARIABLE_PATTERN)) {
+    if (!names.includes(match[1])) names.push(match[1]);
+  }
+  return names;
+}
+
+function supportsSystemPrompt(key) {
+  return DEFAULT_PROMPT_TEMPLATES[key].usesSystemPrompt !== false;
+}
+
+/**
+ * Checks an edited template before it is saved. Returns an error message,
+ * or null when the body is usable, references every variable the key
+ * requires and no variables outside the key's list, and a system prompt is
+ * only given where the key's model call uses one.
+ */
+function validatePromptTemplate(key, { systemPrompt, body }) {
+  if (typeof body !== 'string' || !body.trim()) return 'body is required';
+  if (systemPrompt != null && typeof systemPrompt !== 'string') {
+    return 'systemPrompt must be a string or null';
+  }
+  if (systemPrompt != null && !supportsSystemPrompt(key)) {
+    return `${key} does not use a systemPrompt; it must be null`;
+  }
+
+  const { variables: allowed, required = [] } = DEFAULT_PROMPT_TEMPLATES[key];
+  const used = extractTemplateVariables(`${systemPrompt || ''}\n${body}`);
+  const unknown = used.filter((name) => !allowed.includes(name));
+  if (unknown.length > 0) {
+    return `Unknown variables: ${unknown.join(', ')} (allowed: ${allowed.join(', ')})`;
+  }
+  const missing = required.filter((name) => !used.includes(name));
+  if (missing.length > 0) {
+    return `Missing required variables: ${missing.join(', ')}`;
+  }
+  return null;
+}
+
+function lookupVariable(variables, name) {
+  return name.split('.').reduce((value, part) => (value == null ? undefined : value[part]), variables);
+}
+
+/**
+ * Fills {{variables}} (dot paths allowed, e.g. {{campaign.name}}) in the
+ * template's system prompt and body. Missing values render as empty text and
+ * are listed in `missingVariables`.
+ */
+function renderPromptTemplate(template, variables) {
+  const missing = new Set();
+  const fill = (text) =>
+    text == null
+      ? null
+      : text.replace(VARIABLE_PATTERN, (match, name) => {
+          const value = lookupVariable(variables, name);
+          if (value == null || value === '') {
+            missing.add(name);
+            return '';
+          }
+          return String(value);
+        });
+
+  return {
+    system: fill(template.systemPrompt),
+    prompt: fill(template.body),
+    missingVariables: Array.from(missing),
+  };
+}
+
+module.exports = {
+  DEFAULT_PROMPT_TEMPLATES,
+  isPromptTemplateKey,
+  supportsSystemPrompt,
+  extractTemplateVariables,
+  validatePromptTemplate,
+  renderPromptTemplate,
+};
@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const SOCIAL_PUBLISHERS = ['file', 'webhook'];
+
+const DEFAULT_PUBLISH_FILE = path.join(__dirname, 'data', 'published-posts.jsonl');
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+function toPayload(post) {
+  return {
+    postId: post.id,
+    campaignId: post.campaignId || null,
+    channel: post.channel,
+    content: post.content,
+    imageIdea: post.imageIdea || null,
+    scheduledFor: post.scheduledFor || null,
+    timezone: post.timezone || null,
+    attempt: post.publishAttempts,
+  };
+}
+
+function publishError(message, { retryable = true } = {}) {
+  const err = new Error(message);
+  err.retryable = retryable;
+  return err;
+}
+
+/**
+ * Appends each post as one JSON line to `filePath`. Useful locally and in
+ * CI, or as an outbox that another process tails.
+ */
+function createFilePublisher({ filePath = DEFAULT_PUBLISH_FILE } = {}) {
+  return {
+    name: 'file',
+    async publish(post) {
+      const publishedAt = new Date().toISOString();
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.appendFile(
+        filePath,
+        `${JSON.stringify({ ...toPayload(post), publishedAt })}\n`,
+        'utf8',
+      );
+      return { externalId: `file:${post.id}`, url: null };
+    },
+  };
+}
+
+/**
+ * POSTs each post as JSON to `url` (Zapier, Make, n8n or a small relay in
+ * front of the real social APIs). The post id is sent as `Idempotency-Key`
+ * so the receiver can drop repeats; with `secret` the body is signed as
+ * `X-LeadGen-Signature: sha256=<hex HMAC>`. A JSON reply may carry `id` and
+ * `url` of the published post. 5xx, 429 and network errors are retryable;
+ * other 4xx replies are not.
+ */
+function createWebhookPublisher({ url, secret, timeoutMs = WEBHOOK_TIMEOUT_MS }) {
+  return {
+    name: 'webhook',
+    async publish(post) {
+      const body = JSON.stringify(toPayload(post));
+      const headers = {
+        'Content-Type': 'application/json',
+        'Idempotency-Key': post.id,
+      };
+      if (secret) {
+        const signature = crypto.createHmac('sha256', secret).update(body).digest('hex');
+        headers['X-LeadGen-Signature'] = `sha256=${signature}`;
+      }
+
+      let response;
+      try {
+        response = await fetch(url, {
+          method: 'POST',
+          headers,
+          body,
+          signal: AbortSignal.timeout(timeoutMs),
+        });
+      } catch (err) {
+        throw publishError(`Webhook request failed: ${err.message || err}`);
+      }
+
+      const text = await response.text().catch(() => '');
+      if (!response.ok) {
+        const retryable = response.status >= 500 || response.status === 429;
+        throw publishError(`Webhook responded ${response.status}: ${text.slice(0, 200)}`, {
+          retryable,
+        });
+      }
+
+      let reply = null;
+      try {
+        reply = text ? JSON.parse(text) : null;
+      } catch (err) {
+        // plain-text replies are fine
+      }
+      return {
+        externalId: reply && reply.id ? String(reply.id) : null,
+        url: reply && typeof reply.url === 'string' ? reply.url : null,
+      };
+    },
+  };
+}
+
+function createPublisherByName(name, env) {
+  if (name === 'file') {
+    return createFilePublisher({ filePath: env.SOCIAL_PUBLISH_FILE || DEFAULT_PUBLISH_FILE });
+  }
+  if (name === 'webhook') {
+    if (!env.SOCIAL_PUBLISH_WEBHOOK_URL) {
+      console.warn('Social publisher "webhook" needs SOCIAL_PUBLISH_WEBHOOK_URL; posts will fail.');
+      return null;
+    }
+    return createWebhookPublisher({
+      url: env.SOCIAL_PUBLISH_WEBHOOK_URL,
+      secret: env.SOCIAL_PUBLISH_WEBHOOK_SECRET,
+    });
+  }
+  console.warn(`Unknown social publisher "${name}" (expected ${SOCIAL_PUBLISHERS.join(', ')}).`);
+  return null;
+}
+
+/**
+ * Builds the channel publisher used by the scheduler. SOCIAL_PUBLISHER picks
+ * the backend for every channel; SOCIAL_PUBLISHER_<CHANNEL> overrides it for
+ * one channel, e.g. SOCIAL_PUBLISHER_LINKEDIN=webhook. There is no default:
+ * a channel with neither set is never published. `configured` is false when
+ * no publisher is named at all. `publish(post)` resolves to
+ * { externalId, url } or throws; an error with `retryable: false` is not
+ * retried.
+ */
+function createSocialPublisher(env = process.env) {
+  const cache = new Map();
+  const resolve = (channel) => {
+    const override = channel ? env[`SOCIAL_PUBLISHER_${channel.toUpperCase()}`] : null;
+    const name = (override || env.SOCIAL_PUBLISHER || '').trim().toLowerCase();
+    if (!name) return { name: null, publisher: null };
+    if (!cache.has(name)) cache.set(name, createPublisherByName(name, env));
+    return { name, publisher: cache.get(name) };
+  };
+
+  return {
+    configured: Object.keys(env).some(
+      (key) => /^SOCIAL_PUBLISHER(_.+)?$/.test(key) && String(env[key] || '').trim() !== '',
+    ),
+    publisherFor(channel) {
+      return resolve(channel).name;
+    },
+    async publish(post) {
+      const { name, publisher } = resolve(post.channel);
+      if (!name) {
+        throw publishError(`No social publisher is configured for channel "${post.channel}"`, {
+          retryable: false,
+        });
+      }
+      if (!publisher) {
+        throw publishError(`Social publisher "${name}" is not configured`, { retryable: false });
+      }
+      return publisher.publish(post);
+    },
+  };
+}
+
+module.exports = {
+  SOCIAL_PUBLISHERS,
+  createFilePublisher,
+  createWebhookPublisher,
+  createSocialPublisher,
+};
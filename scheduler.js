@@ -0,0 +1,137 @@
+const {
+  failInterruptedPublishes,
+  failMissedSchedules,
+  getDueSocialPosts,
+  claimSocialPostForPublish,
+  markSocialPostSent,
+  markSocialPostPublishFailed,
+} = require('./db');
+
+const POLL_INTERVAL_MS = Number(process.env.SOCIAL_SCHEDULER_INTERVAL_MS) || 30000;
+const MAX_PUBLISH_ATTEMPTS = Number(process.env.SOCIAL_PUBLISH_MAX_ATTEMPTS) || 3;
+const RETRY_BASE_DELAY_MS = Number(process.env.SOCIAL_PUBLISH_RETRY_DELAY_MS) || 60000;
+// How late a post may still go out after the scheduler (re)starts.
+const MAX_START_DELAY_MS = Number(process.env.SOCIAL_PUBLISH_MAX_DELAY_MS) || 60 * 60 * 1000;
+const BATCH_SIZE = 20;
+
+let publisher = null;
+let currentRun = null;
+let pollTimer = null;
+
+// Exponential backoff: 1x, 2x, 4x... the base delay after each failure.
+function getRetryDelay(attempts) {
+  return RETRY_BASE_DELAY_MS * 2 ** (attempts - 1);
+}
+
+/**
+ * Claims one due post and hands it to the publisher. Resolves to 'sent',
+ * 'retrying', 'failed', or null when the post was no longer scheduled. Once
+ * the publisher has accepted a post it is never retried: if recording that
+ * fails, the post is left in `publishing` and the error logged.
+ */
+async function publishPost(post) {
+  if (!(await claimSocialPostForPublish(post.id))) return null;
+  const attempt = (post.publishAttempts || 0) + 1;
+
+  let result;
+  try {
+    result = await publisher.publish({
+      ...post,
+      status: 'publishing',
+      publishAttempts: attempt,
+    });
+  } catch (err) {
+    const error = err.message || String(err);
+    const retry = err.retryable !== false && attempt < MAX_PUBLISH_ATTEMPTS;
+    console.error(`Publishing post ${post.id} failed (attempt ${attempt}): ${error}`);
+    await markSocialPostPublishFailed(post.id, {
+      error,
+      retryAt: retry ? new Date(Date.now() + getRetryDelay(attempt)).toISOString() : null,
+    });
+    return retry ? 'retrying' : 'failed';
+  }
+
+  try {
+    await markSocialPostSent(post.id, result || {});
+  } catch (err) {
+    console.error(
+      `Post ${post.id} was published but could not be marked sent; it stays in publishing`,
+      err,
+    );
+  }
+  return 'sent';
+}
+
+async function drainDuePosts() {
+  const summary = { sent: 0, retrying: 0, failed: 0 };
+  for (;;) {
+    const due = await getDueSocialPosts(new Date().toISOString(), BATCH_SIZE);
+    if (due.length === 0) break;
+
+    let claimed = 0;
+    for (const post of due) {
+      const outcome = await publishPost(post);
+      if (!outcome) continue;
+      claimed++;
+      summary[outcome]++;
+    }
+    if (claimed === 0) break;
+  }
+  return summary;
+}
+
+/**
+ * Publishes every post that is due now, one at a time. Concurrent callers
+ * share the run in progress. Resolves to { sent, retrying, failed }.
+ */
+function publishDuePosts() {
+  if (!publisher) {
+    return Promise.reject(new Error('SCHEDULER_NOT_STARTED'));
+  }
+  if (!currentRun) {
+    currentRun = drainDuePosts().finally(() => {
+      currentRun = null;
+    });
+  }
+  return currentRun;
+}
+
+/** Wakes the scheduler, e.g. right after a post is scheduled. */
+function kickPostScheduler() {
+  if (!publisher) return;
+  setImmediate(() => {
+    publishDuePosts().catch((err) => console.error('Post scheduler error', err));
+  });
+}
+
+/**
+ * Fails posts interrupted mid-publish by a restart, fails posts that are more
+ * than SOCIAL_PUBLISH_MAX_DELAY_MS overdue and starts polling for due posts.
+ * Legacy schedule times must already be normalized (index.js does this on
+ * start).
+ */
+async function startPostScheduler({ publisher: postPublisher, pollIntervalMs = POLL_INTERVAL_MS }) {
+  publisher = postPublisher;
+
+  const interrupted = await failInterruptedPublishes();
+  if (interrupted > 0) {
+    console.warn(`${interrupted} post(s) were interrupted while publishing and marked failed`);
+  }
+  const missed = await failMissedSchedules(new Date(Date.now() - MAX_START_DELAY_MS).toISOString());
+  if (missed > 0) {
+    console.warn(`${missed} post(s) missed their scheduled time and were marked failed`);
+  }
+
+  if (!pollTimer) {
+    pollTimer = setInterval(kickPostScheduler, pollIntervalMs);
+    pollTimer.unref();
+  }
+  kickPostScheduler();
+}
+
+module.exports = {
+  MAX_PUBLISH_ATTEMPTS,
+  publishDuePosts,
+  kickPostScheduler,
+  startPostScheduler,
+};
@@ -0,0 +1,127 @@
+// Timezone used for schedule times given without an offset, unless the post
+// names its own.
+const DEFAULT_TIMEZONE = (process.env.SOCIAL_DEFAULT_TIMEZONE || '').trim() || 'UTC';
+
+const OFFSET_SUFFIX = /(?:Z|[+-]\d{2}(?::?\d{2})?)$/i;
+const LOCAL_DATE_TIME =
+  /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?$/;
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone.trim()) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timeZone.trim() });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/** Offset of `timeZone` from UTC in milliseconds at the instant `time`. */
+function getTimeZoneOffset(time, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    })
+      .formatToParts(new Date(time))
+      .map((part) => [part.type, part.value]),
+  );
+  const asUtc = Date.UTC(
+    Number(parts.year),
+    Number(parts.month) - 1,
+    Number(parts.day),
+    Number(parts.hour),
+    Number(parts.minute),
+    Number(parts.second),
+  );
+  return asUtc - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * Converts a schedule time to a UTC ISO string. Values with `Z` or an offset
+ * are taken as-is; wall-clock values ("2026-03-01T09:00", "2026-03-01") are
+ * read in `timeZone`, with DST applied for that date. Returns null when the
+ * value cannot be parsed.
+ */
+function toUtcIso(value, timeZone = DEFAULT_TIMEZONE) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const text = value.trim();
+
+  if (OFFSET_SUFFIX.test(text) && /\d[T ]\d/.test(text)) {
+    const time = Date.parse(text.replace(' ', 'T'));
+    return Number.isNaN(time) ? null : new Date(time).toISOString();
+  }
+
+  const match = text.match(LOCAL_DATE_TIME);
+  if (!match) return null;
+  const [, year, month, day, hour = '0', minute = '0', second = '0', millis = '0'] = match;
+  const wallClock = Date.UTC(
+    Number(year),
+    Number(month) - 1,
+    Number(day),
+    Number(hour),
+    Number(minute),
+    Number(second),
+    Number(millis.padEnd(3, '0')),
+  );
+  const check = new Date(wallClock);
+  if (check.getUTCMonth() !== Number(month) - 1 || check.getUTCDate() !== Number(day)) {
+    return null;
+  }
+
+  // The offset can differ either side of a DST change, so check it again at
+  // the first guess.
+  const firstGuess = wallClock - getTimeZoneOffset(wallClock, timeZone);
+  const offset = getTimeZoneOffset(firstGuess, timeZone);
+  return new Date(wallClock - offset).toISOString();
+}
+
+/**
+ * Validates `scheduledFor` / `timezone` from a request body. An empty
+ * `scheduledFor` clears the schedule. Returns
+ * { value: { scheduledFor, timezone } } or { error }.
+ */
+function normalizeSchedule({ scheduledFor, timezone } = {}) {
+  let zone = DEFAULT_TIMEZONE;
+  if (timezone !== undefined && timezone !== null && timezone !== '') {
+    if (!isValidTimeZone(timezone)) {
+      return { error: 'timezone must be an IANA name such as Europe/London' };
+    }
+    zone = timezone.trim();
+  }
+
+  if (scheduledFor === undefined || scheduledFor === null || scheduledFor === '') {
+    return { value: { scheduledFor: null, timezone: zone } };
+  }
+  const utc = toUtcIso(scheduledFor, zone);
+  if (!utc) {
+    return { error: 'scheduledFor must be a date-time such as 2026-03-01T09:00' };
+  }
+  return { value: { scheduledFor: utc, timezone: zone } };
+}
+
+/**
+ * Wall-clock date and time of a UTC instant in `timeZone`, as
+ * { date: 'YYYY-MM-DD', time: 'HH:mm' }. Returns null for unparseable values.
+ */
+function formatInTimeZone(value, timeZone = DEFAULT_TIMEZONE) {
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) return null;
+  const local = new Date(time + getTimeZoneOffset(time, timeZone)).toISOString();
+  return { date: local.slice(0, 10), time: local.slice(11, 16) };
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  getTimeZoneOffset,
+  toUtcIso,
+  normalizeSchedule,
+  formatInTimeZone,
+};
@@ -0,0 +1,175 @@
+// Channels suggest-posts can target, with the default tone and the style
+// the prompt asks for. "x" is accepted as an alias for twitter.
+const SOCIAL_CHANNELS = {
+  linkedin: { tone: 'educational', style: 'educational story style' },
+  twitter: { tone: 'punchy', style: 'short and punchy hook, under 280 characters' },
+  facebook: { tone: 'conversational', style: 'conversational with a soft call to action' },
+  instagram: { tone: 'caption', style: 'caption style with emojis' },
+};
+const CHANNEL_ALIASES = { x: 'twitter' };
+const MAX_VARIANTS_PER_CHANNEL = 5;
+const MAX_TEXT_OPTION_LENGTH = 200;
+
+// One canned post per channel, used when no LLM is configured or its reply
+// is unusable.
+const FALLBACK_SUGGESTIONS = [
+  {
+    channel: 'linkedin',
+    tone: 'educational',
+    content:
+      'Many service businesses are still juggling manual processes, even though it slows everything down. This campaign explores how bespoke hosted AI software can automate the boring work, save time and money, improve customer experience and increase profit without taking on new staff. If this resonates, comment or reply and I will share a simple outline for your context.',
+    imageIdea:
+      'Clean, modern illustration of a small business team looking at a simple AI dashboard showing time saved and happier customers.',
+  },
+  {
+    channel: 'twitter',
+    tone: 'punchy',
+    content:
+      'Too much manual work, not enough time, no budget to hire? Bespoke hosted AI software can automate your processes, improve CX and grow profit without extra headcount. This campaign is built to show real examples. #AI #automation',
+    imageIdea:
+      'Minimal graphic with the words "Less manual work, more growth" and a subtle AI icon.',
+  },
+  {
+    channel: 'facebook',
+    tone: 'conversational',
+    content:
+      'We are working with businesses who feel stuck between "too many manual tasks" and "not ready to hire more people". This campaign shares how bespoke hosted AI software can quietly automate core workflows, free your team up and make customers happier without increasing staff costs. Comment or message if you would like ideas for your own business.',
+    imageIdea:
+      'Friendly photo of a small team in a relaxed meeting, with a laptop screen showing an automation workflow.',
+  },
+  {
+    channel: 'instagram',
+    tone: 'caption',
+    content:
+      'Too many tasks. Not enough hours. No room to hire.\n\nBespoke hosted AI software can automate your processes, save time and money and level up your customer experience without growing the team.\n\nWant ideas for your business? DM "AI" and we will map a few quick wins.',
+    imageIdea:
+      'Before/after carousel concept: first slide cluttered to-do list, second slide clean screen with "AI-powered workflow" highlighted.',
+  },
+];
+
+function normalizeChannel(value) {
+  if (typeof value !== 'string') return null;
+  const channel = value.trim().toLowerCase();
+  const resolved = CHANNEL_ALIASES[channel] || channel;
+  return SOCIAL_CHANNELS[resolved] ? resolved : null;
+}
+
+function normalizeTextOption(value, field) {
+  if (value === undefined || value === null || value === '') return { value: null };
+  if (typeof value !== 'string' || value.trim().length > MAX_TEXT_OPTION_LENGTH) {
+    return { error: `${field} must be a string of at most ${MAX_TEXT_OPTION_LENGTH} characters` };
+  }
+  return { value: value.trim() || null };
+}
+
+/**
+ * Validates the suggest-posts request body. Returns { value } with
+ * `channels` (default: all), `variantsPerChannel` (`count`, default 1),
+ * `tone`, `callToAction` and `saveAsDrafts`, or { error }.
+ */
+function normalizeSuggestionOptions(body) {
+  const input = body || {};
+
+  let channels = Object.keys(SOCIAL_CHANNELS);
+  if (input.channels !== undefined) {
+    const list = Array.isArray(input.channels) ? input.channels : String(input.channels).split(',');
+    const normalized = list.map(normalizeChannel);
+    if (list.length === 0 || normalized.includes(null)) {
+      return { error: `channels must be a list of: ${Object.keys(SOCIAL_CHANNELS).join(', ')}` };
+    }
+    channels = Array.from(new Set(normalized));
+  }
+
+  let variantsPerChannel = 1;
+  if (input.count !== undefined) {
+    variantsPerChannel = Number(input.count);
+    if (
+      !Number.isInteger(variantsPerChannel) ||
+      variantsPerChannel < 1 ||
+      variantsPerChannel > MAX_VARIANTS_PER_CHANNEL
+    ) {
+      return { error: `count must be an integer from 1 to ${MAX_VARIANTS_PER_CHANNEL}` };
+    }
+  }
+
+  const tone = normalizeTextOption(input.tone, 'tone');
+  if (tone.error) return { error: tone.error };
+  const callToAction = normalizeTextOption(input.callToAction, 'callToAction');
+  if (callToAction.error) return { error: callToAction.error };
+
+  return {
+    value: {
+      channels,
+      variantsPerChannel,
+      tone: tone.value,
+      callToAction: callToAction.value,
+      saveAsDrafts: input.saveAsDrafts === true || input.saveAsDrafts === 'true',
+    },
+  };
+}
+
+function describeCampaignDates({ startDate, endDate }) {
+  if (startDate && endDate) return `${startDate} to ${endDate}`;
+  if (startDate) return `from ${startDate}`;
+  if (endDate) return `until ${endDate}`;
+  return 'no fixed dates';
+}
+
+/** Template variables for the `campaign_suggestions` prompt. */
+function buildSuggestionVariables(campaign, options) {
+  return {
+    campaign: {
+      ...campaign,
+      objective: campaign.objective || 'not specified',
+      targetDescription: campaign.targetDescription || 'not specified',
+    },
+    campaignDates: describeCampaignDates(campaign),
+    channels: options.channels.join(', '),
+    channelGuide: options.channels
+      .map((channel) => `- ${channel}: ${SOCIAL_CHANNELS[channel].style}`)
+      .join('\n'),
+    variantsPerChannel: options.variantsPerChannel,
+    postCount: options.channels.length * options.variantsPerChannel,
+    tone: options.tone || "each channel's usual style (see above)",
+    callToAction: options.callToAction || 'a soft invitation to reply or get in touch',
+  };
+}
+
+/**
+ * Keeps the usable suggestions from a model reply: known, requested
+ * channels only, at most `variantsPerChannel` each, in channel order.
+ */
+function selectSuggestions(items, options) {
+  const byChannel = new Map(options.channels.map((channel) => [channel, []]));
+  for (const item of items || []) {
+    if (!item || typeof item.content !== 'string' || !item.content.trim()) continue;
+    const channel = normalizeChannel(item.channel);
+    const bucket = channel ? byChannel.get(channel) : null;
+    if (!bucket || bucket.length >= options.variantsPerChannel) continue;
+    bucket.push({
+      channel,
+      tone:
+        typeof item.tone === 'string' && item.tone.trim()
+          ? item.tone.trim()
+          : options.tone || SOCIAL_CHANNELS[channel].tone,
+      content: item.content.trim(),
+      imageIdea: item.imageIdea || item.image_idea || null,
+    });
+  }
+  return Array.from(byChannel.values()).flat();
+}
+
+/** The canned post for each requested channel (one per channel). */
+function buildFallbackSuggestions(options) {
+  return options.channels.map((channel) => ({
+    ...FALLBACK_SUGGESTIONS.find((suggestion) => suggestion.channel === channel),
+  }));
+}
+
+module.exports = {
+  SOCIAL_CHANNELS,
+  normalizeSuggestionOptions,
+  buildSuggestionVariables,
+  selectSuggestions,
+  buildFallbackSuggestions,
+};
@@ -0,0 +1,127 @@
+const { normalizeEmail } = require('./normalize');
+
+const SUPPRESSION_TYPES = ['email', 'domain', 'pattern'];
+
+function inferSuppressionType(value) {
+  if (value.includes('*')) return 'pattern';
+  if (value.includes('@')) return 'email';
+  return 'domain';
+}
+
+function normalizeDomainValue(value) {
+  return value
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/^@/, '')
+    .replace(/^www\./, '')
+    .split(/[/?#:]/)[0]
+    .replace(/\.$/, '');
+}
+
+/**
+ * Validates and canonicalises a registry entry. `type` is inferred from the
+ * value when omitted: "*" makes a pattern, "@" an email, anything else a
+ * domain. Returns { type, value } or { error }.
+ */
+function normalizeSuppressionEntry(type, value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    return { error: 'value is required' };
+  }
+  const entryType = type || inferSuppressionType(value);
+  if (!SUPPRESSION_TYPES.includes(entryType)) {
+    return { error: `type must be one of: ${SUPPRESSION_TYPES.join(', ')}` };
+  }
+
+  if (entryType === 'email') {
+    const email = normalizeEmail(value);
+    if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) {
+      return { error: 'value must be an email address' };
+    }
+    return { type: entryType, value: email };
+  }
+
+  if (entryType === 'domain') {
+    const domain = normalizeDomainValue(value);
+    if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain)) {
+      return { error: 'value must be a domain such as example.com' };
+    }
+    return { type: entryType, value: domain };
+  }
+
+  const pattern = value.trim().toLowerCase();
+  if (/\s/.test(pattern) || pattern.replace(/[*.@]/g, '') === '') {
+    return { error: 'pattern must contain more than wildcards' };
+  }
+  return { type: entryType, value: pattern };
+}
+
+function wildcardToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+function domainMatches(domain, blocked) {
+  return domain === blocked || domain.endsWith(`.${blocked}`);
+}
+
+/**
+ * Builds a matcher over the registry. The returned function takes a prospect
+ * (`email`, `normalizedEmail`, `normalizedDomain`) and returns the first
+ * entry that blocks it, or null.
+ *
+ * - email entries compare against the normalized email, so aliases match;
+ * - domain entries match the company domain and the email domain, including
+ *   subdomains (acme.com blocks eu.acme.com);
+ * - patterns containing "@" are tested against the email, others against
+ *   the domains, with "*" matching any run of characters.
+ */
+function buildSuppressionMatcher(entries) {
+  const emails = new Map();
+  const domains = [];
+  const patterns = [];
+
+  for (const entry of entries || []) {
+    if (entry.type === 'email') {
+      emails.set(entry.value, entry);
+    } else if (entry.type === 'domain') {
+      domains.push(entry);
+    } else if (entry.type === 'pattern') {
+      patterns.push({
+        entry,
+        regex: wildcardToRegExp(entry.value),
+        onEmail: entry.value.includes('@'),
+      });
+    }
+  }
+
+  return (prospect) => {
+    if (!prospect) return null;
+    const normalizedEmail = prospect.normalizedEmail || normalizeEmail(prospect.email);
+    const rawEmail = prospect.email ? String(prospect.email).trim().toLowerCase() : null;
+    const emailDomain =
+      normalizedEmail && normalizedEmail.includes('@') ? normalizedEmail.split('@')[1] : null;
+    const candidateDomains = [prospect.normalizedDomain, emailDomain].filter(Boolean);
+
+    if (normalizedEmail && emails.has(normalizedEmail)) return emails.get(normalizedEmail);
+
+    for (const entry of domains) {
+      if (candidateDomains.some((domain) => domainMatches(domain, entry.value))) return entry;
+    }
+
+    for (const { entry, regex, onEmail } of patterns) {
+      if (onEmail) {
+        if ([rawEmail, normalizedEmail].some((email) => email && regex.test(email))) return entry;
+      } else if (candidateDomains.some((domain) => regex.test(domain))) {
+        return entry;
+      }
+    }
+    return null;
+  };
+}
+
+module.exports = {
+  SUPPRESSION_TYPES,
+  normalizeSuppressionEntry,
+  buildSuppressionMatcher,
+};
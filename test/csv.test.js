@@ -0,0 +1,14 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { toCsvRow } = require('../csv');
+
+test('toCsvRow quote-prefixes cells a spreadsheet would run as formulas', () => {
+  assert.strictEqual(
+    toCsvRow(['=HYPERLINK("http://evil.example")', '+1', '-2', '@SUM(A1)', '\tx', '\rx']),
+    `"'=HYPERLINK(""http://evil.example"")",'+1,'-2,'@SUM(A1),'\tx,"'\rx"\r\n`,
+  );
+});
+
+test('toCsvRow leaves ordinary values and numbers alone', () => {
+  assert.strictEqual(toCsvRow(['Acme, Inc', 'a@b.com', -3, null, 42]), '"Acme, Inc",a@b.com,-3,,42\r\n');
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./server');
+
+test('list endpoints always page, with a default and a maximum limit', async (t) => {
+  const server = await startServer();
+  t.after(server.stop);
+
+  for (const name of ['One', 'Two', 'Three']) {
+    assert.strictEqual((await server.request('POST', '/sources', { name })).status, 201);
+  }
+
+  const all = await server.request('GET', '/sources');
+  assert.strictEqual(all.status, 200);
+  assert.strictEqual(all.body.data.length, 3);
+  assert.deepStrictEqual(all.body.pagination, { total: 3, limit: 100, offset: 0, hasMore: false });
+
+  const page = await server.request('GET', '/sources?limit=2&sort=name&order=asc');
+  assert.deepStrictEqual(
+    page.body.data.map((source) => source.name),
+    ['One', 'Three'],
+  );
+  assert.strictEqual(page.body.pagination.hasMore, true);
+
+  assert.strictEqual((await server.request('GET', '/sources?limit=501')).status, 400);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./server');
+
+test('PATCH on a merge survivor is not a duplicate of its own merged-away rows', async (t) => {
+  const server = await startServer();
+  t.after(server.stop);
+
+  const survivor = await server.request('POST', '/prospects', {
+    companyName: 'Acme',
+    contactName: 'Ann Smith',
+    email: 'ann@acme.com',
+  });
+  const loser = await server.request('POST', '/prospects', {
+    companyName: 'Acme Ltd',
+    contactName: 'Annie Smith',
+    email: 'ann.smith@acme.com',
+  });
+  assert.strictEqual(survivor.status, 201);
+  assert.strictEqual(loser.status, 201);
+
+  const merge = await server.request('POST', `/prospects/${survivor.body.id}/merge`, {
+    loserIds: [loser.body.id],
+    fields: { email: loser.body.id },
+  });
+  assert.strictEqual(merge.status, 200);
+
+  const patch = await server.request('PATCH', `/prospects/${survivor.body.id}`, {
+    phone: '+44 20 7946 0000',
+  });
+  assert.strictEqual(patch.status, 200, JSON.stringify(patch.body));
+  assert.strictEqual(patch.body.email, 'ann.smith@acme.com');
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./server');
+
+test('prospect search follows edits, notes and deletes', async (t) => {
+  const server = await startServer();
+  t.after(server.stop);
+
+  const search = async (term) => {
+    const res = await server.request('GET', `/prospects?search=${encodeURIComponent(term)}`);
+    assert.strictEqual(res.status, 200);
+    return res.body.data.map((p) => p.id);
+  };
+
+  const created = await server.request('POST', '/prospects', {
+    companyName: 'Alpha Corp',
+    email: 'hello@alpha.example',
+  });
+  assert.strictEqual(created.status, 201);
+  const { id } = created.body;
+  assert.deepStrictEqual(await search('alpha'), [id]);
+
+  await server.request('PATCH', `/prospects/${id}`, { companyName: 'Delta Works' });
+  assert.deepStrictEqual(await search('delta'), [id]);
+  assert.deepStrictEqual(await search('corp'), []);
+
+  await server.request('POST', `/prospects/${id}/notes`, { content: 'loves kiwifruit' });
+  assert.deepStrictEqual(await search('kiwifruit'), [id]);
+
+  await server.request('PATCH', `/prospects/${id}/archive`);
+  const deleted = await server.request('DELETE', `/prospects/${id}`);
+  assert.strictEqual(deleted.status, 200);
+  assert.deepStrictEqual(await search('delta'), []);
+  assert.deepStrictEqual(await search('kiwifruit'), []);
+});
@@ -0,0 +1,61 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Starts index.js on a spare port against a fresh database in a temp
+ * directory. Resolves to { request, stop }; `request(method, path, body)`
+ * resolves to { status, body } with the body parsed as JSON when possible.
+ */
+async function startServer(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'leads-gen-test-'));
+  const port = 20000 + Math.floor(Math.random() * 20000);
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'index.js')], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DB_PATH: path.join(dir, 'leads-gen.sqlite'),
+      UNSUBSCRIBE_SECRET: 'test-secret',
+      EMAIL_MX_LOOKUP: 'off',
+      OPENAI_API_KEY: '',
+      ...env,
+    },
+    stdio: 'ignore',
+  });
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  const stop = () => {
+    child.kill();
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+
+  const request = async (method, urlPath, body) => {
+    const res = await fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await res.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch (err) {
+      // Not JSON (CSV, iCalendar); keep the text.
+    }
+    return { status: res.status, headers: res.headers, body: parsed };
+  };
+
+  for (let attempt = 0; attempt < 50; attempt++) {
+    try {
+      await request('GET', '/health');
+      return { request, stop };
+    } catch (err) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+  }
+  stop();
+  throw new Error('Server did not start');
+}
+
+module.exports = { startServer };
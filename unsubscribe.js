@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const TOKEN_VERSION = 1;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const secretPath = path.join(__dirname, 'data', 'unsubscribe-secret');
+
+let cachedKey = null;
+
+/**
+ * UNSUBSCRIBE_SECRET signs the tokens. Without it a random secret is created
+ * once and kept next to the database so links in sent emails keep working
+ * across restarts.
+ */
+function getKey() {
+  if (cachedKey) return cachedKey;
+
+  let secret = process.env.UNSUBSCRIBE_SECRET;
+  if (!secret) {
+    if (fs.existsSync(secretPath)) {
+      secret = fs.readFileSync(secretPath, 'utf8').trim();
+    } else {
+      secret = crypto.randomBytes(32).toString('hex');
+      fs.mkdirSync(path.dirname(secretPath), { recursive: true });
+      fs.writeFileSync(secretPath, secret, { mode: 0o600 });
+      console.warn(`UNSUBSCRIBE_SECRET not set; generated one at ${secretPath}`);
+    }
+  }
+
+  cachedKey = crypto.createHash('sha256').update(secret).digest();
+  return cachedKey;
+}
+
+/**
+ * Opaque token for a prospect's unsubscribe link. The id is encrypted with
+ * AES-256-GCM, so the token neither reveals it nor can be forged or derived
+ * from a guessed id; a fresh IV makes every token different.
+ */
+function createUnsubscribeToken(prospectId) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(prospectId), 'utf8'), cipher.final()]);
+  return Buffer.concat([
+    Buffer.from([TOKEN_VERSION]),
+    iv,
+    cipher.getAuthTag(),
+    ciphertext,
+  ]).toString('base64url');
+}
+
+/** Returns the prospect id inside a valid token, or null for anything else. */
+function readUnsubscribeToken(token) {
+  if (typeof token !== 'string' || token.length > 512) return null;
+
+  const raw = Buffer.from(token, 'base64url');
+  if (raw.length <= 1 + IV_LENGTH + TAG_LENGTH || raw[0] !== TOKEN_VERSION) return null;
+
+  const iv = raw.subarray(1, 1 + IV_LENGTH);
+  const tag = raw.subarray(1 + IV_LENGTH, 1 + IV_LENGTH + TAG_LENGTH);
+  const ciphertext = raw.subarray(1 + IV_LENGTH + TAG_LENGTH);
+
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+  } catch (err) {
+    return null;
+  }
+}
+
+function renderUnsubscribePage({ title, message, showForm = false }) {
+  const form = showForm
+    ? `
+      <form method="post">
+        <input type="hidden" name="confirm" value="1">
+        <button type="submit">Unsubscribe</button>
+      </form>`
+    : '';
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta name="robots" content="noindex">
+    <title>${title}</title>
+    <style>
+      body { font-family: system-ui, sans-serif; max-width: 32rem; margin: 4rem auto; padding: 0 1rem; color: #222; }
+      button { font-size: 1rem; padding: 0.5rem 1.25rem; cursor: pointer; }
+    </style>
+  </head>
+  <body>
+    <h1>${title}</h1>
+    <p>${message}</p>${form}
+  </body>
+</html>
+`;
+}
+
+module.exports = {
+  createUnsubscribeToken,
+  readUnsubscribeToken,
+  renderUnsubscribePage,
+};